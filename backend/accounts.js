@@ -0,0 +1,22 @@
+const { Pool } = require('pg');
+const config = require('./backend.config.js');
+const { rebuildAccounts } = require('./lib/persistence.js');
+
+const loggerOptions = {
+  crawler: 'accounts',
+};
+
+// Fill the account tables from the events harvested before they existed:
+// node accounts.js [blocks per batch]. The crawlers keep them up to date.
+async function main() {
+  const batchSize = parseInt(process.argv[2], 10) || 10000;
+  const pool = new Pool(config.postgresConnParams);
+  await rebuildAccounts(pool, config.network.name, batchSize, loggerOptions);
+  console.log('Accounts rebuilt');
+  await pool.end();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(-1);
+});
@@ -0,0 +1,12 @@
+const config = require('./backend.config.js');
+const ApiServer = require('./lib/ApiServer.js');
+
+async function main() {
+  const server = new ApiServer(config);
+  await server.listen();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(-1);
+});
@@ -1,7 +1,14 @@
 require('dotenv').config();
+const path = require('path');
+const { getNetwork } = require('./lib/networks.js');
+
+const splitList = (list) => (list || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter((item) => item !== '');
 
 module.exports = {
-  substrateNetwork: process.env.SUBSTRATE_NETWORK || 'kusama',
+  network: getNetwork(process.env.SUBSTRATE_NETWORK || 'kusama'),
   wsProviderUrl: process.env.WS_PROVIDER_URL || 'ws://substrate-node:9944',
   postgresConnParams: {
     user: process.env.POSTGRES_USER || 'vrc',
@@ -10,36 +17,234 @@ module.exports = {
     password: process.env.POSTGRES_PASSWORD || 'vrc',
     port: process.env.POSTGRES_PORT || 5432,
   },
+  api: {
+    port: parseInt(process.env.API_PORT, 10) || 3000,
+    basePath: '/api/v1',
+    defaultPageSize: 20,
+    maxPageSize: 100,
+    // nomination simulations running or waiting, more are answered with 503
+    maxPendingSimulations: 4,
+  },
+  supervisor: {
+    healthCheckInterval: 30 * 1000,
+    restartBaseDelay: 10 * 1000,
+    restartMaxDelay: 10 * 60 * 1000,
+  },
+  // A crawler module exports name, start(api, pool, config, network),
+  // stop() and health(). The api connection is shared, crawlers must not
+  // disconnect it. stallTimeout is the time without progress after which
+  // the supervisor restarts it.
   crawlers: [
     {
       enabled: !process.env.CRAWLER_BLOCK_LISTENER_DISABLE,
       // eslint-disable-next-line global-require
       module: require('./lib/crawlers/blockListener'),
+      stallTimeout: 5 * 60 * 1000,
+      config: {
+        // blocks missed while disconnected that are ingested on (re)start,
+        // anything older is left to the harvester
+        catchUpLimit: 600,
+      },
     },
     {
       enabled: !process.env.CRAWLER_BLOCK_HARVESTER_DISABLE,
       // eslint-disable-next-line global-require
       module: require('./lib/crawlers/blockHarvester'),
+      stallTimeout: 2 * 60 * 60 * 1000,
       config: {
         startDelay: 60 * 1000,
         pollingTime:
           parseInt(process.env.CRAWLER_BLOCK_LISTENER_POLLING_TIME_MS, 10)
           || 60 * 60 * 1000,
+        // blocks fetched in parallel
+        concurrency:
+          parseInt(process.env.CRAWLER_BLOCK_HARVESTER_CONCURRENCY, 10)
+          || 10,
+        // blocks harvested between checkpoints
+        checkpointSize: 500,
+        // failed blocks are retried with exponential backoff
+        retry: {
+          maxAttempts: 10,
+          baseDelay: 60 * 1000,
+          maxDelay: 24 * 60 * 60 * 1000,
+        },
       },
     },
     {
       enabled: !process.env.CRAWLER_RANKING_DISABLE,
       // eslint-disable-next-line global-require
       module: require('./lib/crawlers/ranking'),
+      stallTimeout: 30 * 60 * 1000,
       config: {
         startDelay: 30 * 1000,
         pollingTime:
           parseInt(process.env.CRAWLER_RANKING_POLLING_TIME_MS, 10)
           || 5 * 60 * 1000,
-        historySize: 84,
-        erasPerDay: 4,
-        tokenDecimals: 12,
+        // eras, older than the ones kept by the node need a backfill
+        historySize:
+          parseInt(process.env.CRAWLER_RANKING_HISTORY_SIZE, 10)
+          || 84,
+        // rating rules, see scoring.json
+        scoring: process.env.CRAWLER_RANKING_SCORING
+          ? path.resolve(process.env.CRAWLER_RANKING_SCORING)
+          : path.join(__dirname, 'scoring.json'),
+        snapshotRetention: {
+          // keep every ranking snapshot for this number of days...
+          keepAllDays:
+            parseInt(process.env.CRAWLER_RANKING_KEEP_ALL_DAYS, 10)
+            || 7,
+          // ...and then only the last snapshot of each era (0 = forever)
+          keepEraDays:
+            parseInt(process.env.CRAWLER_RANKING_KEEP_ERA_DAYS, 10)
+            || 0,
+        },
+      },
+    },
+    {
+      enabled: !process.env.CRAWLER_FUNDING_GRAPH_DISABLE,
+      // eslint-disable-next-line global-require
+      module: require('./lib/crawlers/fundingGraph'),
+      stallTimeout: 2 * 60 * 60 * 1000,
+      config: {
+        startDelay: 10 * 60 * 1000,
+        pollingTime:
+          parseInt(process.env.CRAWLER_FUNDING_GRAPH_POLLING_TIME_MS, 10)
+          || 6 * 60 * 60 * 1000,
+        // validators funded by the same account within this number of
+        // blocks (about a day) are grouped
+        windowBlocks:
+          parseInt(process.env.CRAWLER_FUNDING_GRAPH_WINDOW_BLOCKS, 10)
+          || 14400,
+        minValidators: 3,
+        // accounts that funded more validators are probably exchanges
+        maxSourceValidators: 20,
+      },
+    },
+    {
+      enabled: !process.env.CRAWLER_OFFENCES_DISABLE,
+      // eslint-disable-next-line global-require
+      module: require('./lib/crawlers/offences'),
+      stallTimeout: 2 * 60 * 60 * 1000,
+      config: {
+        startDelay: 5 * 60 * 1000,
+        pollingTime:
+          parseInt(process.env.CRAWLER_OFFENCES_POLLING_TIME_MS, 10)
+          || 60 * 60 * 1000,
+      },
+    },
+    {
+      enabled: !process.env.CRAWLER_RELIABILITY_DISABLE,
+      // eslint-disable-next-line global-require
+      module: require('./lib/crawlers/reliability'),
+      stallTimeout: 60 * 60 * 1000,
+      config: {
+        startDelay: 60 * 1000,
+        // heartbeats are polled during the session
+        pollingTime:
+          parseInt(process.env.CRAWLER_RELIABILITY_POLLING_TIME_MS, 10)
+          || 10 * 60 * 1000,
+        // eras kept, same window as the ranking
+        historySize:
+          parseInt(process.env.CRAWLER_RANKING_HISTORY_SIZE, 10)
+          || 84,
+      },
+    },
+    {
+      enabled: !process.env.CRAWLER_REWARDS_DISABLE,
+      // eslint-disable-next-line global-require
+      module: require('./lib/crawlers/rewards'),
+      stallTimeout: 2 * 60 * 60 * 1000,
+      config: {
+        startDelay: 5 * 60 * 1000,
+        pollingTime:
+          parseInt(process.env.CRAWLER_REWARDS_POLLING_TIME_MS, 10)
+          || 60 * 60 * 1000,
+        // blocks with payouts indexed per run
+        batchSize: 1000,
+      },
+    },
+    {
+      enabled: !process.env.CRAWLER_COMMISSIONS_DISABLE,
+      // eslint-disable-next-line global-require
+      module: require('./lib/crawlers/commissions'),
+      stallTimeout: 2 * 60 * 60 * 1000,
+      config: {
+        startDelay: 5 * 60 * 1000,
+        pollingTime:
+          parseInt(process.env.CRAWLER_COMMISSIONS_POLLING_TIME_MS, 10)
+          || 10 * 60 * 1000,
+      },
+    },
+    {
+      enabled: !process.env.CRAWLER_ALERTS_DISABLE,
+      // eslint-disable-next-line global-require
+      module: require('./lib/crawlers/alerts'),
+      stallTimeout: 60 * 60 * 1000,
+      config: {
+        startDelay: 5 * 60 * 1000,
+        pollingTime:
+          parseInt(process.env.CRAWLER_ALERTS_POLLING_TIME_MS, 10)
+          || 5 * 60 * 1000,
+        // comma separated addresses, the targets of the nominators are
+        // watched too
+        validators: splitList(process.env.ALERTS_VALIDATORS),
+        nominators: splitList(process.env.ALERTS_NOMINATORS),
+        pendingPayoutsThreshold: parseInt(process.env.ALERTS_PENDING_PAYOUTS, 10) || 4,
+        // A channel module exports name and send(alerts, config, network)
+        channels: [
+          {
+            enabled: Boolean(process.env.ALERTS_WEBHOOK_URL),
+            // eslint-disable-next-line global-require
+            module: require('./lib/channels/webhook'),
+            config: {
+              url: process.env.ALERTS_WEBHOOK_URL,
+              headers: process.env.ALERTS_WEBHOOK_TOKEN
+                ? { Authorization: `Bearer ${process.env.ALERTS_WEBHOOK_TOKEN}` }
+                : {},
+              timeout: 10 * 1000,
+            },
+          },
+          {
+            enabled: Boolean(process.env.ALERTS_SMTP_HOST),
+            // eslint-disable-next-line global-require
+            module: require('./lib/channels/smtp'),
+            config: {
+              host: process.env.ALERTS_SMTP_HOST,
+              port: parseInt(process.env.ALERTS_SMTP_PORT, 10) || 25,
+              secure: process.env.ALERTS_SMTP_SECURE === 'true',
+              user: process.env.ALERTS_SMTP_USER,
+              password: process.env.ALERTS_SMTP_PASSWORD,
+              from: process.env.ALERTS_SMTP_FROM,
+              to: splitList(process.env.ALERTS_SMTP_TO),
+              timeout: 30 * 1000,
+            },
+          },
+          // Custom channels, comma separated list of module paths
+          ...splitList(process.env.ALERTS_CHANNEL_PLUGINS).map((modulePath) => {
+            // eslint-disable-next-line global-require, import/no-dynamic-require
+            const plugin = require(path.resolve(modulePath));
+            return {
+              enabled: true,
+              module: plugin,
+              config: plugin.config,
+            };
+          }),
+        ],
       },
     },
+    // Custom crawlers, comma separated list of module paths
+    ...(process.env.CRAWLER_PLUGINS || '')
+      .split(',')
+      .filter((modulePath) => modulePath.trim() !== '')
+      .map((modulePath) => {
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        const plugin = require(path.resolve(modulePath.trim()));
+        return {
+          enabled: true,
+          module: plugin,
+          stallTimeout: plugin.stallTimeout || 60 * 60 * 1000,
+          config: plugin.config,
+        };
+      }),
   ],
 };
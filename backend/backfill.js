@@ -0,0 +1,28 @@
+const { ApiPromise, WsProvider } = require('@polkadot/api');
+const { Pool } = require('pg');
+const config = require('./backend.config.js');
+const { backfillEras } = require('./lib/eras.js');
+
+const loggerOptions = {
+  crawler: 'backfill',
+};
+
+// Cache staking data of eras older than the ones kept by the node, so the
+// ranking history can be longer: node backfill.js <eras>. Needs an archive node.
+async function main() {
+  const count = parseInt(process.argv[2], 10);
+  if (!(count > 0)) {
+    throw new Error('Usage: node backfill.js <number of eras>');
+  }
+  const api = await ApiPromise.create({ provider: new WsProvider(config.wsProviderUrl) });
+  const pool = new Pool(config.postgresConnParams);
+  const backfilled = await backfillEras(api, pool, config.network, count, loggerOptions);
+  console.log(`Backfilled ${backfilled} eras`);
+  await pool.end();
+  await api.disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(-1);
+});
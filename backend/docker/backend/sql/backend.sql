@@ -1,6 +1,7 @@
 GRANT ALL PRIVILEGES ON DATABASE vrc TO vrc;
 
 CREATE TABLE IF NOT EXISTS block (  
+  network TEXT NOT NULL,
   block_number BIGINT NOT NULL,
   finalized BOOLEAN NOT NULL,
   block_author TEXT NOT NULL,
@@ -12,16 +13,29 @@ CREATE TABLE IF NOT EXISTS block (
   total_events INT NOT NULL,
   total_extrinsics INT NOT NULL,
   timestamp BIGINT NOT NULL,
-  PRIMARY KEY ( block_number )  
+  PRIMARY KEY ( network, block_number )  
 );
 
 CREATE TABLE IF NOT EXISTS harvester_error (  
+  network TEXT NOT NULL,
   block_number BIGINT NOT NULL,
   error TEXT NOT NULL,
-  timestamp BIGINT NOT NULL
+  attempts INT NOT NULL,
+  next_retry BIGINT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, block_number )
+);
+
+CREATE TABLE IF NOT EXISTS harvester_checkpoint (
+  network TEXT NOT NULL,
+  gap_start BIGINT NOT NULL,
+  gap_end BIGINT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, gap_start )
 );
 
 CREATE TABLE IF NOT EXISTS event (  
+  network TEXT NOT NULL,
   block_number BIGINT NOT NULL,
   event_index INT NOT NULL,
   section TEXT NOT NULL,
@@ -29,10 +43,11 @@ CREATE TABLE IF NOT EXISTS event (
   phase TEXT NOT NULL,
   data TEXT NOT NULL,
   timestamp BIGINT NOT NULL,
-  PRIMARY KEY ( block_number, event_index ) 
+  PRIMARY KEY ( network, block_number, event_index ) 
 );
 
 CREATE TABLE IF NOT EXISTS extrinsic (  
+  network TEXT NOT NULL,
   block_number BIGINT NOT NULL,
   extrinsic_index INT NOT NULL,
   is_signed BOOLEAN NOT NULL,
@@ -44,10 +59,11 @@ CREATE TABLE IF NOT EXISTS extrinsic (
   doc TEXT NOT NULL,
   success BOOLEAN NOT NULL,
   timestamp BIGINT NOT NULL,
-  PRIMARY KEY ( block_number, extrinsic_index ) 
+  PRIMARY KEY ( network, block_number, extrinsic_index ) 
 );
 
 CREATE TABLE IF NOT EXISTS ranking (
+  network TEXT NOT NULL,
   block_height BIGINT NOT NULL,
   rank INT NOT NULL,
   active BOOLEAN NOT NULL,
@@ -59,8 +75,8 @@ CREATE TABLE IF NOT EXISTS ranking (
   verified_identity BOOLEAN NOT NULL,
   identity_rating INT NOT NULL,
   stash_address TEXT NOT NULL,
-  stash_address_creation_block BIGINT NOT NULL,
-  stash_parent_address_creation_block BIGINT NOT NULL,
+  stash_address_creation_block BIGINT,
+  stash_parent_address_creation_block BIGINT,
   address_creation_rating INT NOT NULL,
   controller_address TEXT NOT NULL,
   included_thousand_validators BOOLEAN NOT NULL,
@@ -68,11 +84,19 @@ CREATE TABLE IF NOT EXISTS ranking (
   part_of_cluster BOOLEAN NOT NULL,
   cluster_name TEXT NOT NULL,
   cluster_members INT NOT NULL,
+  cluster_confidence TEXT NOT NULL,
+  cluster_links TEXT NOT NULL,
+  suspected_clusters TEXT NOT NULL,
   show_cluster_member BOOLEAN NOT NULL,
+  cluster_rotation TEXT,
   nominators INT NOT NULL,
+  oversubscribed BOOLEAN NOT NULL,
+  rewarded_stake_cutoff TEXT,
+  rewarded_slots_left INT NOT NULL,
   nominators_rating INT NOT NULL,
   commission TEXT NOT NULL,
   commission_history TEXT NOT NULL,
+  commission_changes TEXT NOT NULL,
   commission_rating INT NOT NULL,
   active_eras INT NOT NULL,
   era_points_history TEXT NOT NULL,
@@ -88,33 +112,263 @@ CREATE TABLE IF NOT EXISTS ranking (
   governance_rating INT NOT NULL,
   payout_history TEXT NOT NULL,
   payout_rating INT NOT NULL,
+  block_production_history TEXT NOT NULL,
+  block_production_percent TEXT NOT NULL,
+  block_production_rating INT NOT NULL,
+  heartbeat_history TEXT NOT NULL,
+  heartbeat_percent TEXT NOT NULL,
+  heartbeat_rating INT NOT NULL,
+  return_history TEXT NOT NULL,
+  annualized_return TEXT NOT NULL,
   self_stake BIGINT NOT NULL,
   other_stake BIGINT NOT NULL,
   total_stake BIGINT NOT NULL,
+  likely_elected BOOLEAN NOT NULL,
+  predicted_stake BIGINT NOT NULL,
   total_rating INT NOT NULL,
   dominated BOOLEAN NOT NULL,
+  dominance_layer INT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, block_height, stash_address )
+);
+
+CREATE TABLE IF NOT EXISTS ranking_snapshot (
+  network TEXT NOT NULL,
+  block_height BIGINT NOT NULL,
+  era INT NOT NULL,
+  validators INT NOT NULL,
+  scoring TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, block_height )
+);
+
+CREATE TABLE IF NOT EXISTS election (
+  network TEXT NOT NULL,
+  block_height BIGINT NOT NULL,
+  election TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network )
+);
+
+CREATE TABLE IF NOT EXISTS era_staking (
+  network TEXT NOT NULL,
+  era INT NOT NULL,
+  total_points BIGINT NOT NULL,
+  points TEXT NOT NULL,
+  commissions TEXT NOT NULL,
+  slashes TEXT NOT NULL,
+  stakes TEXT NOT NULL,
+  slashes_final BOOLEAN NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, era )
+);
+
+CREATE TABLE IF NOT EXISTS era_blocks (
+  network TEXT NOT NULL,
+  era INT NOT NULL,
+  stash TEXT NOT NULL,
+  authored INT NOT NULL,
+  expected TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, era, stash )
+);
+
+CREATE TABLE IF NOT EXISTS heartbeat (
+  network TEXT NOT NULL,
+  session INT NOT NULL,
+  era INT NOT NULL,
+  stash TEXT NOT NULL,
+  heartbeat BOOLEAN NOT NULL,
+  online BOOLEAN NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, session, stash )
+);
+
+CREATE TABLE IF NOT EXISTS payout (
+  network TEXT NOT NULL,
+  era INT NOT NULL,
+  validator TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  event_index INT NOT NULL,
+  validator_reward TEXT NOT NULL,
+  nominators_reward TEXT NOT NULL,
+  nominators INT NOT NULL,
+  total_stake TEXT NOT NULL,
+  own_stake TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, era, validator )
+);
+
+CREATE TABLE IF NOT EXISTS commission_change (
+  network TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  extrinsic_index INT NOT NULL,
+  stash TEXT NOT NULL,
+  era INT NOT NULL,
+  commission INT NOT NULL,
+  previous_commission INT,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, block_number, extrinsic_index )
+);
+
+CREATE TABLE IF NOT EXISTS alert (
+  network TEXT NOT NULL,
+  key TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  address TEXT NOT NULL,
+  target TEXT,
+  era INT NOT NULL,
+  block_height BIGINT NOT NULL,
+  message TEXT NOT NULL,
   timestamp BIGINT NOT NULL,
-  PRIMARY KEY ( block_height, stash_address )
+  PRIMARY KEY ( network, key )
+);
+
+CREATE TABLE IF NOT EXISTS alert_delivery (
+  network TEXT NOT NULL,
+  key TEXT NOT NULL,
+  channel TEXT NOT NULL,
+  delivered BOOLEAN NOT NULL,
+  attempts INT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, key, channel )
+);
+
+CREATE TABLE IF NOT EXISTS alert_checkpoint (
+  network TEXT NOT NULL,
+  block_height BIGINT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network )
+);
+
+CREATE TABLE IF NOT EXISTS nominator (
+  network TEXT NOT NULL,
+  era INT NOT NULL,
+  nominator TEXT NOT NULL,
+  target TEXT NOT NULL,
+  bonded TEXT NOT NULL,
+  elected BOOLEAN NOT NULL,
+  active BOOLEAN NOT NULL,
+  stake TEXT,
+  rewarded BOOLEAN NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, era, nominator, target )
+);
+
+CREATE TABLE IF NOT EXISTS account (
+  network TEXT NOT NULL,
+  account_id TEXT NOT NULL,
+  created_at_block BIGINT,
+  funded_by TEXT,
+  funded_at_block BIGINT,
+  funding_amount TEXT,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, account_id )
+);
+
+CREATE TABLE IF NOT EXISTS account_history (
+  network TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  event_index INT NOT NULL,
+  account_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  PRIMARY KEY ( network, block_number, event_index )
+);
+
+CREATE TABLE IF NOT EXISTS offence (
+  network TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  event_index INT NOT NULL,
+  account_id TEXT NOT NULL,
+  era INT NOT NULL,
+  kind TEXT NOT NULL,
+  amount TEXT,
+  cancelled BOOLEAN NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, block_number, event_index, account_id )
+);
+
+CREATE TABLE IF NOT EXISTS offence_event (
+  network TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  event_index INT NOT NULL,
+  PRIMARY KEY ( network, block_number, event_index )
+);
+
+CREATE TABLE IF NOT EXISTS funding_group (
+  network TEXT NOT NULL,
+  id TEXT NOT NULL,
+  source TEXT NOT NULL,
+  via TEXT NOT NULL,
+  validators TEXT NOT NULL,
+  first_block BIGINT NOT NULL,
+  last_block BIGINT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, id )
+);
+
+CREATE TABLE IF NOT EXISTS crawler_status (
+  network TEXT NOT NULL,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL,
+  last_success BIGINT,
+  last_error TEXT,
+  last_error_at BIGINT,
+  lag BIGINT NOT NULL,
+  restarts INT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY ( network, name )
 );
 
 CREATE TABLE IF NOT EXISTS total (  
-  name TEXT,
+  network TEXT NOT NULL,
+  name TEXT NOT NULL,
   count BIGINT NOT NULL,
-  PRIMARY KEY ( name )
+  PRIMARY KEY ( network, name )
 );
 
-INSERT INTO total (name, count) VALUES ('blocks', 0),('extrinsics', 0),('transfers', 0),('events', 0),('active_validator_count', 0),('waiting_validator_count', 0),('nominator_count', 0),('current_era', 0),('minimum_stake', 0);
+CREATE INDEX IF NOT EXISTS extrinsic_section_idx ON extrinsic (network, section);
+CREATE INDEX IF NOT EXISTS extrinsic_method_idx ON extrinsic (network, method);
+CREATE INDEX IF NOT EXISTS extrinsic_signer_idx ON extrinsic (network, signer);
+CREATE INDEX IF NOT EXISTS extrinsic_hash_idx ON extrinsic (network, hash);
+
+CREATE INDEX IF NOT EXISTS block_hash_idx ON block (network, block_hash);
+
+CREATE INDEX IF NOT EXISTS event_section_idx ON event (network, section);
+CREATE INDEX IF NOT EXISTS event_method_idx ON event (network, method);
 
-CREATE INDEX IF NOT EXISTS extrinsic_section_idx ON extrinsic (section);
-CREATE INDEX IF NOT EXISTS extrinsic_method_idx ON extrinsic (method);
-CREATE INDEX IF NOT EXISTS extrinsic_signer_idx ON extrinsic (signer);
+CREATE INDEX IF NOT EXISTS heartbeat_era_idx ON heartbeat (network, era);
+CREATE INDEX IF NOT EXISTS payout_block_idx ON payout (network, block_number, event_index);
+CREATE INDEX IF NOT EXISTS commission_change_stash_idx ON commission_change (network, stash);
+CREATE INDEX IF NOT EXISTS nominator_target_idx ON nominator (network, target);
+CREATE INDEX IF NOT EXISTS alert_delivery_pending_idx ON alert_delivery (network) WHERE NOT delivered;
+CREATE INDEX IF NOT EXISTS offence_account_idx ON offence (network, account_id);
+CREATE INDEX IF NOT EXISTS account_history_account_idx ON account_history (network, account_id, block_number);
+CREATE INDEX IF NOT EXISTS ranking_stash_address_idx ON ranking (network, stash_address, block_height);
 
-CREATE INDEX IF NOT EXISTS event_section_idx ON event (section);
-CREATE INDEX IF NOT EXISTS event_method_idx ON event (method);
+CREATE INDEX IF NOT EXISTS ranking_snapshot_era_idx ON ranking_snapshot (network, era);
 
 GRANT ALL PRIVILEGES ON TABLE block TO vrc;
 GRANT ALL PRIVILEGES ON TABLE harvester_error TO vrc;
+GRANT ALL PRIVILEGES ON TABLE harvester_checkpoint TO vrc;
 GRANT ALL PRIVILEGES ON TABLE event TO vrc;
 GRANT ALL PRIVILEGES ON TABLE extrinsic TO vrc;
 GRANT ALL PRIVILEGES ON TABLE ranking TO vrc;
+GRANT ALL PRIVILEGES ON TABLE ranking_snapshot TO vrc;
+GRANT ALL PRIVILEGES ON TABLE election TO vrc;
+GRANT ALL PRIVILEGES ON TABLE era_staking TO vrc;
+GRANT ALL PRIVILEGES ON TABLE era_blocks TO vrc;
+GRANT ALL PRIVILEGES ON TABLE heartbeat TO vrc;
+GRANT ALL PRIVILEGES ON TABLE payout TO vrc;
+GRANT ALL PRIVILEGES ON TABLE commission_change TO vrc;
+GRANT ALL PRIVILEGES ON TABLE alert TO vrc;
+GRANT ALL PRIVILEGES ON TABLE alert_delivery TO vrc;
+GRANT ALL PRIVILEGES ON TABLE alert_checkpoint TO vrc;
+GRANT ALL PRIVILEGES ON TABLE nominator TO vrc;
+GRANT ALL PRIVILEGES ON TABLE offence TO vrc;
+GRANT ALL PRIVILEGES ON TABLE offence_event TO vrc;
+GRANT ALL PRIVILEGES ON TABLE account TO vrc;
+GRANT ALL PRIVILEGES ON TABLE account_history TO vrc;
+GRANT ALL PRIVILEGES ON TABLE funding_group TO vrc;
+GRANT ALL PRIVILEGES ON TABLE crawler_status TO vrc;
 GRANT ALL PRIVILEGES ON TABLE total TO vrc;
@@ -0,0 +1,91 @@
+-- Upgrades a database created before data was stored per network, run it
+-- before backend.sql (which creates the tables and indexes added since):
+--
+--   cat upgrade.sql backend.sql | psql -U vrc -d vrc -v network=kusama -v ON_ERROR_STOP=1
+--
+-- Existing rows are assigned to the network given in the network variable.
+-- It can be run more than once.
+
+BEGIN;
+
+-- network column and primary keys
+
+ALTER TABLE block ADD COLUMN IF NOT EXISTS network TEXT;
+UPDATE block SET network = :'network' WHERE network IS NULL;
+ALTER TABLE block ALTER COLUMN network SET NOT NULL;
+ALTER TABLE block DROP CONSTRAINT IF EXISTS block_pkey;
+ALTER TABLE block ADD PRIMARY KEY ( network, block_number );
+
+ALTER TABLE event ADD COLUMN IF NOT EXISTS network TEXT;
+UPDATE event SET network = :'network' WHERE network IS NULL;
+ALTER TABLE event ALTER COLUMN network SET NOT NULL;
+ALTER TABLE event DROP CONSTRAINT IF EXISTS event_pkey;
+ALTER TABLE event ADD PRIMARY KEY ( network, block_number, event_index );
+
+ALTER TABLE extrinsic ADD COLUMN IF NOT EXISTS network TEXT;
+UPDATE extrinsic SET network = :'network' WHERE network IS NULL;
+ALTER TABLE extrinsic ALTER COLUMN network SET NOT NULL;
+ALTER TABLE extrinsic DROP CONSTRAINT IF EXISTS extrinsic_pkey;
+ALTER TABLE extrinsic ADD PRIMARY KEY ( network, block_number, extrinsic_index );
+
+-- errors used to be appended, keep the last one of every block
+ALTER TABLE harvester_error ADD COLUMN IF NOT EXISTS network TEXT;
+UPDATE harvester_error SET network = :'network' WHERE network IS NULL;
+ALTER TABLE harvester_error ALTER COLUMN network SET NOT NULL;
+ALTER TABLE harvester_error ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 1;
+ALTER TABLE harvester_error ADD COLUMN IF NOT EXISTS next_retry BIGINT NOT NULL DEFAULT 0;
+DELETE FROM harvester_error a USING harvester_error b
+  WHERE a.network = b.network AND a.block_number = b.block_number
+  AND (a.timestamp, a.ctid) < (b.timestamp, b.ctid);
+ALTER TABLE harvester_error DROP CONSTRAINT IF EXISTS harvester_error_pkey;
+ALTER TABLE harvester_error ADD PRIMARY KEY ( network, block_number );
+
+ALTER TABLE total ADD COLUMN IF NOT EXISTS network TEXT;
+UPDATE total SET network = :'network' WHERE network IS NULL;
+ALTER TABLE total ALTER COLUMN network SET NOT NULL;
+ALTER TABLE total DROP CONSTRAINT IF EXISTS total_pkey;
+ALTER TABLE total ADD PRIMARY KEY ( network, name );
+
+-- ranking, the defaults only fill the rows of past rankings
+
+ALTER TABLE ranking ADD COLUMN IF NOT EXISTS network TEXT;
+UPDATE ranking SET network = :'network' WHERE network IS NULL;
+ALTER TABLE ranking ALTER COLUMN network SET NOT NULL;
+ALTER TABLE ranking DROP CONSTRAINT IF EXISTS ranking_pkey;
+ALTER TABLE ranking ADD PRIMARY KEY ( network, block_height, stash_address );
+
+ALTER TABLE ranking
+  ADD COLUMN IF NOT EXISTS cluster_confidence TEXT NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS cluster_links TEXT NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS suspected_clusters TEXT NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS cluster_rotation TEXT,
+  ADD COLUMN IF NOT EXISTS oversubscribed BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS rewarded_stake_cutoff TEXT,
+  ADD COLUMN IF NOT EXISTS rewarded_slots_left INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS commission_changes TEXT NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS block_production_history TEXT NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS block_production_percent TEXT NOT NULL DEFAULT '0',
+  ADD COLUMN IF NOT EXISTS block_production_rating INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS heartbeat_history TEXT NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS heartbeat_percent TEXT NOT NULL DEFAULT '0',
+  ADD COLUMN IF NOT EXISTS heartbeat_rating INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS return_history TEXT NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS annualized_return TEXT NOT NULL DEFAULT '0',
+  ADD COLUMN IF NOT EXISTS likely_elected BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS predicted_stake BIGINT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dominance_layer INT NOT NULL DEFAULT 1;
+
+-- creation blocks are null when unknown
+ALTER TABLE ranking
+  ALTER COLUMN stash_address_creation_block DROP NOT NULL,
+  ALTER COLUMN stash_parent_address_creation_block DROP NOT NULL;
+
+-- indexes that now include the network, backend.sql creates them again
+
+DROP INDEX IF EXISTS extrinsic_section_idx;
+DROP INDEX IF EXISTS extrinsic_method_idx;
+DROP INDEX IF EXISTS extrinsic_signer_idx;
+DROP INDEX IF EXISTS event_section_idx;
+DROP INDEX IF EXISTS event_method_idx;
+
+COMMIT;
@@ -0,0 +1,88 @@
+// @ts-check
+const http = require('http');
+const pino = require('pino');
+const { Pool } = require('pg');
+const { HttpError, createRouter } = require('./api/router.js');
+const { routes } = require('./api/routes.js');
+const { getOpenApi } = require('./api/openapi.js');
+
+const logger = pino();
+const loggerOptions = {
+  service: 'api',
+};
+
+// Request targets like //[ aren't valid URLs, they're a client error
+const parseUrl = (target) => {
+  try {
+    return new URL(target, 'http://localhost');
+  } catch (error) {
+    throw new HttpError(400, `Invalid URL ${target}`);
+  }
+};
+
+// Versioned REST API over the data stored by the crawlers
+class ApiServer {
+  constructor(config) {
+    this.config = config;
+    this.router = createRouter();
+    Object.entries(routes).forEach(([pattern, handler]) => {
+      this.router.get(`${config.api.basePath}${pattern}`, handler);
+    });
+    this.openApi = getOpenApi(config.api, config.network.name);
+  }
+
+  async listen() {
+    this.pool = new Pool(this.config.postgresConnParams);
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve) => this.server.listen(this.config.api.port, resolve));
+    logger.info(loggerOptions, `API listening on port ${this.config.api.port}`);
+  }
+
+  async handle(req, res) {
+    const startTime = new Date().getTime();
+    let status = 200;
+    let body;
+    try {
+      const url = parseUrl(req.url);
+      if (req.method === 'OPTIONS') {
+        status = 204;
+      } else if (req.method !== 'GET') {
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      } else if (url.pathname === `${this.config.api.basePath}/openapi.json`) {
+        body = this.openApi;
+      } else {
+        const route = this.router.match(url.pathname);
+        if (!route) {
+          throw new HttpError(404, `Unknown endpoint ${url.pathname}`);
+        }
+        const query = Object.fromEntries(url.searchParams.entries());
+        body = await route.handler({
+          pool: this.pool,
+          network: query.network || this.config.network.name,
+          params: route.params,
+          query,
+          config: this.config.api,
+        });
+      }
+    } catch (error) {
+      if (error instanceof HttpError) {
+        status = error.status;
+        body = { error: error.message };
+      } else {
+        logger.error(loggerOptions, `Error serving ${req.url}: ${error}`);
+        status = 500;
+        body = { error: 'Internal server error' };
+      }
+    }
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    });
+    res.end(body !== undefined ? JSON.stringify(body) : undefined);
+    const endTime = new Date().getTime();
+    logger.info(loggerOptions, `${req.method} ${req.url} ${status} ${endTime - startTime}ms`);
+  }
+}
+
+module.exports = ApiServer;
@@ -10,6 +10,8 @@ class Backend {
   constructor(config) {
     this.config = config;
     this.nodeisSyncing = true;
+    this.paused = false;
+    this.resuming = false;
   }
 
   async runCrawlers() {
@@ -18,29 +20,180 @@ class Backend {
 
     const pool = await this.getPool();
 
-    let api = await this.getPolkadotAPI();
-    while (!api) {
-      // eslint-disable-next-line no-await-in-loop
-      await wait(10000);
-      // eslint-disable-next-line no-await-in-loop
-      api = await this.getPolkadotAPI();
-    }
+    // one connection shared by all the crawlers, they are paused while
+    // the node is unreachable or syncing and resumed afterwards
+    this.api = await this.getPolkadotAPI();
+    this.api.on('disconnected', () => this.pauseCrawlers('disconnected from node'));
+    this.api.on('connected', () => this.resumeCrawlers());
 
     logger.info('Running crawlers');
 
-    this.config.crawlers
+    this.pool = pool;
+    this.crawlers = this.config.crawlers
       .filter((crawler) => crawler.enabled)
-      .forEach(
-        (crawler) => crawler.module.start(
-          this.config.wsProviderUrl,
-          pool,
-          crawler.config,
-          this.config.substrateNetwork,
-        ));
+      .map((crawler) => ({
+        ...crawler,
+        name: crawler.module.name,
+        status: 'stopped',
+        startedAt: 0,
+        restarts: 0,
+        totalRestarts: 0,
+      }));
+    this.crawlers.forEach((crawler) => this.startCrawler(crawler));
+    this.scheduleCheck();
+  }
+
+  // the next check is only scheduled once the previous one is done, a slow
+  // one must not overlap the next and restart a crawler twice
+  scheduleCheck() {
+    setTimeout(async () => {
+      try {
+        await this.checkCrawlers();
+      } catch (error) {
+        logger.error(`Error checking crawlers: ${error}`);
+      }
+      this.scheduleCheck();
+    }, this.config.supervisor.healthCheckInterval);
+  }
+
+  startCrawler(crawler) {
+    logger.info(`Starting crawler ${crawler.name}`);
+    Object.assign(crawler, { status: 'running', startedAt: new Date().getTime() });
+    crawler.module.start(
+      this.api,
+      this.pool,
+      crawler.config,
+      this.config.network,
+    ).catch((error) => this.restartCrawler(crawler, error));
+  }
+
+  // Stop a failed or stalled crawler and start it again after an
+  // exponential backoff delay
+  async restartCrawler(crawler, reason) {
+    if (crawler.status !== 'running') {
+      return;
+    }
+    const { restartBaseDelay, restartMaxDelay } = this.config.supervisor;
+    const delay = Math.min(restartBaseDelay * 2 ** crawler.restarts, restartMaxDelay);
+    Object.assign(crawler, {
+      status: 'restarting',
+      restarts: crawler.restarts + 1,
+      totalRestarts: crawler.totalRestarts + 1,
+    });
+    logger.warn(`Crawler ${crawler.name} failed (${reason}), restarting in ${delay / 1000}s`);
+    await this.storeCrawlerStatus(crawler, crawler.module.health());
+    try {
+      await crawler.module.stop();
+    } catch (error) {
+      logger.error(`Error stopping crawler ${crawler.name}: ${error}`);
+    }
+    await wait(delay);
+    if (this.paused) {
+      // eslint-disable-next-line no-param-reassign
+      crawler.status = 'paused';
+    } else {
+      this.startCrawler(crawler);
+    }
+  }
+
+  async pauseCrawlers(reason) {
+    if (this.paused) {
+      return;
+    }
+    this.paused = true;
+    logger.warn(`Pausing crawlers: ${reason}`);
+    // eslint-disable-next-line no-restricted-syntax
+    for (const crawler of this.crawlers.filter(({ status }) => status === 'running')) {
+      crawler.status = 'paused';
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await crawler.module.stop();
+      } catch (error) {
+        logger.error(`Error stopping crawler ${crawler.name}: ${error}`);
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await this.storeCrawlerStatus(crawler, crawler.module.health());
+    }
+  }
+
+  async resumeCrawlers() {
+    if (!this.paused || this.resuming) {
+      return;
+    }
+    this.resuming = true;
+    await this.waitForSync(this.api);
+    this.paused = false;
+    this.resuming = false;
+    logger.info('Resuming crawlers');
+    this.crawlers
+      .filter(({ status }) => status === 'paused')
+      .forEach((crawler) => this.startCrawler(crawler));
+  }
+
+  async checkCrawlers() {
+    if (!this.paused) {
+      try {
+        const node = await this.api.rpc.system.health();
+        if (node.isSyncing.eq(true)) {
+          this.nodeisSyncing = true;
+          await this.pauseCrawlers('node is syncing');
+          this.resumeCrawlers();
+        }
+      } catch (error) {
+        logger.error(`Error checking node health: ${error}`);
+      }
+    }
+    const now = new Date().getTime();
+    // eslint-disable-next-line no-restricted-syntax
+    for (const crawler of this.crawlers) {
+      const health = crawler.module.health();
+      // crawler made progress since its last (re)start, reset backoff
+      if (health.lastSuccess > crawler.startedAt) {
+        // eslint-disable-next-line no-param-reassign
+        crawler.restarts = 0;
+      }
+      const lastActivity = Math.max(health.lastSuccess, crawler.startedAt);
+      if (crawler.status === 'running' && now - lastActivity > crawler.stallTimeout) {
+        this.restartCrawler(crawler, `no progress in ${((now - lastActivity) / 1000).toFixed(0)}s`);
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        await this.storeCrawlerStatus(crawler, health);
+      }
+    }
+  }
+
+  async storeCrawlerStatus(crawler, health) {
+    const sql = `
+      INSERT INTO crawler_status (network, name, status, last_success, last_error, last_error_at, lag, restarts, timestamp)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT ON CONSTRAINT crawler_status_pkey DO UPDATE SET
+        status = EXCLUDED.status,
+        last_success = EXCLUDED.last_success,
+        last_error = EXCLUDED.last_error,
+        last_error_at = EXCLUDED.last_error_at,
+        lag = EXCLUDED.lag,
+        restarts = EXCLUDED.restarts,
+        timestamp = EXCLUDED.timestamp;
+    `;
+    try {
+      await this.pool.query(sql, [
+        this.config.network.name,
+        crawler.name,
+        crawler.status,
+        health.lastSuccess || null,
+        health.lastError,
+        health.lastErrorAt,
+        health.lag,
+        crawler.totalRestarts,
+        new Date().getTime(),
+      ]);
+    } catch (error) {
+      logger.error(`Error storing status of crawler ${crawler.name}: ${error}`);
+    }
   }
 
   async getPolkadotAPI() {
-    logger.info(`Connecting to ${this.config.wsProviderUrl}`);
+    logger.info(`Connecting to ${this.config.network.name} node ${this.config.wsProviderUrl}`);
 
     const provider = new WsProvider(this.config.wsProviderUrl);
     const api = await ApiPromise.create({ provider });
@@ -48,35 +201,38 @@ class Backend {
 
     logger.info('API is ready!');
 
-    // Wait for node is synced
-    let node;
-    try {
-      node = await api.rpc.system.health();
-    } catch {
-      logger.error("Can't connect to node! Waiting 10s...");
-      api.disconnect();
-      await wait(10000);
-      return false;
-    }
-
-    logger.info(`Node: ${JSON.stringify(node)}`);
+    await this.waitForSync(api);
+    return api;
+  }
 
-    if (node && node.isSyncing.eq(false)) {
-      // Node is synced!
-      logger.info('Node is synced!');
-      this.nodeisSyncing = false;
-      return api;
+  // Wait until the node is reachable and synced
+  async waitForSync(api) {
+    /* eslint-disable no-await-in-loop */
+    for (;;) {
+      try {
+        const node = await api.rpc.system.health();
+        logger.info(`Node: ${JSON.stringify(node)}`);
+        if (node.isSyncing.eq(false)) {
+          // Node is synced!
+          logger.info('Node is synced!');
+          this.nodeisSyncing = false;
+          return;
+        }
+        logger.warn('Node is not synced! Waiting 10s...');
+      } catch {
+        logger.error("Can't connect to node! Waiting 10s...");
+      }
+      this.nodeisSyncing = true;
+      await wait(10000);
     }
-    logger.warn('Node is not synced! Waiting 10s...');
-    api.disconnect();
-    await wait(10000);
-
-    return false;
+    /* eslint-enable no-await-in-loop */
   }
 
   async getPool() {
     const pool = new Pool(this.config.postgresConnParams);
-    await pool.connect();
+    // check connection, clients are checked out per query / transaction
+    const client = await pool.connect();
+    client.release();
     return pool;
   }
 }
@@ -0,0 +1,87 @@
+// @ts-check
+const { BigNumber } = require('bignumber.js');
+
+// History events, an account is reaped when its balance goes below the
+// existential deposit and can be created again later
+const historyEvents = {
+  NewAccount: 'created',
+  KilledAccount: 'reaped',
+};
+
+// Account and account history rows of a block from its event rows: system
+// NewAccount / KilledAccount and balances Transfer ([from, to, amount]).
+// Every account appears once, with the first creation and funding of the
+// block.
+function getAccountRows(events) {
+  const accounts = new Map();
+  const history = [];
+  const getAccount = (accountId, timestamp) => {
+    if (!accounts.has(accountId)) {
+      accounts.set(accountId, {
+        account_id: accountId,
+        created_at_block: null,
+        funded_by: null,
+        funded_at_block: null,
+        funding_amount: null,
+        timestamp,
+      });
+    }
+    return accounts.get(accountId);
+  };
+  events.forEach((event) => {
+    const data = JSON.parse(event.data);
+    const blockNumber = event.block_number;
+    if (event.section === 'system' && historyEvents[event.method]) {
+      const account = getAccount(data[0], event.timestamp);
+      if (event.method === 'NewAccount' && account.created_at_block === null) {
+        account.created_at_block = blockNumber;
+      }
+      history.push({
+        block_number: blockNumber,
+        event_index: event.event_index,
+        account_id: data[0],
+        event: historyEvents[event.method],
+      });
+    } else if (event.section === 'balances' && event.method === 'Transfer') {
+      const [from, to, amount] = data;
+      const account = getAccount(to, event.timestamp);
+      if (account.funded_at_block === null) {
+        account.funded_by = from;
+        account.funded_at_block = blockNumber;
+        account.funding_amount = new BigNumber(amount).toString(10);
+      }
+    }
+  });
+  return { accounts: [...accounts.values()], history };
+}
+
+// Creation block of an account row: the NewAccount event or, when it's
+// missing (created before the indexed blocks, or reset by a reorg), the first
+// funding transfer. null when neither is known, which is not the same as an
+// account created in genesis.
+function getCreationBlock(row) {
+  if (row.created_at_block !== null) {
+    return parseInt(row.created_at_block, 10);
+  }
+  if (row.funded_at_block !== null) {
+    return parseInt(row.funded_at_block, 10);
+  }
+  return null;
+}
+
+module.exports = {
+  getAccountRows,
+  getCreationBlock,
+  // Accounts by address, addresses without a row were created in genesis
+  // or before the indexed blocks
+  getAccounts: async (pool, network, addresses) => {
+    const res = await pool.query(
+      'SELECT * FROM account WHERE network = $1 AND account_id = ANY($2);',
+      [network, addresses],
+    );
+    return new Map(res.rows.map((row) => [row.account_id, {
+      createdAtBlock: getCreationBlock(row),
+      fundedBy: row.funded_by,
+    }]));
+  },
+};
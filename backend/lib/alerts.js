@@ -0,0 +1,98 @@
+// @ts-check
+//
+// Alerts for watched validators and nominators, found by comparing the
+// validators of two consecutive ranking snapshots and the nominations of the
+// current era. Every alert has a key so it's only delivered once: validator
+// alerts are keyed by the snapshot that shows the change, nominator alerts
+// by era.
+//
+
+const alertKinds = {
+  commissionIncrease: 'Commission increased',
+  inactive: 'Not elected anymore',
+  chilled: 'Stopped validating (chilled)',
+  slashed: 'Slashed',
+  pendingPayouts: 'Unclaimed rewards',
+  notRewarded: 'Stake not rewarded',
+};
+
+// Validators to watch: the watched ones and the targets of the watched
+// nominators, from the nominator rows of the current era ({ nominator,
+// target })
+function getWatchedValidators({ validators, nominators }, nominations) {
+  return [...new Set([
+    ...validators,
+    ...nominations
+      .filter(({ nominator }) => nominators.includes(nominator))
+      .map(({ target }) => target),
+  ])];
+}
+
+const pendingEras = ({ payoutHistory }) => payoutHistory
+  .filter(({ status }) => status === 'pending').length;
+
+// Alerts of the watched validators between two snapshots ({ blockHeight,
+// era, validators: [{ stashAddress, name, active, commission, slashes,
+// payoutHistory }] }), pending payouts alert once they reach
+// pendingPayoutsThreshold eras: [{ key, kind, address, target, era,
+// message }]
+function getValidatorAlerts(previous, current, watched, pendingPayoutsThreshold) {
+  const alerts = [];
+  const alert = (kind, validator, message) => alerts.push({
+    key: `${kind}:${validator.stashAddress}:${current.blockHeight}`,
+    kind,
+    address: validator.stashAddress,
+    target: null,
+    era: current.era,
+    message: `${validator.name || validator.stashAddress}: ${message}`,
+  });
+  watched.forEach((stashAddress) => {
+    const before = previous.validators.find((validator) => validator.stashAddress === stashAddress);
+    const after = current.validators.find((validator) => validator.stashAddress === stashAddress);
+    if (!before) {
+      return;
+    }
+    if (!after) {
+      alert('chilled', before, 'stopped validating');
+      return;
+    }
+    if (after.commission > before.commission) {
+      alert('commissionIncrease', after, `commission increased from ${before.commission}% to ${after.commission}%`);
+    }
+    if (before.active && !after.active) {
+      alert('inactive', after, `not elected in era ${current.era}`);
+    }
+    after.slashes
+      .filter(({ era }) => !before.slashes.some((slash) => slash.era === era))
+      .forEach(({ era }) => alert('slashed', after, `slashed in era ${era}`));
+    const pending = pendingEras(after);
+    if (pending >= pendingPayoutsThreshold && pendingEras(before) < pendingPayoutsThreshold) {
+      alert('pendingPayouts', after, `${pending} eras with unclaimed rewards`);
+    }
+  });
+  return alerts;
+}
+
+// Alerts of the watched nominators whose stake on an active target is out
+// of its rewarded set in the current era, from the nominator rows ({
+// nominator, target, active, rewarded })
+function getNominatorAlerts(nominations, nominators, era) {
+  return nominations
+    .filter(({ nominator, active, rewarded }) => nominators.includes(nominator)
+      && active && !rewarded)
+    .map(({ nominator, target }) => ({
+      key: `notRewarded:${nominator}:${target}:${era}`,
+      kind: 'notRewarded',
+      address: nominator,
+      target,
+      era,
+      message: `${nominator}: stake on ${target} is out of its rewarded nominators in era ${era}`,
+    }));
+}
+
+module.exports = {
+  alertKinds,
+  getWatchedValidators,
+  getValidatorAlerts,
+  getNominatorAlerts,
+};
@@ -0,0 +1,532 @@
+// @ts-check
+const { offenceKinds } = require('../offences.js');
+
+const parameter = (name, description, schema = { type: 'string' }, location = 'query') => ({
+  name,
+  in: location,
+  required: location === 'path',
+  description,
+  schema,
+});
+
+const pathParameter = (name, description, schema) => parameter(name, description, schema, 'path');
+
+const booleanParameter = (name, description) => parameter(name, description, { type: 'boolean' });
+
+const paginationParameters = (config) => [
+  parameter('page', 'Page number, starting at 1', { type: 'integer', minimum: 1, default: 1 }),
+  parameter('pageSize', 'Items per page', {
+    type: 'integer', minimum: 1, maximum: config.maxPageSize, default: config.defaultPageSize,
+  }),
+];
+
+const networkParameter = (network) => parameter(
+  'network',
+  'Network name (kusama, polkadot, westend or the name of a custom network)',
+  { type: 'string', default: network },
+);
+
+const page = (item) => ({
+  type: 'object',
+  properties: {
+    data: { type: 'array', items: { $ref: `#/components/schemas/${item}` } },
+    pagination: { $ref: '#/components/schemas/Pagination' },
+  },
+});
+
+const single = (item) => ({
+  type: 'object',
+  properties: {
+    data: { $ref: `#/components/schemas/${item}` },
+  },
+});
+
+const response = (description, schema) => ({
+  200: {
+    description,
+    content: { 'application/json': { schema } },
+  },
+  400: { $ref: '#/components/responses/BadRequest' },
+  404: { $ref: '#/components/responses/NotFound' },
+});
+
+// big numbers (stakes) are strings, they don't fit in a javascript number
+const bigNumber = { type: 'string', pattern: '^[0-9]+$' };
+
+const getOpenApi = (config, network) => ({
+  openapi: '3.0.3',
+  info: {
+    title: 'Validator Resource Center API',
+    version: '1.0.0',
+    description: 'Validator ranking, validator history, network totals and indexed blocks, extrinsics and events.',
+  },
+  servers: [{ url: '/api/v1' }],
+  paths: {
+    '/ranking': {
+      get: {
+        summary: 'Current ranking',
+        description: 'Validators of the last complete ranking snapshot',
+        parameters: [
+          networkParameter(network),
+          ...paginationParameters(config),
+          parameter('sort', 'Sort field', {
+            type: 'string',
+            enum: ['rank', 'name', 'totalRating', 'commission', 'nominators', 'activeEras', 'eraPointsPercent', 'relativePerformance', 'annualizedReturn', 'selfStake', 'otherStake', 'totalStake', 'predictedStake', 'dominanceLayer'],
+            default: 'rank',
+          }),
+          parameter('order', 'Sort order', { type: 'string', enum: ['asc', 'desc'], default: 'asc' }),
+          booleanParameter('active', 'Only active (or waiting) validators'),
+          booleanParameter('verifiedIdentity', 'Filter by verified identity'),
+          booleanParameter('partOfCluster', 'Filter by cluster membership'),
+          booleanParameter('showClusterMember', 'Filter by cluster member visibility'),
+          booleanParameter('includedThousandValidators', 'Filter by thousand validators program membership'),
+          booleanParameter('dominated', 'Filter by dominated validators'),
+          booleanParameter('oversubscribed', 'Filter by validators with more nominators than rewarded'),
+          booleanParameter('likelyElected', 'Filter by validators elected in the local simulation of the next election'),
+          parameter('name', 'Case insensitive search in the validator name'),
+          parameter('minTotalRating', 'Minimum VRC score', { type: 'number' }),
+          parameter('maxCommission', 'Maximum commission (%)', { type: 'number' }),
+          parameter('maxDominanceLayer', 'Only validators up to this Pareto layer (1 = not dominated)', { type: 'integer', minimum: 1 }),
+        ],
+        responses: response('Ranking page', {
+          allOf: [
+            page('RankingValidator'),
+            {
+              type: 'object',
+              properties: { snapshot: { $ref: '#/components/schemas/Snapshot' } },
+            },
+          ],
+        }),
+      },
+    },
+    '/scoring': {
+      get: {
+        summary: 'Scoring rules',
+        description: 'Rating rules used to compute the current ranking',
+        parameters: [networkParameter(network)],
+        responses: response('Scoring definition', single('Scoring')),
+      },
+    },
+    '/validators/{stashAddress}': {
+      get: {
+        summary: 'Validator',
+        description: 'Full ranking record of a validator in its last snapshot',
+        parameters: [networkParameter(network), pathParameter('stashAddress', 'Validator stash address')],
+        responses: response('Validator record', single('Validator')),
+      },
+    },
+    '/validators/{stashAddress}/history': {
+      get: {
+        summary: 'Validator history',
+        description: 'Rank and metrics of a validator in every stored snapshot, newest first',
+        parameters: [
+          networkParameter(network),
+          pathParameter('stashAddress', 'Validator stash address'),
+          ...paginationParameters(config),
+        ],
+        responses: response('Validator history page', page('ValidatorHistory')),
+      },
+    },
+    '/validators/{stashAddress}/nominators': {
+      get: {
+        summary: 'Validator nominators',
+        description: 'Nominations of the validator in the last era, largest active stake first',
+        parameters: [
+          networkParameter(network),
+          pathParameter('stashAddress', 'Validator stash address'),
+          ...paginationParameters(config),
+        ],
+        responses: response('Nominations page', page('Nomination')),
+      },
+    },
+    '/validators/{stashAddress}/offences': {
+      get: {
+        summary: 'Validator offences',
+        description: 'Offences and slashes of the validator, newest first',
+        parameters: [
+          networkParameter(network),
+          pathParameter('stashAddress', 'Validator stash address'),
+          ...paginationParameters(config),
+        ],
+        responses: response('Offences page', page('Offence')),
+      },
+    },
+    '/nominators/{accountId}': {
+      get: {
+        summary: 'Nominator targets',
+        description: 'Targets of a nominator in the last era',
+        parameters: [
+          networkParameter(network),
+          pathParameter('accountId', 'Nominator stash address'),
+          ...paginationParameters(config),
+        ],
+        responses: response('Nominations page', page('Nomination')),
+      },
+    },
+    '/nominators/{accountId}/simulation': {
+      get: {
+        summary: 'Nomination simulation',
+        description: 'Runs the next election as the ranking predicts it with a nomination of the account replacing its current one: how the bonded amount would be split among the targets, whether it would be rewarded and the estimated era reward (the last era reward split evenly among the active set, net of commission)',
+        parameters: [
+          networkParameter(network),
+          pathParameter('accountId', 'Nominator stash address'),
+          { ...parameter('bonded', 'Bonded amount to nominate with, in planck', bigNumber), required: true },
+          { ...parameter('targets', 'Comma separated stash addresses of the targets, up to 24'), required: true },
+        ],
+        responses: {
+          ...response('Simulated nomination', {
+            type: 'object',
+            properties: {
+              snapshot: {
+                type: 'object',
+                properties: { blockHeight: { type: 'integer' } },
+              },
+              data: { $ref: '#/components/schemas/NominationSimulation' },
+            },
+          }),
+          503: {
+            description: 'Too many simulations in progress',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+          },
+        },
+      },
+    },
+    '/totals': {
+      get: {
+        summary: 'Dashboard totals',
+        parameters: [networkParameter(network)],
+        responses: response('Totals by name', {
+          type: 'object',
+          properties: {
+            data: { type: 'object', additionalProperties: bigNumber },
+          },
+        }),
+      },
+    },
+    '/funding-groups': {
+      get: {
+        summary: 'Funding groups',
+        description: 'Validators funded from a common source in a short time window, suspected to be run by the same operator. Newest first',
+        parameters: [
+          networkParameter(network),
+          ...paginationParameters(config),
+          parameter('validator', 'Groups including this validator stash'),
+        ],
+        responses: response('Funding groups page', page('FundingGroup')),
+      },
+    },
+    '/blocks': {
+      get: {
+        summary: 'Blocks',
+        description: 'Indexed blocks, newest first',
+        parameters: [
+          networkParameter(network),
+          ...paginationParameters(config),
+          booleanParameter('finalized', 'Filter by finalization'),
+          parameter('author', 'Block author address'),
+        ],
+        responses: response('Blocks page', page('Block')),
+      },
+    },
+    '/blocks/{block}': {
+      get: {
+        summary: 'Block by number or hash',
+        parameters: [networkParameter(network), pathParameter('block', 'Block number or 0x prefixed block hash')],
+        responses: response('Block', single('Block')),
+      },
+    },
+    '/extrinsics': {
+      get: {
+        summary: 'Extrinsics',
+        description: 'Indexed extrinsics, newest first',
+        parameters: [
+          networkParameter(network),
+          ...paginationParameters(config),
+          parameter('blockNumber', 'Block number', { type: 'integer' }),
+          parameter('signer', 'Signer address'),
+          parameter('section', 'Pallet, e.g. staking'),
+          parameter('method', 'Call, e.g. nominate'),
+        ],
+        responses: response('Extrinsics page', page('Extrinsic')),
+      },
+    },
+    '/extrinsics/{hash}': {
+      get: {
+        summary: 'Extrinsic by hash',
+        parameters: [networkParameter(network), pathParameter('hash', 'Extrinsic hash')],
+        responses: response('Extrinsic', single('Extrinsic')),
+      },
+    },
+    '/events': {
+      get: {
+        summary: 'Events',
+        description: 'Indexed events, newest first',
+        parameters: [
+          networkParameter(network),
+          ...paginationParameters(config),
+          parameter('blockNumber', 'Block number', { type: 'integer' }),
+          parameter('section', 'Pallet, e.g. staking'),
+          parameter('method', 'Event, e.g. Reward'),
+        ],
+        responses: response('Events page', page('Event')),
+      },
+    },
+    '/events/{blockNumber}/{eventIndex}': {
+      get: {
+        summary: 'Event by block number and index',
+        parameters: [
+          networkParameter(network),
+          pathParameter('blockNumber', 'Block number', { type: 'integer' }),
+          pathParameter('eventIndex', 'Event index in the block', { type: 'integer' }),
+        ],
+        responses: response('Event', single('Event')),
+      },
+    },
+  },
+  components: {
+    responses: {
+      BadRequest: {
+        description: 'Invalid parameters',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+      },
+      NotFound: {
+        description: 'Not found',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+      },
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: { error: { type: 'string' } },
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          pageSize: { type: 'integer' },
+          total: { type: 'integer' },
+        },
+      },
+      Snapshot: {
+        type: 'object',
+        properties: {
+          blockHeight: { type: 'integer' },
+          era: { type: 'integer' },
+          timestamp: { type: 'integer' },
+        },
+      },
+      Scoring: {
+        type: 'object',
+        properties: {
+          metrics: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                field: { type: 'string', description: 'Rating field of the validator' },
+                title: { type: 'string' },
+                description: { type: 'string' },
+                rules: {
+                  type: 'array',
+                  description: 'Evaluated in order, the first matching rule sets the rating',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      rating: { type: 'integer', minimum: 0, maximum: 3 },
+                      description: { type: 'string' },
+                      condition: { type: 'string', description: 'Readable condition' },
+                      when: { type: 'object', description: 'Condition as defined in scoring.json' },
+                    },
+                  },
+                },
+                default: {
+                  type: 'object',
+                  description: 'Rating when no rule matches',
+                  properties: {
+                    rating: { type: 'integer', minimum: 0, maximum: 3 },
+                    description: { type: 'string' },
+                  },
+                },
+              },
+            },
+          },
+          facts: {
+            type: 'object',
+            description: 'Meaning of the facts used in conditions',
+            additionalProperties: { type: 'string' },
+          },
+        },
+      },
+      RankingValidator: {
+        type: 'object',
+        properties: {
+          rank: { type: 'integer' },
+          stashAddress: { type: 'string' },
+          name: { type: 'string' },
+          active: { type: 'boolean' },
+          verifiedIdentity: { type: 'boolean' },
+          partOfCluster: { type: 'boolean' },
+          clusterName: { type: 'string' },
+          clusterConfidence: { type: 'string', enum: ['', 'low', 'medium', 'high'], description: 'Strongest link to another cluster member' },
+          suspectedClusters: { type: 'array', items: { type: 'string' }, description: 'Funding groups of the validator' },
+          showClusterMember: { type: 'boolean' },
+          includedThousandValidators: { type: 'boolean' },
+          nominators: { type: 'integer' },
+          oversubscribed: { type: 'boolean', description: 'More nominators than rewarded per validator' },
+          rewardedStakeCutoff: { ...bigNumber, nullable: true, description: 'Lowest stake still rewarded once the rewarded set is full, a new nomination has to beat it. Null while there are free slots or for waiting validators' },
+          rewardedSlotsLeft: { type: 'integer', description: 'Nominators that can join before the validator is oversubscribed' },
+          commission: { type: 'string' },
+          activeEras: { type: 'integer' },
+          eraPointsPercent: { type: 'string' },
+          relativePerformance: { type: 'string' },
+          annualizedReturn: { type: 'string', description: 'Annualized return (APY, %) the nominators got from the payouts of the history window, 0 when none was indexed' },
+          slashed: { type: 'boolean' },
+          selfStake: bigNumber,
+          otherStake: bigNumber,
+          totalStake: bigNumber,
+          likelyElected: { type: 'boolean', description: 'Elected in the local simulation of the next election' },
+          predictedStake: { ...bigNumber, description: 'Backing predicted by the local simulation of the next election, 0 when not elected' },
+          totalRating: { type: 'integer' },
+          dominated: { type: 'boolean' },
+          dominanceLayer: { type: 'integer', description: 'Pareto layer, 1 = not dominated' },
+        },
+      },
+      Validator: {
+        description: 'Every column of the ranking table in camel case, JSON columns (identity, thousandValidator, commissionHistory, commissionChanges, eraPointsHistory, slashes, payoutHistory, blockProductionHistory, heartbeatHistory, returnHistory, clusterLinks, clusterRotation) are parsed. clusterLinks are the links that put the validator in its cluster ({ type, confidence, key, validators }). clusterRotation explains showClusterMember: the validator is hidden when (position - offset) mod members < hidden',
+        allOf: [
+          { $ref: '#/components/schemas/RankingValidator' },
+          { type: 'object', additionalProperties: true },
+        ],
+      },
+      ValidatorHistory: {
+        type: 'object',
+        properties: {
+          blockHeight: { type: 'integer' },
+          rank: { type: 'integer' },
+          active: { type: 'boolean' },
+          commission: { type: 'string' },
+          nominators: { type: 'integer' },
+          eraPointsPercent: { type: 'string' },
+          relativePerformance: { type: 'string' },
+          selfStake: bigNumber,
+          totalStake: bigNumber,
+          totalRating: { type: 'integer' },
+          timestamp: { type: 'integer' },
+        },
+      },
+      NominationSimulation: {
+        type: 'object',
+        properties: {
+          elected: { type: 'boolean', description: 'Some target would back the nomination' },
+          reward: { ...bigNumber, description: 'Estimated era reward of the nomination' },
+          targets: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                stashAddress: { type: 'string' },
+                elected: { type: 'boolean' },
+                stake: { ...bigNumber, description: 'Stake of the nomination on the target' },
+                backing: bigNumber,
+                nominators: { type: 'integer' },
+                oversubscribed: { type: 'boolean' },
+                rewarded: { type: 'boolean', description: 'The stake would be among the rewarded ones' },
+                reward: bigNumber,
+              },
+            },
+          },
+        },
+      },
+      FundingGroup: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          source: { type: 'string', description: 'Account that funded the validators' },
+          via: { type: 'array', items: { type: 'string' }, description: 'Intermediate accounts, if funded through them' },
+          validators: { type: 'array', items: { type: 'string' } },
+          firstBlock: { type: 'integer' },
+          lastBlock: { type: 'integer' },
+          timestamp: { type: 'integer' },
+        },
+      },
+      Offence: {
+        type: 'object',
+        properties: {
+          blockNumber: { type: 'integer' },
+          eventIndex: { type: 'integer' },
+          era: { type: 'integer' },
+          kind: { type: 'string', enum: Object.keys(offenceKinds) },
+          amount: { ...bigNumber, nullable: true, description: 'Slashed amount, null when not slashed (yet)' },
+          cancelled: { type: 'boolean', description: 'The slash of a reported offence was cancelled' },
+          timestamp: { type: 'integer' },
+        },
+      },
+      Nomination: {
+        type: 'object',
+        properties: {
+          era: { type: 'integer' },
+          nominator: { type: 'string' },
+          target: { type: 'string', description: 'Nominated validator stash' },
+          bonded: { ...bigNumber, description: 'Active bonded amount of the nominator' },
+          elected: { type: 'boolean', description: 'Target is in the active set' },
+          active: { type: 'boolean', description: 'Nominator stake is exposed on the target' },
+          stake: { ...bigNumber, nullable: true, description: 'Stake exposed on the target' },
+          rewarded: { type: 'boolean', description: 'Inside the target rewarded nominators' },
+          timestamp: { type: 'integer' },
+        },
+      },
+      Block: {
+        type: 'object',
+        properties: {
+          network: { type: 'string' },
+          blockNumber: { type: 'integer' },
+          finalized: { type: 'boolean' },
+          blockAuthor: { type: 'string' },
+          blockAuthorName: { type: 'string' },
+          blockHash: { type: 'string' },
+          parentHash: { type: 'string' },
+          extrinsicsRoot: { type: 'string' },
+          stateRoot: { type: 'string' },
+          totalEvents: { type: 'integer' },
+          totalExtrinsics: { type: 'integer' },
+          timestamp: { type: 'integer' },
+        },
+      },
+      Extrinsic: {
+        type: 'object',
+        properties: {
+          network: { type: 'string' },
+          blockNumber: { type: 'integer' },
+          extrinsicIndex: { type: 'integer' },
+          isSigned: { type: 'boolean' },
+          signer: { type: 'string', nullable: true },
+          section: { type: 'string' },
+          method: { type: 'string' },
+          args: { type: 'string', description: 'JSON encoded arguments' },
+          hash: { type: 'string' },
+          doc: { type: 'string' },
+          success: { type: 'boolean' },
+          timestamp: { type: 'integer' },
+        },
+      },
+      Event: {
+        type: 'object',
+        properties: {
+          network: { type: 'string' },
+          blockNumber: { type: 'integer' },
+          eventIndex: { type: 'integer' },
+          section: { type: 'string' },
+          method: { type: 'string' },
+          phase: { type: 'string' },
+          data: { type: 'string', description: 'JSON encoded event data' },
+          timestamp: { type: 'integer' },
+        },
+      },
+    },
+  },
+});
+
+module.exports = {
+  getOpenApi,
+};
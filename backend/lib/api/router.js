@@ -0,0 +1,51 @@
+// @ts-check
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, `Malformed path parameter ${value}`);
+  }
+};
+
+// Minimal path router, patterns use :param placeholders
+// (e.g. /validators/:stashAddress/history)
+const createRouter = () => {
+  const routes = [];
+  return {
+    get: (pattern, handler) => {
+      const names = [];
+      const regexp = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+      })}/?$`);
+      routes.push({ regexp, names, handler });
+    },
+    match: (path) => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const route of routes) {
+        const match = route.regexp.exec(path);
+        if (match) {
+          const params = {};
+          route.names.forEach((name, index) => {
+            params[name] = decodeParam(match[index + 1]);
+          });
+          return { handler: route.handler, params };
+        }
+      }
+      return null;
+    },
+  };
+};
+
+module.exports = {
+  HttpError,
+  createRouter,
+};
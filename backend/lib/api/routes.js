@@ -0,0 +1,512 @@
+// @ts-check
+const { HttpError } = require('./router.js');
+const { simulate } = require('./simulations.js');
+
+// BIGINT columns that always fit in a javascript number, everything else
+// (stakes, totals) is returned as a string like postgres does
+const integerColumns = ['block_number', 'block_height', 'timestamp', 'stash_address_creation_block', 'stash_parent_address_creation_block', 'first_block', 'last_block'];
+
+// ranking and funding group columns stored as JSON text
+const jsonColumns = ['via', 'validators', 'identity', 'thousand_validator', 'commission_history', 'commission_changes', 'era_points_history', 'slashes', 'payout_history', 'block_production_history', 'heartbeat_history', 'return_history', 'cluster_links', 'suspected_clusters', 'cluster_rotation'];
+
+const rankingColumns = [
+  'rank',
+  'stash_address',
+  'name',
+  'active',
+  'verified_identity',
+  'part_of_cluster',
+  'cluster_name',
+  'cluster_confidence',
+  'suspected_clusters',
+  'show_cluster_member',
+  'included_thousand_validators',
+  'nominators',
+  'oversubscribed',
+  'rewarded_stake_cutoff',
+  'rewarded_slots_left',
+  'commission',
+  'active_eras',
+  'era_points_percent',
+  'relative_performance',
+  'annualized_return',
+  'slashed',
+  'self_stake',
+  'other_stake',
+  'total_stake',
+  'likely_elected',
+  'predicted_stake',
+  'total_rating',
+  'dominated',
+  'dominance_layer',
+];
+
+const historyColumns = [
+  'block_height',
+  'rank',
+  'active',
+  'commission',
+  'nominators',
+  'era_points_percent',
+  'relative_performance',
+  'self_stake',
+  'total_stake',
+  'total_rating',
+  'timestamp',
+];
+
+// sort parameter => SQL expression, numbers stored as text are cast
+const rankingSort = {
+  rank: 'rank',
+  name: 'name',
+  totalRating: 'total_rating',
+  commission: 'commission::numeric',
+  nominators: 'nominators',
+  activeEras: 'active_eras',
+  eraPointsPercent: 'era_points_percent::numeric',
+  relativePerformance: 'relative_performance::numeric',
+  annualizedReturn: 'annualized_return::numeric',
+  selfStake: 'self_stake',
+  otherStake: 'other_stake',
+  totalStake: 'total_stake',
+  predictedStake: 'predicted_stake',
+  dominanceLayer: 'dominance_layer',
+};
+
+const rankingBooleanFilters = {
+  active: 'active',
+  verifiedIdentity: 'verified_identity',
+  partOfCluster: 'part_of_cluster',
+  showClusterMember: 'show_cluster_member',
+  includedThousandValidators: 'included_thousand_validators',
+  dominated: 'dominated',
+  oversubscribed: 'oversubscribed',
+  likelyElected: 'likely_elected',
+};
+
+const nominationColumns = [
+  'era',
+  'nominator',
+  'target',
+  'bonded',
+  'elected',
+  'active',
+  'stake',
+  'rewarded',
+  'timestamp',
+];
+
+const toCamelCase = (name) => name.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+const formatRow = (row) => {
+  const formatted = {};
+  Object.entries(row).forEach(([column, value]) => {
+    let formattedValue = value;
+    if (value !== null && integerColumns.includes(column)) {
+      formattedValue = parseInt(value, 10);
+    } else if (value !== null && jsonColumns.includes(column)) {
+      formattedValue = JSON.parse(value);
+    }
+    formatted[toCamelCase(column)] = formattedValue;
+  });
+  return formatted;
+};
+
+const parseBoolean = (name, value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  throw new HttpError(400, `${name} must be true or false`);
+};
+
+// decimal digits only, Number() would also take hex, exponents and blanks
+const parseInteger = (name, value) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(number)) {
+    throw new HttpError(400, `${name} must be a positive integer`);
+  }
+  return number;
+};
+
+const parseNumber = (name, value) => {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw new HttpError(400, `${name} must be a number`);
+  }
+  return number;
+};
+
+// Collects WHERE conditions with their positional parameters
+const createWhere = () => {
+  const conditions = [];
+  const values = [];
+  return {
+    values,
+    // condition uses ? as the placeholder of value
+    add: (condition, value) => {
+      values.push(value);
+      conditions.push(condition.replace('?', `$${values.length}`));
+    },
+    sql: () => (conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''),
+    size: () => conditions.length,
+  };
+};
+
+const getPagination = (query, config) => {
+  const page = query.page !== undefined ? parseInteger('page', query.page) : 1;
+  const pageSize = query.pageSize !== undefined
+    ? parseInteger('pageSize', query.pageSize)
+    : config.defaultPageSize;
+  if (page < 1) {
+    throw new HttpError(400, 'page starts at 1');
+  }
+  if (pageSize < 1 || pageSize > config.maxPageSize) {
+    throw new HttpError(400, `pageSize must be between 1 and ${config.maxPageSize}`);
+  }
+  return { page, pageSize };
+};
+
+// Counts the rows a paginated select matches. Lists filtered by network only
+// read the harvester's running total instead of counting the whole table
+const countRows = async (pool, { table, where, total }) => {
+  if (total !== undefined && where.size() === 1) {
+    const res = await pool.query(
+      'SELECT count AS total FROM total WHERE network = $1 AND name = $2;',
+      [where.values[0], total],
+    );
+    return res.rows.length > 0 ? parseInt(res.rows[0].total, 10) : 0;
+  }
+  const res = await pool.query(`SELECT count(*) AS total FROM ${table} ${where.sql()};`, where.values);
+  return parseInt(res.rows[0].total, 10);
+};
+
+// Run a paginated select and the count of all the matching rows
+const paginate = async (pool, {
+  columns, table, where, orderBy, total,
+}, { page, pageSize }) => {
+  const { values } = where;
+  const count = await countRows(pool, { table, where, total });
+  const res = await pool.query(
+    `SELECT ${columns.join(', ')} FROM ${table} ${where.sql()} ORDER BY ${orderBy} LIMIT $${values.length + 1} OFFSET $${values.length + 2};`,
+    [...values, pageSize, (page - 1) * pageSize],
+  );
+  return {
+    data: res.rows.map(formatRow),
+    pagination: {
+      page,
+      pageSize,
+      total: count,
+    },
+  };
+};
+
+const getLastSnapshot = async (pool, network) => {
+  const res = await pool.query(
+    'SELECT block_height, era, timestamp FROM ranking_snapshot WHERE network = $1 ORDER BY block_height DESC LIMIT 1;',
+    [network],
+  );
+  if (res.rows.length === 0) {
+    throw new HttpError(404, `No ranking available for network ${network}`);
+  }
+  return formatRow(res.rows[0]);
+};
+
+// the most targets a simulated nomination can have
+const maxSimulationTargets = 24;
+
+// parsed election inputs by network, loaded again when the ranking stores
+// new ones
+const elections = new Map();
+
+const loadElection = async (pool, network) => {
+  const res = await pool.query('SELECT block_height FROM election WHERE network = $1;', [network]);
+  if (res.rows.length === 0) {
+    throw new HttpError(404, `No election available for network ${network}`);
+  }
+  const blockHeight = parseInt(res.rows[0].block_height, 10);
+  const cached = elections.get(network);
+  if (cached && cached.blockHeight === blockHeight) {
+    return cached;
+  }
+  const election = await pool.query(
+    'SELECT block_height, election FROM election WHERE network = $1;',
+    [network],
+  );
+  const loaded = {
+    blockHeight: parseInt(election.rows[0].block_height, 10),
+    election: JSON.parse(election.rows[0].election),
+  };
+  elections.set(network, loaded);
+  return loaded;
+};
+
+// block number or 0x prefixed block hash
+const blockCondition = (where, id) => {
+  if (/^0x[0-9a-fA-F]{64}$/.test(id)) {
+    where.add('block_hash = ?', id);
+  } else {
+    where.add('block_number = ?', parseInteger('block', id));
+  }
+};
+
+module.exports = {
+  getPagination,
+  formatRow,
+  routes: {
+    '/ranking': async ({
+      pool, network, query, config,
+    }) => {
+      const snapshot = await getLastSnapshot(pool, network);
+      const where = createWhere();
+      where.add('network = ?', network);
+      where.add('block_height = ?', snapshot.blockHeight);
+      Object.entries(rankingBooleanFilters).forEach(([param, column]) => {
+        if (query[param] !== undefined) {
+          where.add(`${column} = ?`, parseBoolean(param, query[param]));
+        }
+      });
+      if (query.name !== undefined) {
+        where.add('name ILIKE ?', `%${query.name}%`);
+      }
+      if (query.minTotalRating !== undefined) {
+        where.add('total_rating >= ?', parseNumber('minTotalRating', query.minTotalRating));
+      }
+      if (query.maxDominanceLayer !== undefined) {
+        where.add('dominance_layer <= ?', parseInteger('maxDominanceLayer', query.maxDominanceLayer));
+      }
+      if (query.maxCommission !== undefined) {
+        where.add('commission::numeric <= ?', parseNumber('maxCommission', query.maxCommission));
+      }
+      const sort = query.sort || 'rank';
+      if (!rankingSort[sort]) {
+        throw new HttpError(400, `sort must be one of ${Object.keys(rankingSort).join(', ')}`);
+      }
+      const order = query.order || 'asc';
+      if (order !== 'asc' && order !== 'desc') {
+        throw new HttpError(400, 'order must be asc or desc');
+      }
+      const result = await paginate(pool, {
+        columns: rankingColumns,
+        table: 'ranking',
+        where,
+        orderBy: `${rankingSort[sort]} ${order}, rank asc`,
+      }, getPagination(query, config));
+      return { snapshot, ...result };
+    },
+    '/scoring': async ({ pool, network }) => {
+      const res = await pool.query(
+        'SELECT scoring FROM ranking_snapshot WHERE network = $1 ORDER BY block_height DESC LIMIT 1;',
+        [network],
+      );
+      if (res.rows.length === 0) {
+        throw new HttpError(404, `No ranking available for network ${network}`);
+      }
+      return { data: JSON.parse(res.rows[0].scoring) };
+    },
+    '/validators/:stashAddress': async ({ pool, network, params }) => {
+      const res = await pool.query(
+        `SELECT ranking.* FROM ranking
+        JOIN ranking_snapshot ON ranking_snapshot.network = ranking.network
+          AND ranking_snapshot.block_height = ranking.block_height
+        WHERE ranking.network = $1 AND ranking.stash_address = $2
+        ORDER BY ranking.block_height DESC LIMIT 1;`,
+        [network, params.stashAddress],
+      );
+      if (res.rows.length === 0) {
+        throw new HttpError(404, `Validator ${params.stashAddress} not found`);
+      }
+      return { data: formatRow(res.rows[0]) };
+    },
+    '/validators/:stashAddress/history': async ({
+      pool, network, params, query, config,
+    }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      where.add('stash_address = ?', params.stashAddress);
+      return paginate(pool, {
+        columns: historyColumns,
+        table: 'ranking',
+        where,
+        orderBy: 'block_height desc',
+      }, getPagination(query, config));
+    },
+    '/validators/:stashAddress/nominators': async ({
+      pool, network, params, query, config,
+    }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      where.add('target = ?', params.stashAddress);
+      return paginate(pool, {
+        columns: nominationColumns,
+        table: 'nominator',
+        where,
+        orderBy: 'stake::numeric desc nulls last, bonded::numeric desc',
+      }, getPagination(query, config));
+    },
+    '/validators/:stashAddress/offences': async ({
+      pool, network, params, query, config,
+    }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      where.add('account_id = ?', params.stashAddress);
+      return paginate(pool, {
+        columns: ['block_number', 'event_index', 'era', 'kind', 'amount', 'cancelled', 'timestamp'],
+        table: 'offence',
+        where,
+        orderBy: 'block_number desc, event_index desc',
+      }, getPagination(query, config));
+    },
+    '/nominators/:accountId': async ({
+      pool, network, params, query, config,
+    }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      where.add('nominator = ?', params.accountId);
+      return paginate(pool, {
+        columns: nominationColumns,
+        table: 'nominator',
+        where,
+        orderBy: 'target asc',
+      }, getPagination(query, config));
+    },
+    '/nominators/:accountId/simulation': async ({
+      pool, network, params, query, config,
+    }) => {
+      if (query.bonded === undefined || !/^\d+$/.test(query.bonded)) {
+        throw new HttpError(400, 'bonded must be a positive integer amount in planck');
+      }
+      const targets = (query.targets || '').split(',').filter((target) => target !== '');
+      if (targets.length === 0 || targets.length > maxSimulationTargets) {
+        throw new HttpError(400, `targets must be a comma separated list of 1 to ${maxSimulationTargets} stash addresses`);
+      }
+      const loaded = await loadElection(pool, network);
+      const data = await simulate(network, loaded, {
+        nominator: params.accountId,
+        bonded: query.bonded,
+        targets,
+      }, config.maxPendingSimulations);
+      return {
+        snapshot: { blockHeight: loaded.blockHeight },
+        data,
+      };
+    },
+    '/totals': async ({ pool, network }) => {
+      const res = await pool.query('SELECT name, count FROM total WHERE network = $1;', [network]);
+      const totals = {};
+      res.rows.forEach(({ name, count }) => {
+        totals[toCamelCase(name)] = count;
+      });
+      return { data: totals };
+    },
+    '/funding-groups': async ({
+      pool, network, query, config,
+    }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      if (query.validator !== undefined) {
+        where.add('validators LIKE ?', `%"${query.validator}"%`);
+      }
+      return paginate(pool, {
+        columns: ['id', 'source', 'via', 'validators', 'first_block', 'last_block', 'timestamp'],
+        table: 'funding_group',
+        where,
+        orderBy: 'first_block desc',
+      }, getPagination(query, config));
+    },
+    '/blocks': async ({
+      pool, network, query, config,
+    }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      if (query.finalized !== undefined) {
+        where.add('finalized = ?', parseBoolean('finalized', query.finalized));
+      }
+      if (query.author !== undefined) {
+        where.add('block_author = ?', query.author);
+      }
+      return paginate(pool, {
+        columns: ['*'],
+        table: 'block',
+        where,
+        total: 'blocks',
+        orderBy: 'block_number desc',
+      }, getPagination(query, config));
+    },
+    '/blocks/:block': async ({ pool, network, params }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      blockCondition(where, params.block);
+      const res = await pool.query(`SELECT * FROM block ${where.sql()};`, where.values);
+      if (res.rows.length === 0) {
+        throw new HttpError(404, `Block ${params.block} not found`);
+      }
+      return { data: formatRow(res.rows[0]) };
+    },
+    '/extrinsics': async ({
+      pool, network, query, config,
+    }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      if (query.blockNumber !== undefined) {
+        where.add('block_number = ?', parseInteger('blockNumber', query.blockNumber));
+      }
+      ['signer', 'section', 'method'].forEach((param) => {
+        if (query[param] !== undefined) {
+          where.add(`${param} = ?`, query[param]);
+        }
+      });
+      return paginate(pool, {
+        columns: ['*'],
+        table: 'extrinsic',
+        where,
+        total: 'extrinsics',
+        orderBy: 'block_number desc, extrinsic_index asc',
+      }, getPagination(query, config));
+    },
+    '/extrinsics/:hash': async ({ pool, network, params }) => {
+      const res = await pool.query(
+        'SELECT * FROM extrinsic WHERE network = $1 AND hash = $2 ORDER BY block_number DESC LIMIT 1;',
+        [network, params.hash],
+      );
+      if (res.rows.length === 0) {
+        throw new HttpError(404, `Extrinsic ${params.hash} not found`);
+      }
+      return { data: formatRow(res.rows[0]) };
+    },
+    '/events': async ({
+      pool, network, query, config,
+    }) => {
+      const where = createWhere();
+      where.add('network = ?', network);
+      if (query.blockNumber !== undefined) {
+        where.add('block_number = ?', parseInteger('blockNumber', query.blockNumber));
+      }
+      ['section', 'method'].forEach((param) => {
+        if (query[param] !== undefined) {
+          where.add(`${param} = ?`, query[param]);
+        }
+      });
+      return paginate(pool, {
+        columns: ['*'],
+        table: 'event',
+        where,
+        total: 'events',
+        orderBy: 'block_number desc, event_index asc',
+      }, getPagination(query, config));
+    },
+    '/events/:blockNumber/:eventIndex': async ({ pool, network, params }) => {
+      const res = await pool.query(
+        'SELECT * FROM event WHERE network = $1 AND block_number = $2 AND event_index = $3;',
+        [
+          network,
+          parseInteger('blockNumber', params.blockNumber),
+          parseInteger('eventIndex', params.eventIndex),
+        ],
+      );
+      if (res.rows.length === 0) {
+        throw new HttpError(404, `Event ${params.blockNumber}-${params.eventIndex} not found`);
+      }
+      return { data: formatRow(res.rows[0]) };
+    },
+  },
+};
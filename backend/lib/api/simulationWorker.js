@@ -0,0 +1,35 @@
+// @ts-check
+const { parentPort } = require('worker_threads');
+const { simulateNomination } = require('../nominators.js');
+
+// election inputs by network, sent along with the first simulation of every
+// stored election
+const elections = new Map();
+
+// Runs the elections of nomination simulations off the API event loop, amounts
+// are answered as strings
+parentPort.on('message', ({
+  id, network, election, nomination,
+}) => {
+  if (election) {
+    elections.set(network, election);
+  }
+  try {
+    const simulation = simulateNomination(elections.get(network), nomination);
+    parentPort.postMessage({
+      id,
+      data: {
+        elected: simulation.elected,
+        reward: simulation.reward.toString(10),
+        targets: simulation.targets.map((target) => ({
+          ...target,
+          stake: target.stake.toString(10),
+          backing: target.backing.toString(10),
+          reward: target.reward.toString(10),
+        })),
+      },
+    });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.toString() });
+  }
+});
@@ -0,0 +1,96 @@
+// @ts-check
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { HttpError } = require('./router.js');
+
+// simulation results kept per network, all of them are dropped when the
+// ranking stores a new election
+const maxCachedSimulations = 1000;
+
+let worker = null;
+let nextId = 0;
+// simulations sent to the worker by id, { resolve, reject }
+const pending = new Map();
+// block height of the election the worker holds for every network
+const workerElections = new Map();
+// { blockHeight, results } by network, results are promises by nomination
+const caches = new Map();
+
+const rejectPending = (error) => {
+  pending.forEach(({ reject }) => reject(error));
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(path.join(__dirname, 'simulationWorker.js'));
+    worker.on('message', ({ id, data, error }) => {
+      const { resolve, reject } = pending.get(id);
+      pending.delete(id);
+      if (error) {
+        reject(new Error(error));
+      } else {
+        resolve(data);
+      }
+    });
+    worker.on('error', rejectPending);
+    // started again by the next simulation
+    worker.on('exit', () => {
+      worker = null;
+      workerElections.clear();
+      rejectPending(new Error('Simulation worker stopped'));
+    });
+    // an idle worker doesn't keep the API running, unreferenced once the
+    // listeners are attached
+    worker.unref();
+  }
+  return worker;
+};
+
+const runSimulation = (network, { blockHeight, election }, nomination) => {
+  const running = getWorker();
+  const id = nextId;
+  nextId += 1;
+  // the worker handles messages in order, the election is only sent once
+  const sendElection = workerElections.get(network) !== blockHeight;
+  workerElections.set(network, blockHeight);
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    running.postMessage({
+      id,
+      network,
+      election: sendElection ? election : undefined,
+      nomination,
+    });
+  });
+};
+
+// Simulates a nomination ({ nominator, bonded, targets }) with a loaded
+// election ({ blockHeight, election }), at most maxPending elections run or
+// wait at a time
+const simulate = (network, loaded, nomination, maxPending) => {
+  let cache = caches.get(network);
+  if (!cache || cache.blockHeight !== loaded.blockHeight) {
+    cache = { blockHeight: loaded.blockHeight, results: new Map() };
+    caches.set(network, cache);
+  }
+  const key = `${nomination.nominator}:${nomination.bonded}:${nomination.targets.join(',')}`;
+  if (cache.results.has(key)) {
+    return cache.results.get(key);
+  }
+  if (pending.size >= maxPending) {
+    throw new HttpError(503, 'Too many simulations in progress, try again later');
+  }
+  const result = runSimulation(network, loaded, nomination);
+  const { results } = cache;
+  results.set(key, result);
+  result.catch(() => results.delete(key));
+  if (results.size > maxCachedSimulations) {
+    results.delete(results.keys().next().value);
+  }
+  return result;
+};
+
+module.exports = {
+  simulate,
+};
@@ -0,0 +1,123 @@
+// @ts-check
+//
+// Minimal SMTP client to mail the alerts, plain or over TLS (secure, usually
+// port 465) with optional AUTH PLAIN. STARTTLS is not supported, use a
+// local relay for servers that require it.
+//
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// Reads SMTP replies, a reply ends with the line whose code is followed by
+// a space (the previous ones are followed by a dash)
+function createReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+  const dispatch = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+  socket.on('data', (data) => {
+    buffer += data.toString();
+    let index = buffer.indexOf('\r\n');
+    while (index !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (line.charAt(3) !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') });
+        lines = [];
+      }
+      index = buffer.indexOf('\r\n');
+    }
+    dispatch();
+  });
+  socket.on('error', (error) => {
+    failure = error;
+    dispatch();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('SMTP connection closed');
+    dispatch();
+  });
+  return () => new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    dispatch();
+  });
+}
+
+// Envelope sender address, from can be a bare address or a name followed by
+// the address in angle brackets ("VRC <vrc@example.com>")
+function getEnvelopeFrom(from) {
+  const match = from.match(/<([^<>]+)>\s*$/);
+  return match ? match[1].trim() : from.trim();
+}
+
+// Message with the alerts as plain text, lines starting with a dot are
+// escaped as the data ends with a line with a single dot
+function getMessage(alerts, config, network) {
+  const body = alerts.map(({ message }) => `- ${message}`).join('\r\n');
+  return [
+    `From: ${config.from}`,
+    `To: ${config.to.join(', ')}`,
+    `Subject: [${network.name}] ${alerts.length} validator alert${alerts.length > 1 ? 's' : ''}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ]
+    .join('\r\n')
+    .replace(/^\./gm, '..');
+}
+
+module.exports = {
+  name: 'smtp',
+  getEnvelopeFrom,
+  getMessage,
+  send: async (alerts, config, network) => {
+    const options = { host: config.host, port: config.port };
+    const socket = config.secure ? tls.connect(options) : net.connect(options);
+    socket.setTimeout(config.timeout, () => socket.destroy(new Error('SMTP timeout')));
+    const read = createReader(socket);
+    const command = async (line, expected) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await read();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`Unexpected SMTP reply: ${reply.text}`);
+      }
+      return reply;
+    };
+    try {
+      await command(null, [220]);
+      await command(`EHLO ${os.hostname()}`, [250]);
+      if (config.user) {
+        const credentials = Buffer.from(`\u0000${config.user}\u0000${config.password}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+      await command(`MAIL FROM:<${getEnvelopeFrom(config.from)}>`, [250]);
+      // eslint-disable-next-line no-restricted-syntax
+      for (const to of config.to) {
+        // eslint-disable-next-line no-await-in-loop
+        await command(`RCPT TO:<${to}>`, [250, 251]);
+      }
+      await command('DATA', [354]);
+      await command(`${getMessage(alerts, config, network)}\r\n.`, [250]);
+      await command('QUIT', [221]);
+    } finally {
+      socket.destroy();
+    }
+  },
+};
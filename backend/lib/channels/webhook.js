@@ -0,0 +1,25 @@
+// @ts-check
+const axios = require('axios').default;
+
+// Posts the alerts as JSON: { network, alerts: [{ kind, address, target,
+// era, message }] }
+module.exports = {
+  name: 'webhook',
+  send: async (alerts, config, network) => {
+    await axios.post(
+      config.url,
+      {
+        network: network.name,
+        alerts: alerts.map(({
+          kind, address, target, era, message,
+        }) => ({
+          kind, address, target, era, message,
+        })),
+      },
+      {
+        headers: config.headers,
+        timeout: config.timeout,
+      },
+    );
+  },
+};
@@ -0,0 +1,165 @@
+// @ts-check
+//
+// Cluster (validators run by the same operator) detection from the on-chain
+// links between validators of a ranking snapshot. Two validators are linked
+// when they share an account or an identity name, every kind of link has a
+// confidence level, and clusters are the connected groups of linked
+// validators.
+//
+
+// Identity name without its node number, samples: DISC-SOFT-01,
+// BINANCE_KSM_9, SNZPool-1
+const removeNodeNumber = (display) => display.replace(/[\s\-_#/.]*\d+$/, '').trim();
+
+// Name that links top level identities, sub-identities are linked by their
+// parent
+function getBaseName(identity) {
+  if (identity.parent || !identity.display) {
+    return '';
+  }
+  const baseName = removeNodeNumber(identity.display).toLowerCase();
+  return baseName.length >= 3 ? baseName : '';
+}
+
+// Kinds of link, keys returns the values a validator is linked by. Keys
+// shared by more than maxValidators validators don't link them.
+const linkTypes = {
+  controller: {
+    confidence: 'high',
+    description: 'Same controller account',
+    keys: (validator) => [validator.controllerAddress],
+  },
+  rewardDestination: {
+    confidence: 'high',
+    description: 'Rewards paid to the same account',
+    keys: (validator) => [validator.rewardDestination],
+  },
+  identityParent: {
+    confidence: 'high',
+    description: 'Sub-identities of the same parent identity',
+    keys: (validator) => [validator.identity.parent],
+  },
+  funding: {
+    confidence: 'medium',
+    description: 'Stash funded by the same account or by the other validator stash',
+    // a validator stash is also a key so it links to the ones it funded
+    keys: (validator) => [validator.fundedBy, validator.stashAddress],
+    // more are probably funded from an exchange
+    maxValidators: 20,
+  },
+  name: {
+    confidence: 'low',
+    description: 'Same identity name apart from the node number',
+    keys: (validator) => [getBaseName(validator.identity)],
+  },
+};
+
+const confidenceLevels = ['low', 'medium', 'high'];
+
+// Links of every validator as { type, confidence, key, validators }, where
+// validators are the other stashes sharing that key
+function getLinks(validators) {
+  const links = validators.map(() => []);
+  Object.entries(linkTypes).forEach(([type, { confidence, keys, maxValidators }]) => {
+    const groups = new Map();
+    validators.forEach((validator, index) => {
+      [...new Set(keys(validator))]
+        .filter((key) => key)
+        .forEach((key) => {
+          if (!groups.has(key)) {
+            groups.set(key, []);
+          }
+          groups.get(key).push(index);
+        });
+    });
+    groups.forEach((members, key) => {
+      if (members.length > 1 && (!maxValidators || members.length <= maxValidators)) {
+        members.forEach((index) => links[index].push({
+          type,
+          confidence,
+          key,
+          validators: members
+            .filter((member) => member !== index)
+            .map((member) => validators[member].stashAddress),
+        }));
+      }
+    });
+  });
+  return links;
+}
+
+// Most repeated non empty value, ties broken alphabetically
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter((value) => value).forEach((value) => {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .sort(([a, countA], [b, countB]) => countB - countA || (a < b ? -1 : 1))
+    .map(([value]) => value)[0];
+}
+
+// Cluster of every validator of the snapshot, in snapshot order:
+// { clusterName, clusterMembers, clusterConfidence, clusterLinks }. Validators
+// without links are a cluster of one with an empty name.
+function getClusters(validators) {
+  const links = getLinks(validators);
+  const indexes = new Map(validators.map(({ stashAddress }, index) => [stashAddress, index]));
+
+  // union find of linked validators
+  const parents = validators.map((validator, index) => index);
+  const find = (index) => {
+    if (parents[index] !== index) {
+      parents[index] = find(parents[index]);
+    }
+    return parents[index];
+  };
+  links.forEach((validatorLinks, index) => {
+    validatorLinks.forEach((link) => link.validators.forEach((stash) => {
+      parents[find(indexes.get(stash))] = find(index);
+    }));
+  });
+
+  const members = new Map();
+  validators.forEach((validator, index) => {
+    const root = find(index);
+    if (!members.has(root)) {
+      members.set(root, []);
+    }
+    members.get(root).push(index);
+  });
+
+  // sub-identities name a cluster, then identity names, then its first stash
+  const names = new Map();
+  members.forEach((cluster, root) => {
+    const identities = cluster.map((index) => validators[index].identity);
+    names.set(root, cluster.length > 1
+      ? mostCommon(identities.map(({ displayParent }) => displayParent))
+        || mostCommon(identities.map(({ display }) => display && removeNodeNumber(display)))
+        || cluster.map((index) => validators[index].stashAddress).sort()[0]
+      : '');
+  });
+
+  return validators.map((validator, index) => {
+    const root = find(index);
+    const clusterLinks = links[index];
+    return {
+      clusterName: names.get(root),
+      clusterMembers: members.get(root).length,
+      // strongest link to another member
+      clusterConfidence: clusterLinks.length > 0
+        ? confidenceLevels[Math.max(
+          ...clusterLinks.map(({ confidence }) => confidenceLevels.indexOf(confidence)),
+        )]
+        : '',
+      clusterLinks,
+    };
+  });
+}
+
+module.exports = {
+  linkTypes,
+  getBaseName,
+  getLinks,
+  getClusters,
+};
@@ -0,0 +1,90 @@
+// @ts-check
+//
+// Commission changes of validators. Era history only samples the commission
+// at era boundaries, a validator can raise it and drop it again in between.
+// Every successful staking.validate extrinsic is indexed as a commission
+// change instead (calls wrapped in utility or proxy calls are not seen).
+//
+
+// Eras after a hike in which bringing the commission back down counts as
+// reverting it, a hike is reverted in the same or the next era
+const revertEras = 1;
+
+// Validate calls of extrinsic rows ({ block_number, extrinsic_index,
+// signer, args, timestamp }): [{ block_number, extrinsic_index, controller,
+// commission, timestamp }], commission in perbill
+function getValidateCalls(extrinsics) {
+  return extrinsics.map((extrinsic) => {
+    const [prefs] = JSON.parse(extrinsic.args);
+    return {
+      block_number: extrinsic.block_number,
+      extrinsic_index: extrinsic.extrinsic_index,
+      controller: extrinsic.signer,
+      commission: parseInt(prefs.commission, 10),
+      timestamp: extrinsic.timestamp,
+    };
+  });
+}
+
+// Previous commission of the changes of a block ({ stash, commission,
+// previous_commission }, in extrinsic order) read at the parent block: a
+// later call of the same stash in the block follows the earlier one
+function chainBlockChanges(changes) {
+  const last = new Map();
+  return changes.map((change) => {
+    const previous = last.has(change.stash) ? last.get(change.stash) : change.previous_commission;
+    last.set(change.stash, change.commission);
+    return { ...change, previous_commission: previous };
+  });
+}
+
+// Commission changes of a validator, oldest first, from the indexed ones
+// ({ stash, blockNumber, era, commission, previousCommission, timestamp },
+// in perbill, previousCommission is null when unknown). Calls that keep the
+// commission are left out, commissions are in %.
+function getCommissionChanges(stashAddress, commissionChanges) {
+  return commissionChanges
+    .filter(({ stash }) => stash === stashAddress)
+    .filter(({ commission, previousCommission }) => commission !== previousCommission)
+    .sort((a, b) => a.blockNumber - b.blockNumber)
+    .map(({
+      blockNumber, era, commission, previousCommission, timestamp,
+    }) => ({
+      blockNumber,
+      era,
+      commission: commission / 10000000,
+      previousCommission: previousCommission !== null ? previousCommission / 10000000 : null,
+      timestamp,
+    }));
+}
+
+// Scoring facts of the commission changes of a validator: the largest
+// increase in one change (in points), the number of changes and whether a
+// hike was reverted (the commission went back to where it was) in a later
+// block of the same or the next era, like a validator hiking it only while
+// nobody looks
+function getCommissionFacts(changes) {
+  const known = changes.filter(({ previousCommission }) => previousCommission !== null);
+  const hikes = known.filter(
+    ({ commission, previousCommission }) => commission > previousCommission,
+  );
+  return {
+    commissionHike: Math.max(
+      0,
+      ...hikes.map(({ commission, previousCommission }) => commission - previousCommission),
+    ),
+    commissionChangeCount: changes.length,
+    commissionHikeReverted: hikes.some((hike) => changes.some(
+      (change) => change.blockNumber > hike.blockNumber
+        && change.era <= hike.era + revertEras
+        && change.commission <= hike.previousCommission,
+    )),
+  };
+}
+
+module.exports = {
+  getValidateCalls,
+  chainBlockChanges,
+  getCommissionChanges,
+  getCommissionFacts,
+};
@@ -0,0 +1,247 @@
+// @ts-check
+const pino = require('pino');
+const { wait } = require('../utils.js');
+const { withTransaction, insertRows } = require('../persistence.js');
+const {
+  getWatchedValidators,
+  getValidatorAlerts,
+  getNominatorAlerts,
+} = require('../alerts.js');
+
+const logger = pino();
+const loggerOptions = {
+  crawler: 'alerts',
+};
+
+const alertColumns = [
+  'network',
+  'key',
+  'kind',
+  'address',
+  'target',
+  'era',
+  'block_height',
+  'message',
+  'timestamp',
+];
+
+const alertDeliveryColumns = [
+  'network',
+  'key',
+  'channel',
+  'delivered',
+  'attempts',
+  'timestamp',
+];
+
+// Watched validators in the ranking snapshot at blockHeight
+async function getSnapshot(pool, network, { block_height: blockHeight, era }, watched) {
+  const res = await pool.query(
+    `SELECT stash_address, name, active, commission, slashes, payout_history FROM ranking
+    WHERE network = $1 AND block_height = $2 AND stash_address = ANY($3);`,
+    [network.name, blockHeight, watched],
+  );
+  return {
+    blockHeight: parseInt(blockHeight, 10),
+    era,
+    validators: res.rows.map((row) => ({
+      stashAddress: row.stash_address,
+      name: row.name,
+      active: row.active,
+      commission: parseFloat(row.commission),
+      slashes: JSON.parse(row.slashes),
+      payoutHistory: JSON.parse(row.payout_history),
+    })),
+  };
+}
+
+// Sends the undelivered alerts of every enabled channel, a failing channel
+// doesn't stop the others and its alerts are sent again on the next run.
+// Alerts fired before a channel was enabled are not sent through it.
+async function deliver(pool, channels, network) {
+  const res = await pool.query(
+    `SELECT alert_delivery.channel, alert.key, alert.kind, alert.address, alert.target,
+      alert.era, alert.message
+    FROM alert_delivery
+    JOIN alert ON alert.network = alert_delivery.network AND alert.key = alert_delivery.key
+    WHERE alert_delivery.network = $1 AND NOT alert_delivery.delivered
+    ORDER BY alert.timestamp, alert.key;`,
+    [network.name],
+  );
+  let delivered = 0;
+  await Promise.all(channels
+    .filter(({ enabled }) => enabled)
+    .map(async (channel) => {
+      const { name } = channel.module;
+      const alerts = res.rows
+        .filter((row) => row.channel === name)
+        .map(({ channel: _, ...alert }) => alert);
+      if (alerts.length === 0) {
+        return;
+      }
+      let sent = false;
+      try {
+        await channel.module.send(alerts, channel.config, network);
+        sent = true;
+        delivered += alerts.length;
+        logger.info(loggerOptions, `Sent ${alerts.length} alerts through ${name}`);
+      } catch (error) {
+        logger.error(loggerOptions, `Error sending alerts through ${name}: ${error}`);
+      }
+      await pool.query(
+        `UPDATE alert_delivery SET delivered = $4, attempts = attempts + 1, timestamp = $5
+        WHERE network = $1 AND channel = $2 AND key = ANY($3);`,
+        [network.name, name, alerts.map(({ key }) => key), sent, new Date().getTime()],
+      );
+    }));
+  return delivered;
+}
+
+// snapshots compared in a run, the rest are compared in the next runs
+const snapshotBatchSize = 10;
+
+// The last snapshot checked (or the latest one before it, if pruned) and the
+// ones after it in order. Without a checkpoint only the latest two are
+// compared, alerts are not fired for the whole history
+async function getNewSnapshots(pool, network) {
+  const checkpoint = await pool.query(
+    'SELECT block_height FROM alert_checkpoint WHERE network = $1;',
+    [network.name],
+  );
+  if (checkpoint.rows.length === 0) {
+    const res = await pool.query(
+      'SELECT block_height, era FROM ranking_snapshot WHERE network = $1 ORDER BY block_height DESC LIMIT 2;',
+      [network.name],
+    );
+    return res.rows.reverse();
+  }
+  const res = await pool.query(
+    `SELECT block_height, era FROM ranking_snapshot
+    WHERE network = $1 AND block_height >= COALESCE(
+      (SELECT MAX(block_height) FROM ranking_snapshot WHERE network = $1 AND block_height <= $2),
+      $2
+    )
+    ORDER BY block_height
+    LIMIT $3;`,
+    [network.name, checkpoint.rows[0].block_height, snapshotBatchSize + 1],
+  );
+  return res.rows;
+}
+
+// Stores the new alerts of every ranking snapshot after the last one checked,
+// compared with its predecessor, to be delivered through every enabled channel
+async function fireAlerts(pool, config, network) {
+  const snapshots = await getNewSnapshots(pool, network);
+  if (snapshots.length < 2) {
+    return 0;
+  }
+  const latest = snapshots[snapshots.length - 1];
+  const nominations = await pool.query(
+    'SELECT nominator, era, target, active, rewarded FROM nominator WHERE network = $1 AND nominator = ANY($2);',
+    [network.name, config.nominators],
+  );
+  const watched = getWatchedValidators(config, nominations.rows);
+  const loaded = await Promise.all(
+    snapshots.map((snapshot) => getSnapshot(pool, network, snapshot, watched)),
+  );
+  const alerts = loaded.slice(1).flatMap((current, index) => getValidatorAlerts(
+    loaded[index],
+    current,
+    watched,
+    config.pendingPayoutsThreshold,
+  ).map((alert) => ({ ...alert, block_height: current.blockHeight })));
+  if (nominations.rows.length > 0) {
+    // nominations are only kept for the current era
+    getNominatorAlerts(nominations.rows, config.nominators, nominations.rows[0].era)
+      .forEach((alert) => alerts.push({ ...alert, block_height: latest.block_height }));
+  }
+  const fired = await pool.query(
+    'SELECT key FROM alert WHERE network = $1 AND key = ANY($2);',
+    [network.name, alerts.map(({ key }) => key)],
+  );
+  const newAlerts = alerts.filter(({ key }) => !fired.rows.some((row) => row.key === key));
+  const timestamp = new Date().getTime();
+  const channels = config.channels.filter(({ enabled }) => enabled);
+  await withTransaction(pool, async (client) => {
+    await insertRows(
+      client,
+      'alert',
+      alertColumns,
+      newAlerts.map((alert) => ({ ...alert, network: network.name, timestamp })),
+      'ON CONFLICT ON CONSTRAINT alert_pkey DO NOTHING',
+    );
+    await insertRows(
+      client,
+      'alert_delivery',
+      alertDeliveryColumns,
+      newAlerts.flatMap(({ key }) => channels.map((channel) => ({
+        network: network.name,
+        key,
+        channel: channel.module.name,
+        delivered: false,
+        attempts: 0,
+        timestamp,
+      }))),
+      'ON CONFLICT ON CONSTRAINT alert_delivery_pkey DO NOTHING',
+    );
+    await client.query(
+      `INSERT INTO alert_checkpoint (network, block_height, timestamp) VALUES ($1, $2, $3)
+      ON CONFLICT ON CONSTRAINT alert_checkpoint_pkey DO UPDATE
+      SET block_height = EXCLUDED.block_height, timestamp = EXCLUDED.timestamp;`,
+      [network.name, latest.block_height, timestamp],
+    );
+  });
+  return newAlerts.length;
+}
+
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+// bumped on every start / stop, a run only continues while it's current
+let generation = 0;
+let timeout = null;
+
+module.exports = {
+  name: 'alerts',
+  start: async (api, pool, config, network) => {
+    generation += 1;
+    const run = generation;
+    logger.info(loggerOptions, `Delay alerts crawler start for ${config.startDelay / 1000}s`);
+    await wait(config.startDelay);
+    await module.exports.run(api, pool, config, network, run);
+  },
+  stop: async () => {
+    generation += 1;
+    clearTimeout(timeout);
+  },
+  health: () => health,
+  run: async (api, pool, config, network, run) => {
+    if (run !== generation) {
+      return;
+    }
+    if (config.validators.length === 0 && config.nominators.length === 0) {
+      logger.info(loggerOptions, 'No validators or nominators to watch');
+      health.lastSuccess = new Date().getTime();
+    } else {
+      try {
+        const fired = await fireAlerts(pool, config, network);
+        const delivered = await deliver(pool, config.channels, network);
+        health.lastSuccess = new Date().getTime();
+        logger.info(loggerOptions, `Fired ${fired} alerts and delivered ${delivered}`);
+      } catch (error) {
+        logger.error(loggerOptions, `Error checking alerts: ${JSON.stringify(error)}`);
+        health.lastError = error.toString();
+        health.lastErrorAt = new Date().getTime();
+      }
+    }
+    if (run === generation) {
+      timeout = setTimeout(
+        () => module.exports.run(api, pool, config, network, run),
+        config.pollingTime,
+      );
+    }
+  },
+};
@@ -1,23 +1,97 @@
 // @ts-check
-const { ApiPromise, WsProvider } = require('@polkadot/api');
 const pino = require('pino');
 const {
-  shortHash, storeExtrinsics, getDisplayName, wait,
+  shortHash, getBlockData, wait, runPool, formatDuration,
 } = require('../utils.js');
+const { storeBlock, storeHarvesterError, insertRows } = require('../persistence.js');
 
 const logger = pino();
 const loggerOptions = {
   crawler: 'blockHarvester',
 };
 
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+// bumped on every start / stop, a run only continues while it's current
+let generation = 0;
+let timeout = null;
+
 module.exports = {
-  start: async (wsProviderUrl, pool, config) => {
+  name: 'blockHarvester',
+  start: async (api, pool, config, network) => {
+    generation += 1;
+    const run = generation;
     await wait(config.startDelay);
+    await module.exports.run(api, pool, config, network, run);
+  },
+  stop: async () => {
+    generation += 1;
+    clearTimeout(timeout);
+  },
+  health: () => health,
+  run: async (api, pool, config, network, run) => {
+    if (run !== generation) {
+      return;
+    }
     logger.info(loggerOptions, 'Starting block harvester...');
     const startTime = new Date().getTime();
-    const wsProvider = new WsProvider(wsProviderUrl);
-    const api = await ApiPromise.create({ provider: wsProvider });
 
+    // Gaps are harvested from the finalized chain
+    const finalizedBlockHash = await api.rpc.chain.getFinalizedHead();
+    const finalizedBlockHeader = await api.rpc.chain.getHeader(finalizedBlockHash);
+    const finalizedBlock = finalizedBlockHeader.number.toNumber();
+
+    await module.exports.retryFailedBlocks(api, pool, config, network);
+
+    // Resume from the last checkpoint, only look for new gaps when
+    // the previous ones are fully harvested
+    let gaps = await module.exports.getCheckpoint(pool, network);
+    if (gaps.length > 0) {
+      logger.info(loggerOptions, `Resuming harvest of ${gaps.length} gaps from checkpoint`);
+    } else {
+      gaps = await module.exports.getGaps(pool, network, finalizedBlock);
+      await module.exports.saveCheckpoint(pool, network, gaps);
+    }
+
+    const progress = {
+      run,
+      startTime: new Date().getTime(),
+      total: gaps.reduce((total, gap) => total + gap.gapEnd - gap.gapStart + 1, 0),
+      harvested: 0,
+    };
+    health.lag = progress.total;
+    // eslint-disable-next-line no-restricted-syntax
+    for (const gap of gaps) {
+      if (run !== generation) {
+        break;
+      }
+      logger.info(loggerOptions, `Detected gap! Harvesting blocks from #${gap.gapEnd} to #${gap.gapStart}`);
+      // eslint-disable-next-line no-await-in-loop
+      await module.exports.harvestGap(api, pool, network, gap, config, progress);
+    }
+    health.lastSuccess = new Date().getTime();
+
+    // Log execution time
+    const endTime = new Date().getTime();
+    logger.info(loggerOptions, `Executed in ${((endTime - startTime) / 1000).toFixed(0)}s`);
+
+    if (run === generation) {
+      logger.info(loggerOptions, `Next execution in ${(config.pollingTime / 60000).toFixed(0)}m...`);
+      timeout = setTimeout(
+        () => module.exports.run(api, pool, config, network, run).catch((error) => {
+          logger.error(loggerOptions, `Error harvesting blocks: ${error}`);
+          health.lastError = error.toString();
+          health.lastErrorAt = new Date().getTime();
+        }),
+        config.pollingTime,
+      );
+    }
+  },
+  getGaps: async (pool, network, finalizedBlock) => {
     // Get gaps from block table
     const sqlSelect = `
       SELECT
@@ -27,6 +101,7 @@ module.exports = {
           FROM (
             SELECT block_number, lead(block_number) OVER (ORDER BY block_number) AS next_nr
             FROM block
+            WHERE network = $1
           ) nr
           WHERE nr.block_number + 1 <> nr.next_nr
         ) AS g
@@ -36,6 +111,8 @@ module.exports = {
           block_number - 2 AS gap_end
         FROM
           block
+        WHERE
+          network = $1
         ORDER BY
           block_number
         ASC LIMIT 1
@@ -43,167 +120,132 @@ module.exports = {
       ORDER BY
         gap_end DESC
     `;
-    const res = await pool.query(sqlSelect);
-
-    // eslint-disable-next-line no-restricted-syntax
-    for (const row of res.rows) {
+    const res = await pool.query(sqlSelect, [network.name]);
+    return res.rows
+      .map((row) => ({
+        gapStart: parseInt(row.gap_start, 10),
+        gapEnd: Math.min(parseInt(row.gap_end, 10), finalizedBlock),
+      }))
       // Quick fix for gap 0-0 error
-      if (!(row.gap_start === 0 && row.gap_end === 0)) {
-        logger.info(loggerOptions, `Detected gap! Harvesting blocks from #${row.gap_end} to #${row.gap_start}`);
-        // eslint-disable-next-line no-await-in-loop
-        await module.exports.harvestBlocks(
-          api,
-          pool,
-          parseInt(row.gap_start, 10),
-          parseInt(row.gap_end, 10),
+      .filter(({ gapStart, gapEnd }) => gapEnd >= gapStart && !(gapStart === 0 && gapEnd === 0));
+  },
+  getCheckpoint: async (pool, network) => {
+    const res = await pool.query(
+      'SELECT gap_start, gap_end FROM harvester_checkpoint WHERE network = $1 ORDER BY gap_end DESC;',
+      [network.name],
+    );
+    return res.rows.map((row) => ({
+      gapStart: parseInt(row.gap_start, 10),
+      gapEnd: parseInt(row.gap_end, 10),
+    }));
+  },
+  saveCheckpoint: async (pool, network, gaps) => {
+    const timestamp = new Date().getTime();
+    await insertRows(
+      pool,
+      'harvester_checkpoint',
+      ['network', 'gap_start', 'gap_end', 'timestamp'],
+      gaps.map(({ gapStart, gapEnd }) => ({
+        network: network.name,
+        gap_start: gapStart,
+        gap_end: gapEnd,
+        timestamp,
+      })),
+      'ON CONFLICT ON CONSTRAINT harvester_checkpoint_pkey DO NOTHING',
+    );
+  },
+  // Harvest a gap from the top down, in chunks of checkpointSize blocks
+  // fetched by a bounded pool of workers. The checkpoint is moved after
+  // every chunk so a restart only repeats the chunk in progress.
+  harvestGap: async (api, pool, network, gap, config, progress) => {
+    let chunkEnd = gap.gapEnd;
+    /* eslint-disable no-await-in-loop */
+    while (chunkEnd >= gap.gapStart && progress.run === generation) {
+      const chunkStart = Math.max(chunkEnd - config.checkpointSize + 1, gap.gapStart);
+      const blockNumbers = [];
+      for (let blockNumber = chunkEnd; blockNumber >= chunkStart; blockNumber -= 1) {
+        blockNumbers.push(blockNumber);
+      }
+      await runPool(
+        blockNumbers,
+        config.concurrency,
+        (blockNumber) => module.exports.harvestBlock(api, pool, network, blockNumber, config),
+      );
+      chunkEnd = chunkStart - 1;
+      if (chunkEnd >= gap.gapStart) {
+        await pool.query(
+          'UPDATE harvester_checkpoint SET gap_end = $3, timestamp = $4 WHERE network = $1 AND gap_start = $2;',
+          [network.name, gap.gapStart, chunkEnd, new Date().getTime()],
+        );
+      } else {
+        await pool.query(
+          'DELETE FROM harvester_checkpoint WHERE network = $1 AND gap_start = $2;',
+          [network.name, gap.gapStart],
         );
       }
+      module.exports.logProgress(progress, blockNumbers.length);
     }
-    // Log execution time
-    const endTime = new Date().getTime();
-    logger.info(loggerOptions, `Executed in ${((endTime - startTime) / 1000).toFixed(0)}s`);
-
-    logger.info(loggerOptions, `Next execution in ${(config.pollingTime / 60000).toFixed(0)}m...`);
-    setTimeout(
-      () => module.exports.start(wsProviderUrl, pool, config),
-      config.pollingTime,
-    );
+    /* eslint-enable no-await-in-loop */
   },
-  harvestBlocks: async (api, pool, startBlock, _endBlock) => {
-    let endBlock = _endBlock;
-    /* eslint-disable no-await-in-loop */
-    while (endBlock >= startBlock) {
-      const startTime = new Date().getTime();
-      try {
-        const blockHash = await api.rpc.chain.getBlockHash(endBlock);
-        const [
-          { block },
-          blockEvents,
-          blockHeader,
-          timestampMs,
-        ] = await Promise.all([
-          api.rpc.chain.getBlock(blockHash),
-          api.query.system.events.at(blockHash),
-          api.derive.chain.getHeader(blockHash),
-          api.query.timestamp.now.at(blockHash),
-        ]);
-
-        const blockAuthor = blockHeader.author || '';
-        const blockAuthorIdentity = await api.derive.accounts.info(blockHeader.author);
-        const blockAuthorName = getDisplayName(blockAuthorIdentity.identity);
-        const timestamp = Math.floor(timestampMs / 1000);
-        const { parentHash, extrinsicsRoot, stateRoot } = blockHeader;
-
-        // Store block events
-        try {
-          // eslint-disable-next-line no-loop-func
-          blockEvents.forEach(async (record, index) => {
-            const { event, phase } = record;
-            const sql = `INSERT INTO event (
-                block_number,
-                event_index,
-                section,
-                method,
-                phase,
-                data,
-                timestamp
-              ) VALUES (
-                '${endBlock}',
-                '${index}',
-                '${event.section}',
-                '${event.method}',
-                '${phase.toString()}',
-                '${JSON.stringify(event.data)}',
-                '${timestamp}'
-              )
-              ON CONFLICT ON CONSTRAINT event_pkey 
-              DO NOTHING
-              ;`;
-            try {
-              await pool.query(sql);
-              logger.info(loggerOptions, `Added event #${endBlock}-${index} ${event.section} ➡ ${event.method}`);
-            } catch (error) {
-              logger.error(loggerOptions, `Error adding event #${endBlock}-${index}: ${error}, sql: ${sql}`);
-            }
-          });
-        } catch (error) {
-          logger.error(loggerOptions, `Error getting events for block ${endBlock} (${blockHash}): ${error}`);
-          const errorString = error.toString().replace(/'/g, "''");
-          const sql = `INSERT INTO harvester_error (block_number, error, timestamp)
-              VALUES ('${endBlock}', '${errorString}', '${timestamp}');
-          `;
-          await pool.query(sql);
-        }
-
-        // Store block extrinsics
-        try {
-          await storeExtrinsics(
-            pool,
-            endBlock,
-            block.extrinsics,
-            blockEvents,
-            timestamp,
-            loggerOptions,
+  logProgress: (progress, harvested) => {
+    // eslint-disable-next-line no-param-reassign
+    progress.harvested += harvested;
+    health.lastSuccess = new Date().getTime();
+    health.lag = progress.total - progress.harvested;
+    const elapsed = new Date().getTime() - progress.startTime;
+    const blocksPerSecond = progress.harvested / (elapsed / 1000);
+    const remaining = progress.total - progress.harvested;
+    const eta = blocksPerSecond > 0 ? (remaining / blocksPerSecond) * 1000 : 0;
+    logger.info(loggerOptions, `Harvested ${progress.harvested}/${progress.total} blocks, ${blocksPerSecond.toFixed(2)} blocks/s, ETA ${formatDuration(eta)}`);
+  },
+  // Fetch and store a finalized block, returns true on success
+  harvestBlock: async (api, pool, network, blockNumber, config) => {
+    const startTime = new Date().getTime();
+    try {
+      const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+      const { block, extrinsics, events } = await getBlockData(api, blockHash, true);
+      await storeBlock(pool, network.name, block, extrinsics, events);
+      const endTime = new Date().getTime();
+      logger.info(loggerOptions, `Added block #${blockNumber} (${shortHash(blockHash.toString())}) in ${((endTime - startTime) / 1000).toFixed(3)}s`);
+      return true;
+    } catch (error) {
+      logger.error(loggerOptions, `Error adding block #${blockNumber}: ${error}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+      await storeHarvesterError(
+        pool,
+        network.name,
+        blockNumber,
+        error,
+        config.retry,
+        loggerOptions,
+      );
+      return false;
+    }
+  },
+  retryFailedBlocks: async (api, pool, config, network) => {
+    const res = await pool.query(
+      'SELECT block_number FROM harvester_error WHERE network = $1 AND next_retry <= $2 AND attempts < $3 ORDER BY block_number DESC;',
+      [network.name, new Date().getTime(), config.retry.maxAttempts],
+    );
+    if (res.rows.length === 0) {
+      return;
+    }
+    logger.info(loggerOptions, `Retrying ${res.rows.length} failed blocks`);
+    let recovered = 0;
+    await runPool(
+      res.rows.map((row) => parseInt(row.block_number, 10)),
+      config.concurrency,
+      async (blockNumber) => {
+        if (await module.exports.harvestBlock(api, pool, network, blockNumber, config)) {
+          await pool.query(
+            'DELETE FROM harvester_error WHERE network = $1 AND block_number = $2;',
+            [network.name, blockNumber],
           );
-        } catch (error) {
-          logger.error(loggerOptions, `Error getting extrinsics for block ${endBlock} (${blockHash}): ${error}`);
-          const errorString = error.toString().replace(/'/g, "''");
-          const sql = `INSERT INTO harvester_error (block_number, error, timestamp)
-            VALUES ('${endBlock}', '${errorString}', '${timestamp}');
-          `;
-          await pool.query(sql);
+          recovered += 1;
         }
-
-        // Totals
-        const totalEvents = blockEvents.length;
-        const totalExtrinsics = block.extrinsics.length;
-
-        const sqlInsert = `INSERT INTO block (
-            block_number,
-            finalized,
-            block_author,
-            block_author_name,
-            block_hash,
-            parent_hash,
-            extrinsics_root,
-            state_root,
-            total_events,
-            total_extrinsics,
-            timestamp
-          ) VALUES (
-            '${endBlock}',
-            false,
-            '${blockAuthor}',
-            '${blockAuthorName}',
-            '${blockHash}',
-            '${parentHash}',
-            '${extrinsicsRoot}',
-            '${stateRoot}',
-            '${totalEvents}',
-            '${totalExtrinsics}',
-            '${timestamp}'
-          )
-          ON CONFLICT ON CONSTRAINT block_pkey 
-          DO NOTHING
-          ;`;
-        try {
-          await pool.query(sqlInsert);
-          const endTime = new Date().getTime();
-          logger.info(loggerOptions, `Added block #${endBlock} (${shortHash(blockHash.toString())}) in ${((endTime - startTime) / 1000).toFixed(3)}s`);
-        } catch (error) {
-          logger.error(loggerOptions, `Error adding block #${endBlock}: ${error}`);
-        }
-        endBlock -= 1;
-      } catch (error) {
-        logger.error(loggerOptions, `Error adding block #${endBlock}: ${error}`);
-        const timestamp = new Date().getTime();
-        const errorString = error.toString().replace(/'/g, "''");
-        const sql = `INSERT INTO harvester_error (block_number, error, timestamp)
-          VALUES ('${endBlock}', '${errorString}', '${timestamp}');
-        `;
-        await pool.query(sql);
-        endBlock -= 1;
-      }
-    }
+      },
+    );
+    logger.info(loggerOptions, `Recovered ${recovered} of ${res.rows.length} failed blocks`);
   },
 };
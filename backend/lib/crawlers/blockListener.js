@@ -1,174 +1,173 @@
 // @ts-check
-const { ApiPromise, WsProvider } = require('@polkadot/api');
 const pino = require('pino');
+const { shortHash, getBlockData } = require('../utils.js');
 const {
-  shortHash, storeExtrinsics, getDisplayName, updateTotals,
-} = require('../utils.js');
+  storeBlock, replaceBlock, updateTotals,
+} = require('../persistence.js');
 
 const logger = pino();
 const loggerOptions = {
   crawler: 'blockListener',
 };
 
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+let unsubscribe = null;
+let lastHead = 0;
+// bumped on every start / stop, queued heads are only processed while their
+// start is current
+let generation = 0;
+// heads waiting to be processed, awaited on stop so the next start never
+// runs alongside it
+let queue = Promise.resolve();
+
 module.exports = {
-  start: async (wsProviderUrl, pool) => {
+  name: 'blockListener',
+  start: async (api, pool, config, network) => {
     logger.info(loggerOptions, 'Starting block listener...');
-    const wsProvider = new WsProvider(wsProviderUrl);
-    const api = await ApiPromise.create({ provider: wsProvider });
+    generation += 1;
+    const run = generation;
+    // Heads are processed one after another, a reorg handled for one head
+    // must not race with the ingestion of the next one
+    queue = queue.then(() => module.exports.catchUp(api, pool, config, network, run));
     // Subscribe to new blocks
-    await api.rpc.chain.subscribeNewHeads(async (blockHeader) => {
-      // Get block hash
+    unsubscribe = await api.rpc.chain.subscribeNewHeads((blockHeader) => {
       const blockNumber = blockHeader.number.toNumber();
-      const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
-
-      // Parallelize
-      const [
-        { block },
-        extendedHeader,
-        finalizedBlockHash,
-      ] = await Promise.all([
-        api.rpc.chain.getBlock(blockHash),
-        api.derive.chain.getHeader(blockHash),
-        api.rpc.chain.getFinalizedHead(),
-      ]);
-
+      const blockHash = blockHeader.hash.toString();
+      lastHead = blockNumber;
+      queue = queue.then(() => (run === generation
+        ? module.exports.processHead(api, pool, network, blockNumber, blockHash)
+        : undefined));
+    });
+  },
+  stop: async () => {
+    generation += 1;
+    if (unsubscribe) {
+      try {
+        unsubscribe();
+      } catch (error) {
+        logger.error(loggerOptions, `Error unsubscribing from new heads: ${error}`);
+      }
+      unsubscribe = null;
+    }
+    // let the head being processed finish, the queued ones are skipped
+    await queue;
+  },
+  health: () => health,
+  // Ingest the blocks produced since the last stored one, e.g. while the
+  // node connection was down
+  catchUp: async (api, pool, config, network, run) => {
+    try {
+      const res = await pool.query(
+        'SELECT MAX(block_number) AS last_block FROM block WHERE network = $1;',
+        [network.name],
+      );
+      if (res.rows[0].last_block === null) {
+        return;
+      }
+      const lastBlock = parseInt(res.rows[0].last_block, 10);
+      const header = await api.rpc.chain.getHeader();
+      const head = header.number.toNumber();
+      const from = Math.max(lastBlock + 1, head - config.catchUpLimit + 1);
+      if (from >= head) {
+        return;
+      }
+      logger.info(loggerOptions, `Catching up from block #${from} to #${head - 1}`);
+      for (let blockNumber = from; blockNumber < head && run === generation; blockNumber += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await module.exports.processHead(api, pool, network, blockNumber);
+      }
+    } catch (error) {
+      logger.error(loggerOptions, `Error catching up: ${error}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+    }
+  },
+  // Store a head, the announced hash is used as is (a lookup by number could
+  // return another block during a reorg)
+  processHead: async (api, pool, network, blockNumber, headHash = null) => {
+    try {
+      const blockHash = headHash || (await api.rpc.chain.getBlockHash(blockNumber)).toString();
+      const finalizedBlockHash = await api.rpc.chain.getFinalizedHead();
       const finalizedBlockHeader = await api.rpc.chain.getHeader(finalizedBlockHash);
       const finalizedBlock = finalizedBlockHeader.number.toNumber();
 
-      const { parentHash, extrinsicsRoot, stateRoot } = blockHeader;
+      await module.exports.syncChain(api, pool, network, blockNumber, blockHash);
+      await module.exports.updateFinalized(api, pool, network, finalizedBlock);
 
-      // Get block author
-      const blockAuthor = extendedHeader.author || '';
+      // update totals
+      await updateTotals(pool, network.name, loggerOptions);
 
-      // Get block author identity display name
-      const blockAuthorIdentity = await api.derive.accounts.info(blockAuthor);
-      const blockAuthorName = getDisplayName(blockAuthorIdentity.identity);
-
-      // Handle chain reorganizations
-      let sql = `SELECT block_number FROM block WHERE block_number = '${blockNumber}'`;
-      let res = await pool.query(sql);
-      if (res.rows.length > 0) {
-        // Chain reorganization detected! We need to update block_author, block_hash and state_root
-        logger.info(loggerOptions, `Detected chain reorganization at block #${blockNumber}, updating author, author name, hash and state root`);
-
-        // eslint-disable-next-line
-        const blockAuthor = extendedHeader.author;
-        // eslint-disable-next-line
-        const blockAuthorIdentity = await api.derive.accounts.info(blockAuthor);
-        // eslint-disable-next-line
-        const blockAuthorName = blockAuthorIdentity.identity.display || '';
-
-        sql = `UPDATE block SET block_author = '${blockAuthor}', block_author_name = '${blockAuthorName}', block_hash = '${blockHash}', state_root = '${stateRoot}' WHERE block_number = '${blockNumber}'`;
-        res = await pool.query(sql);
+      health.lastSuccess = new Date().getTime();
+      health.lag = Math.max(lastHead - blockNumber, 0);
+    } catch (error) {
+      logger.error(loggerOptions, `Error processing block #${blockNumber}: ${error}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+    }
+  },
+  // Store the new head and walk back through its ancestors, replacing every
+  // stored block that is not part of the canonical chain anymore. Stops at the
+  // first stored ancestor that matches (or at a gap, left to the harvester).
+  syncChain: async (api, pool, network, headNumber, headHash) => {
+    let blockNumber = headNumber;
+    let blockHash = headHash;
+    /* eslint-disable no-await-in-loop */
+    while (blockNumber >= 0) {
+      const res = await pool.query(
+        'SELECT block_hash FROM block WHERE network = $1 AND block_number = $2;',
+        [network.name, blockNumber],
+      );
+      const storedHash = res.rows.length > 0 ? res.rows[0].block_hash : null;
+      if (storedHash === blockHash) {
+        break;
+      }
+      if (!storedHash && blockNumber !== headNumber) {
+        break;
+      }
+      const { block, extrinsics, events } = await getBlockData(api, blockHash, false);
+      if (storedHash) {
+        logger.info(loggerOptions, `Detected chain reorganization at block #${blockNumber}, replacing ${shortHash(storedHash)} with ${shortHash(blockHash)}`);
+        await replaceBlock(pool, network.name, block, extrinsics, events);
       } else {
-        // Get block events
-        const blockEvents = await api.query.system.events.at(blockHash);
-
-        // Totals
-        const totalEvents = blockEvents.length || 0;
-        const totalExtrinsics = block.extrinsics.length;
-
-        // Store new block
-        logger.info(loggerOptions, `Adding block #${blockNumber} (${shortHash(blockHash.toString())})`);
-        const timestampMs = await api.query.timestamp.now.at(blockHash);
-        const timestamp = Math.floor(parseInt(timestampMs.toString(), 10) / 1000);
-
-        sql = `INSERT INTO block (
-            block_number,
-            finalized,
-            block_author,
-            block_author_name,
-            block_hash,
-            parent_hash,
-            extrinsics_root,
-            state_root,
-            total_events,
-            total_extrinsics,
-            timestamp
-          ) VALUES (
-            '${blockNumber}',
-            false,
-            '${blockAuthor}',
-            '${blockAuthorName}',
-            '${blockHash}',
-            '${parentHash}',
-            '${extrinsicsRoot}',
-            '${stateRoot}',
-            '${totalEvents}',
-            '${totalExtrinsics}',
-            '${timestamp}'
-          )
-          ON CONFLICT ON CONSTRAINT block_pkey 
-          DO NOTHING
-          ;`;
-
-        try {
-          await pool.query(sql);
-        } catch (error) {
-          logger.error(loggerOptions, `Error adding block #${blockNumber}: ${error}, sql: ${sql}`);
-        }
-
-        // Store block extrinsics
-        await storeExtrinsics(
-          pool,
-          blockNumber,
-          block.extrinsics,
-          blockEvents,
-          timestamp,
-          loggerOptions,
+        await storeBlock(pool, network.name, block, extrinsics, events);
+        logger.info(loggerOptions, `Added block #${blockNumber} (${shortHash(blockHash)}) with ${block.total_extrinsics} extrinsics and ${block.total_events} events`);
+      }
+      blockHash = block.parent_hash;
+      blockNumber -= 1;
+    }
+    /* eslint-enable no-await-in-loop */
+  },
+  // Mark stored blocks up to the finalized head as finalized, after checking
+  // them against the finalized chain and re-ingesting the ones that differ
+  updateFinalized: async (api, pool, network, finalizedBlock) => {
+    const res = await pool.query(
+      'SELECT block_number, block_hash FROM block WHERE network = $1 AND finalized = false AND block_number <= $2 ORDER BY block_number;',
+      [network.name, finalizedBlock],
+    );
+    /* eslint-disable no-await-in-loop */
+    // eslint-disable-next-line no-restricted-syntax
+    for (const row of res.rows) {
+      const blockNumber = parseInt(row.block_number, 10);
+      const canonicalHash = (await api.rpc.chain.getBlockHash(blockNumber)).toString();
+      if (canonicalHash === row.block_hash) {
+        await pool.query(
+          'UPDATE block SET finalized = true WHERE network = $1 AND block_number = $2;',
+          [network.name, blockNumber],
         );
-
-        // Loop through the Vec<EventRecord>
-        await blockEvents.forEach(async (record, index) => {
-          // Extract the phase and event
-          const { event, phase } = record;
-          // eslint-disable-next-line
-          let sql = `SELECT FROM event WHERE block_number = '${blockNumber}' AND event_index = '${index}';`;
-          // eslint-disable-next-line
-          let res = await pool.query(sql);
-
-          if (res.rows.length === 0) {
-            sql = `INSERT INTO event (
-                block_number,
-                event_index,
-                section,
-                method,
-                phase,
-                data,
-                timestamp
-              ) VALUES (
-                '${blockNumber}',
-                '${index}',
-                '${event.section}',
-                '${event.method}',
-                '${phase.toString()}',
-                '${JSON.stringify(event.data)}',
-                '${timestamp}'
-              )
-              ON CONFLICT ON CONSTRAINT event_pkey 
-              DO NOTHING
-              ;`;
-            try {
-              await pool.query(sql);
-              logger.info(loggerOptions, `Added event #${blockNumber}-${index} ${event.section} ➡ ${event.method}`);
-            } catch (error) {
-              logger.error(loggerOptions, `Error adding event #${blockNumber}-${index}: ${error}, sql: ${sql}`);
-            }
-          }
-        });
-
-        // update finalized blocks
-        sql = `UPDATE block SET finalized = true WHERE finalized = false AND block_number <= ${finalizedBlock}`;
-        try {
-          await pool.query(sql);
-          logger.info(loggerOptions, `Last finalized block updated to #${finalizedBlock}`);
-        } catch (error) {
-          logger.error(loggerOptions, `Error updating finalized block: ${error}, sql: ${sql}`);
-        }
-
-        // update totals
-        updateTotals(pool, loggerOptions);
+      } else {
+        logger.info(loggerOptions, `Block #${blockNumber} (${shortHash(row.block_hash)}) was orphaned, replacing with finalized ${shortHash(canonicalHash)}`);
+        const { block, extrinsics, events } = await getBlockData(api, canonicalHash, true);
+        await replaceBlock(pool, network.name, block, extrinsics, events);
       }
-    });
+    }
+    /* eslint-enable no-await-in-loop */
+    if (res.rows.length > 0) {
+      logger.info(loggerOptions, `Last finalized block updated to #${finalizedBlock}`);
+    }
   },
 };
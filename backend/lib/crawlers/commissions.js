@@ -0,0 +1,148 @@
+// @ts-check
+const pino = require('pino');
+const { wait } = require('../utils.js');
+const { insertRows } = require('../persistence.js');
+const { getValidateCalls, chainBlockChanges } = require('../commissions.js');
+
+const logger = pino();
+const loggerOptions = {
+  crawler: 'commissions',
+};
+
+const commissionChangeColumns = [
+  'network',
+  'block_number',
+  'extrinsic_index',
+  'stash',
+  'era',
+  'commission',
+  'previous_commission',
+  'timestamp',
+];
+
+// Harvested successful staking.validate extrinsics that were not indexed
+// yet, blocks are harvested in any order so every stored one is checked
+async function getNewExtrinsics(pool, network) {
+  const sql = `
+    SELECT block_number, extrinsic_index, signer, args, timestamp
+    FROM extrinsic
+    WHERE network = $1 AND section = 'staking' AND method = 'validate' AND success
+    AND NOT EXISTS (
+      SELECT 1 FROM commission_change
+      WHERE commission_change.network = extrinsic.network
+      AND commission_change.block_number = extrinsic.block_number
+      AND commission_change.extrinsic_index = extrinsic.extrinsic_index
+    )
+    ORDER BY block_number, extrinsic_index;
+  `;
+  const res = await pool.query(sql, [network.name]);
+  return res.rows.map((row) => ({
+    ...row,
+    block_number: parseInt(row.block_number, 10),
+    timestamp: parseInt(row.timestamp, 10),
+  }));
+}
+
+// Stash, era and previous commission of the validate calls of a block, the
+// signer is the controller and the previous commission is the one set at
+// the parent block (null for new validators) or by an earlier call of the
+// block
+async function getBlockChanges(api, blockNumber, calls) {
+  const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+  const { parentHash } = await api.rpc.chain.getHeader(blockHash);
+  const activeEra = await api.query.staking.activeEra.at(blockHash);
+  const era = activeEra.isSome ? activeEra.unwrap().index.toNumber() : 0;
+  const changes = await Promise.all(calls.map(async (call) => {
+    const ledger = await api.query.staking.ledger.at(blockHash, call.controller);
+    const stash = ledger.isSome ? ledger.unwrap().stash.toString() : call.controller;
+    // prefs default to a 0 commission, the stored size tells them apart
+    const [previousPrefs, previousSize] = await Promise.all([
+      api.query.staking.validators.at(parentHash, stash),
+      api.query.staking.validators.sizeAt(parentHash, stash),
+    ]);
+    return {
+      ...call,
+      stash,
+      era,
+      previous_commission: previousSize.isZero()
+        ? null
+        : parseInt(previousPrefs.commission.toString(), 10),
+    };
+  }));
+  return chainBlockChanges(changes);
+}
+
+async function indexCommissionChanges(api, pool, network) {
+  const extrinsics = await getNewExtrinsics(pool, network);
+  const blocks = new Map();
+  getValidateCalls(extrinsics).forEach((call) => {
+    if (!blocks.has(call.block_number)) {
+      blocks.set(call.block_number, []);
+    }
+    blocks.get(call.block_number).push(call);
+  });
+  let indexed = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [blockNumber, calls] of blocks.entries()) {
+    // eslint-disable-next-line no-await-in-loop
+    const changes = await getBlockChanges(api, blockNumber, calls);
+    // eslint-disable-next-line no-await-in-loop
+    await insertRows(
+      pool,
+      'commission_change',
+      commissionChangeColumns,
+      changes.map((change) => ({ ...change, network: network.name })),
+      'ON CONFLICT ON CONSTRAINT commission_change_pkey DO NOTHING',
+    );
+    indexed += changes.length;
+  }
+  return indexed;
+}
+
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+// bumped on every start / stop, a run only continues while it's current
+let generation = 0;
+let timeout = null;
+
+module.exports = {
+  name: 'commissions',
+  start: async (api, pool, config, network) => {
+    generation += 1;
+    const run = generation;
+    logger.info(loggerOptions, `Delay commissions indexer start for ${config.startDelay / 1000}s`);
+    await wait(config.startDelay);
+    await module.exports.run(api, pool, config, network, run);
+  },
+  stop: async () => {
+    generation += 1;
+    clearTimeout(timeout);
+  },
+  health: () => health,
+  run: async (api, pool, config, network, run) => {
+    if (run !== generation) {
+      return;
+    }
+    logger.info(loggerOptions, 'Starting commissions indexer');
+    const startTime = new Date().getTime();
+    try {
+      const indexed = await indexCommissionChanges(api, pool, network);
+      health.lastSuccess = new Date().getTime();
+      logger.info(loggerOptions, `Indexed ${indexed} commission changes in ${((new Date().getTime() - startTime) / 1000).toFixed(3)}s`);
+    } catch (error) {
+      logger.error(loggerOptions, `Error indexing commission changes: ${JSON.stringify(error)}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+    }
+    if (run === generation) {
+      timeout = setTimeout(
+        () => module.exports.run(api, pool, config, network, run),
+        config.pollingTime,
+      );
+    }
+  },
+};
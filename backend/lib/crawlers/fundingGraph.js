@@ -0,0 +1,150 @@
+// @ts-check
+const pino = require('pino');
+const { wait } = require('../utils.js');
+const { withTransaction, insertRows } = require('../persistence.js');
+const { findFundingGroups } = require('../fundingGraph.js');
+
+const logger = pino();
+const loggerOptions = {
+  crawler: 'fundingGraph',
+};
+
+const fundingGroupColumns = [
+  'network',
+  'id',
+  'source',
+  'via',
+  'validators',
+  'first_block',
+  'last_block',
+  'timestamp',
+];
+
+// Validators of the last ranking snapshot
+async function getValidators(pool, network) {
+  const sql = `
+    SELECT stash_address, controller_address, cluster_name, part_of_cluster
+    FROM ranking
+    WHERE network = $1
+    AND block_height = (SELECT MAX(block_height) FROM ranking_snapshot WHERE network = $1);
+  `;
+  const res = await pool.query(sql, [network.name]);
+  return res.rows.map((row) => ({
+    stashAddress: row.stash_address,
+    controllerAddress: row.controller_address,
+    clusterName: row.cluster_name,
+    partOfCluster: row.part_of_cluster,
+  }));
+}
+
+// Transfers that first funded any of the accounts, kept in the account table
+// by the block listener and harvester (looked up by primary key instead of
+// scanning every Transfer event)
+async function getTransfersTo(pool, network, accounts) {
+  if (accounts.length === 0) {
+    return [];
+  }
+  const sql = `
+    SELECT account_id, funded_by, funded_at_block
+    FROM account
+    WHERE network = $1
+    AND account_id = ANY($2)
+    AND funded_by IS NOT NULL;
+  `;
+  const res = await pool.query(sql, [network.name, accounts]);
+  return res.rows.map((row) => ({
+    from: row.funded_by,
+    to: row.account_id,
+    blockNumber: parseInt(row.funded_at_block, 10),
+  }));
+}
+
+async function storeFundingGroups(pool, network, groups) {
+  const timestamp = new Date().getTime();
+  await withTransaction(pool, async (client) => {
+    await client.query('DELETE FROM funding_group WHERE network = $1;', [network.name]);
+    if (groups.length > 0) {
+      await insertRows(
+        client,
+        'funding_group',
+        fundingGroupColumns,
+        groups.map((group) => ({
+          network: network.name,
+          id: group.id,
+          source: group.source,
+          via: JSON.stringify(group.via),
+          validators: JSON.stringify(group.validators),
+          first_block: group.firstBlock,
+          last_block: group.lastBlock,
+          timestamp,
+        })),
+      );
+    }
+  });
+}
+
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+// bumped on every start / stop, a run only continues while it's current
+let generation = 0;
+let timeout = null;
+
+module.exports = {
+  name: 'fundingGraph',
+  start: async (api, pool, config, network) => {
+    generation += 1;
+    const run = generation;
+    logger.info(loggerOptions, `Delay funding graph analysis start for ${config.startDelay / 1000}s`);
+    await wait(config.startDelay);
+    await module.exports.run(api, pool, config, network, run);
+  },
+  stop: async () => {
+    generation += 1;
+    clearTimeout(timeout);
+  },
+  health: () => health,
+  run: async (api, pool, config, network, run) => {
+    if (run !== generation) {
+      return;
+    }
+    logger.info(loggerOptions, 'Starting funding graph analysis');
+    const startTime = new Date().getTime();
+    try {
+      const validators = await getValidators(pool, network);
+      if (validators.length === 0) {
+        logger.info(loggerOptions, 'No ranking yet, nothing to analyse');
+      } else {
+        const accounts = [...new Set(validators.reduce(
+          (list, validator) => list.concat([validator.stashAddress, validator.controllerAddress]),
+          [],
+        ))];
+        const transfers = await getTransfersTo(pool, network, accounts);
+        // one hop upstream, the accounts that funded the validators
+        const validatorAccounts = new Set(accounts);
+        const funders = [...new Set(transfers.map(({ from }) => from))]
+          .filter((account) => !validatorAccounts.has(account));
+        const upstream = await getTransfersTo(pool, network, funders);
+        logger.info(loggerOptions, `Got ${transfers.length} transfers to validators and ${upstream.length} to their funders`);
+
+        const groups = findFundingGroups([...transfers, ...upstream], validators, config);
+        await storeFundingGroups(pool, network, groups);
+        health.lastSuccess = new Date().getTime();
+        logger.info(loggerOptions, `Found ${groups.length} funding groups in ${((new Date().getTime() - startTime) / 1000).toFixed(3)}s`);
+      }
+    } catch (error) {
+      logger.error(loggerOptions, `Error in funding graph analysis: ${JSON.stringify(error)}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+    }
+    if (run === generation) {
+      timeout = setTimeout(
+        () => module.exports.run(api, pool, config, network, run),
+        config.pollingTime,
+      );
+    }
+  },
+};
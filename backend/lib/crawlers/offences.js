@@ -0,0 +1,229 @@
+// @ts-check
+const pino = require('pino');
+const { wait } = require('../utils.js');
+const { withTransaction, insertRows } = require('../persistence.js');
+const { offenceKinds, getOffenceRows, resolveOffences } = require('../offences.js');
+
+const logger = pino();
+const loggerOptions = {
+  crawler: 'offences',
+};
+
+const offenceColumns = [
+  'network',
+  'block_number',
+  'event_index',
+  'account_id',
+  'era',
+  'kind',
+  'amount',
+  'cancelled',
+  'timestamp',
+];
+
+const offenceEventColumns = ['network', 'block_number', 'event_index'];
+
+// events are indexed in batches to bound the memory used
+const eventBatchSize = 1000;
+
+// Harvested offence events that were not indexed yet, blocks are harvested
+// in any order so every stored event is checked. Indexed events are recorded
+// in offence_event, many of them (reports of offline validators, offenders
+// already reported in the same time slot) produce no offence row.
+async function getNewEvents(pool, network) {
+  const sql = `
+    SELECT block_number, event_index, section, method, data, timestamp
+    FROM event
+    WHERE network = $1
+    AND (
+      (section = 'staking' AND method IN ('Slash', 'Slashed'))
+      OR (section = 'imOnline' AND method = 'SomeOffline')
+      OR (section = 'offences' AND method = 'Offence')
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM offence_event
+      WHERE offence_event.network = event.network
+      AND offence_event.block_number = event.block_number
+      AND offence_event.event_index = event.event_index
+    )
+    ORDER BY block_number, event_index
+    LIMIT $2;
+  `;
+  const res = await pool.query(sql, [network.name, eventBatchSize]);
+  return res.rows.map((row) => ({ ...row, block_number: parseInt(row.block_number, 10) }));
+}
+
+// Offenders of a report kind and time slot
+async function getOffenders(api, blockHash, { kind, timeSlot }) {
+  const reportIds = await api.query.offences.concurrentReportsIndex.at(blockHash, kind, timeSlot);
+  const reports = await Promise.all(
+    reportIds.map((reportId) => api.query.offences.reports.at(blockHash, reportId)),
+  );
+  return reports
+    .filter((report) => report.isSome)
+    .map((report) => report.unwrap().offender[0].toString());
+}
+
+// Era and offenders of the offence rows of a block, the offenders of a
+// report are the ones that were not reported in the same time slot before
+async function getBlockOffences(api, blockNumber, rows) {
+  const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+  const activeEra = await api.query.staking.activeEra.at(blockHash);
+  const era = activeEra.isSome ? activeEra.unwrap().index.toNumber() : 0;
+  const { parentHash } = await api.rpc.chain.getHeader(blockHash);
+  const offences = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const row of rows) {
+    if (row.report) {
+      // eslint-disable-next-line no-await-in-loop
+      const [offenders, previous] = await Promise.all([
+        getOffenders(api, blockHash, row.report),
+        getOffenders(api, parentHash, row.report),
+      ]);
+      offenders
+        .filter((offender) => !previous.includes(offender))
+        .forEach((offender) => offences.push({ ...row, account_id: offender, era }));
+    } else {
+      offences.push({ ...row, era });
+    }
+  }
+  return offences;
+}
+
+async function indexOffences(api, pool, network) {
+  let indexed = 0;
+  let events;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    events = await getNewEvents(pool, network);
+    const blocks = new Map();
+    events.forEach((event) => {
+      if (!blocks.has(event.block_number)) {
+        blocks.set(event.block_number, []);
+      }
+      blocks.get(event.block_number).push(event);
+    });
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [blockNumber, blockEvents] of blocks.entries()) {
+      // eslint-disable-next-line no-await-in-loop
+      const offences = await getBlockOffences(api, blockNumber, getOffenceRows(blockEvents));
+      const timestamp = parseInt(blockEvents[0].timestamp, 10);
+      // eslint-disable-next-line no-await-in-loop
+      await withTransaction(pool, async (client) => {
+        await insertRows(
+          client,
+          'offence',
+          offenceColumns,
+          offences.map((offence) => ({
+            ...offence,
+            network: network.name,
+            cancelled: false,
+            timestamp,
+          })),
+          'ON CONFLICT ON CONSTRAINT offence_pkey DO NOTHING',
+        );
+        await insertRows(
+          client,
+          'offence_event',
+          offenceEventColumns,
+          blockEvents.map((event) => ({ ...event, network: network.name })),
+          'ON CONFLICT ON CONSTRAINT offence_event_pkey DO NOTHING',
+        );
+      });
+      indexed += offences.length;
+    }
+  } while (events.length === eventBatchSize);
+  return indexed;
+}
+
+// Amount and cancellation of the reported offences, checked again on every
+// run as slashes are applied (or cancelled) eras after the report. Only the
+// offences of accounts with unresolved ones are loaded.
+async function updateOffences(api, pool, network) {
+  const activeEra = await api.query.staking.activeEra();
+  const currentEra = activeEra.isSome ? activeEra.unwrap().index.toNumber() : 0;
+  const slashDeferDuration = api.consts.staking.slashDeferDuration.toNumber();
+  const slashableKinds = Object.keys(offenceKinds).filter((kind) => offenceKinds[kind].slashable);
+  const sql = `
+    SELECT * FROM offence
+    WHERE network = $1
+    AND account_id IN (
+      SELECT account_id FROM offence
+      WHERE network = $1 AND kind = ANY($2) AND amount IS NULL AND NOT cancelled
+    );
+  `;
+  const res = await pool.query(sql, [network.name, slashableKinds]);
+  const rows = res.rows.map((row) => ({ ...row, block_number: parseInt(row.block_number, 10) }));
+  const changed = resolveOffences(rows, currentEra, slashDeferDuration)
+    .filter((row) => !rows.includes(row));
+  if (changed.length > 0) {
+    await withTransaction(pool, async (client) => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const row of changed) {
+        // eslint-disable-next-line no-await-in-loop
+        await client.query(
+          `UPDATE offence SET amount = $5, cancelled = $6
+          WHERE network = $1 AND block_number = $2 AND event_index = $3 AND account_id = $4;`,
+          [
+            network.name,
+            row.block_number,
+            row.event_index,
+            row.account_id,
+            row.amount,
+            row.cancelled,
+          ],
+        );
+      }
+    });
+  }
+  return changed.length;
+}
+
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+// bumped on every start / stop, a run only continues while it's current
+let generation = 0;
+let timeout = null;
+
+module.exports = {
+  name: 'offences',
+  start: async (api, pool, config, network) => {
+    generation += 1;
+    const run = generation;
+    logger.info(loggerOptions, `Delay offences indexer start for ${config.startDelay / 1000}s`);
+    await wait(config.startDelay);
+    await module.exports.run(api, pool, config, network, run);
+  },
+  stop: async () => {
+    generation += 1;
+    clearTimeout(timeout);
+  },
+  health: () => health,
+  run: async (api, pool, config, network, run) => {
+    if (run !== generation) {
+      return;
+    }
+    logger.info(loggerOptions, 'Starting offences indexer');
+    const startTime = new Date().getTime();
+    try {
+      const indexed = await indexOffences(api, pool, network);
+      const updated = await updateOffences(api, pool, network);
+      health.lastSuccess = new Date().getTime();
+      logger.info(loggerOptions, `Indexed ${indexed} offences and updated ${updated} in ${((new Date().getTime() - startTime) / 1000).toFixed(3)}s`);
+    } catch (error) {
+      logger.error(loggerOptions, `Error indexing offences: ${JSON.stringify(error)}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+    }
+    if (run === generation) {
+      timeout = setTimeout(
+        () => module.exports.run(api, pool, config, network, run),
+        config.pollingTime,
+      );
+    }
+  },
+};
@@ -1,18 +1,32 @@
 // @ts-check
-const { BigNumber } = require('bignumber.js');
-const { ApiPromise, WsProvider } = require('@polkadot/api');
 const pino = require('pino');
 const axios = require('axios').default;
 const { wait } = require('../utils.js');
+const { withTransaction, insertRows, updateTotal } = require('../persistence.js');
+const { loadScoring, publish } = require('../scoring.js');
+const { getEras } = require('../eras.js');
+const { getAccounts } = require('../accounts.js');
+const { getNominatorRows } = require('../nominators.js');
+const {
+  rateValidators,
+  rankValidators,
+  findDominated,
+  hideClusterMembers,
+  getTotals,
+  getElection,
+} = require('../rankingEngine.js');
 
 const logger = pino();
 const loggerOptions = {
   crawler: 'ranking',
 };
 
-async function getThousandValidators() {
+async function getThousandValidators(network) {
+  if (!network.thousandValidatorsUrl) {
+    return [];
+  }
   try {
-    const response = await axios.get('https://kusama.w3f.community/candidates');
+    const response = await axios.get(network.thousandValidatorsUrl);
     return response.data;
   } catch (error) {
     logger.error(loggerOptions, `Error fetching Thousand Validator Program stats: ${JSON.stringify(error)}`);
@@ -20,659 +34,383 @@ async function getThousandValidators() {
   }
 }
 
-function isVerifiedIdentity(identity) {
-  if (identity.judgements.length === 0) {
-    return false;
+// Account that receives the rewards of a validator
+function getRewardDestination(validator) {
+  const { rewardDestination } = validator;
+  if (rewardDestination.isStaked || rewardDestination.isStash) {
+    return validator.stashId.toString();
   }
-  return identity.judgements
-    .filter(([, judgement]) => !judgement.isFeePaid)
-    .some(([, judgement]) => judgement.isKnownGood || judgement.isReasonable);
-}
-
-function getName(identity) {
-  if (
-    identity.displayParent
-    && identity.displayParent !== ''
-    && identity.display
-    && identity.display !== ''
-  ) {
-    return `${identity.displayParent}/${identity.display}`;
+  if (rewardDestination.isController) {
+    return validator.controllerId.toString();
   }
-  return identity.display || '';
+  if (rewardDestination.isAccount) {
+    return rewardDestination.asAccount.toString();
+  }
+  return null;
 }
 
-function getClusterName(identity) {
-  return identity.displayParent || '';
+// Suspected clusters found by the funding graph analysis
+async function getFundingGroups(pool, network) {
+  const res = await pool.query('SELECT id, validators FROM funding_group WHERE network = $1 ORDER BY id;', [network.name]);
+  return res.rows.map((row) => ({ id: row.id, validators: JSON.parse(row.validators) }));
 }
 
-function subIdentity(identity) {
-  if (
-    identity.displayParent
-    && identity.displayParent !== ''
-    && identity.display
-    && identity.display !== ''
-  ) {
-    return true;
-  }
-  return false;
+// Offences since firstEra, indexed by the offences crawler
+async function getOffences(pool, network, firstEra) {
+  const res = await pool.query(
+    'SELECT account_id, era, kind, amount, cancelled FROM offence WHERE network = $1 AND era >= $2;',
+    [network.name, firstEra],
+  );
+  return res.rows.map((row) => ({
+    accountId: row.account_id,
+    era: row.era,
+    kind: row.kind,
+    amount: row.amount,
+    cancelled: row.cancelled,
+  }));
 }
 
-function getIdentityRating(name, verifiedIdentity, hasAllFields) {
-  if (verifiedIdentity && hasAllFields) {
-    return 3;
-  } if (verifiedIdentity && !hasAllFields) {
-    return 2;
-  } if (name !== '') {
-    return 1;
-  }
-  return 0;
+// Blocks authored per era since firstEra, stored by the reliability crawler
+async function getBlockProduction(pool, network, firstEra) {
+  const res = await pool.query(
+    'SELECT stash, era, authored, expected FROM era_blocks WHERE network = $1 AND era >= $2;',
+    [network.name, firstEra],
+  );
+  return res.rows.map((row) => ({
+    stash: row.stash,
+    era: row.era,
+    authored: row.authored,
+    expected: parseFloat(row.expected),
+  }));
 }
 
-function parseIdentity(identity) {
-  const verifiedIdentity = isVerifiedIdentity(identity);
-  const hasSubIdentity = subIdentity(identity);
-  const name = getName(identity);
-  const hasAllFields = identity.display
-    && identity.legal
-    && identity.web
-    && identity.email
-    && identity.twitter
-    && identity.riot;
-  const identityRating = getIdentityRating(name, verifiedIdentity, hasAllFields);
-  return {
-    verifiedIdentity,
-    hasSubIdentity,
-    name,
-    identityRating,
-  };
+// Heartbeats per session since firstEra, stored by the reliability crawler
+async function getHeartbeats(pool, network, firstEra) {
+  const res = await pool.query(
+    'SELECT stash, session, online FROM heartbeat WHERE network = $1 AND era >= $2;',
+    [network.name, firstEra],
+  );
+  return res.rows.map((row) => ({
+    stash: row.stash,
+    session: row.session,
+    online: row.online,
+  }));
 }
 
-function getCommissionHistory(accountId, erasPreferences) {
-  const commissionHistory = [];
-  erasPreferences.forEach(({ era, validators }) => {
-    if (validators[accountId]) {
-      commissionHistory.push({
-        era: new BigNumber(era.toString()).toString(10),
-        commission: (validators[accountId].commission / 10000000).toFixed(2),
-      });
-    } else {
-      commissionHistory.push({
-        era: new BigNumber(era.toString()).toString(10),
-        commission: null,
-      });
-    }
-  });
-  return commissionHistory;
+// Payouts since firstEra, indexed by the rewards crawler
+async function getPayouts(pool, network, firstEra) {
+  const res = await pool.query(
+    'SELECT validator, era, nominators_reward, total_stake, own_stake FROM payout WHERE network = $1 AND era >= $2;',
+    [network.name, firstEra],
+  );
+  return res.rows.map((row) => ({
+    validator: row.validator,
+    era: row.era,
+    nominatorsReward: row.nominators_reward,
+    totalStake: row.total_stake,
+    ownStake: row.own_stake,
+  }));
 }
 
-function getCommissionRating(commission, commissionHistory) {
-  if (commission !== 100 && commission !== 0) {
-    if (commission > 10) {
-      return 1;
-    }
-    if (commission >= 5) {
-      if (
-        commissionHistory.length > 1
-        && commissionHistory[0] > commissionHistory[commissionHistory.length - 1]
-      ) {
-        return 3;
-      }
-      return 2;
-    }
-    if (commission < 5) {
-      return 3;
-    }
-  }
-  return 0;
+// Commission changes since firstEra, indexed by the commissions crawler
+async function getCommissionChanges(pool, network, firstEra) {
+  const res = await pool.query(
+    'SELECT stash, block_number, era, commission, previous_commission, timestamp FROM commission_change WHERE network = $1 AND era >= $2;',
+    [network.name, firstEra],
+  );
+  return res.rows.map((row) => ({
+    stash: row.stash,
+    blockNumber: parseInt(row.block_number, 10),
+    era: row.era,
+    commission: row.commission,
+    previousCommission: row.previous_commission,
+    timestamp: parseInt(row.timestamp, 10),
+  }));
 }
 
-function getPayoutRating(payoutHistory, config) {
-  const pendingEras = payoutHistory.filter((era) => era.status === 'pending').length;
-  if (pendingEras <= config.erasPerDay) {
-    return 3;
-  } if (pendingEras <= 3 * config.erasPerDay) {
-    return 2;
-  } if (pendingEras < 7 * config.erasPerDay) {
-    return 1;
-  }
-  return 0;
-}
+// Fetch everything the ranking needs as a plain data snapshot, see
+// lib/rankingEngine.js for its format
+async function fetchSnapshot(api, pool, config, network) {
+  const thousandValidators = await getThousandValidators(network);
+  logger.info(loggerOptions, `Got info from ${thousandValidators.length} validators of thousand validator program!`);
+
+  const chainCurrentEra = await api.query.staking.currentEra();
+  const currentEra = parseInt(chainCurrentEra.toString(), 10);
+  const { maxNominatorRewardedPerValidator } = api.consts.staking;
+  const validatorCount = await api.query.staking.validatorCount();
+  // validators reward of the last finished era, for nomination simulations
+  const activeEra = await api.query.staking.activeEra();
+  const lastEraReward = activeEra.isSome
+    ? await api.query.staking.erasValidatorReward(activeEra.unwrap().index.toNumber() - 1)
+    : null;
+
+  const stakingQueryFlags = {
+    withDestination: true,
+    withExposure: true,
+    withLedger: true,
+    withNominations: false,
+    withPrefs: true,
+  };
 
-function getClusterInfo(hasSubIdentity, validators, validatorIdentity) {
-  if (!hasSubIdentity) {
-    // string detection
-    // samples: DISC-SOFT-01, BINANCE_KSM_9, SNZPool-1
-    if (validatorIdentity.display) {
-      const stringSize = 6;
-      const clusterMembers = validators.filter(
-        ({ identity }) => (identity.display || '').substring(0, stringSize)
-            === validatorIdentity.display.substring(0, stringSize),
-      ).length;
-      const clusterName = validatorIdentity.display
-        .replace(/\d{1,2}$/g, '')
-        .replace(/-$/g, '')
-        .replace(/_$/g, '');
-      return {
-        clusterName,
-        clusterMembers,
-      };
-    }
+  const [
+    { block },
+    validatorAddresses,
+    waitingInfo,
+    nominators,
+    ledgers,
+    councilVotes,
+    proposals,
+    referendums,
+    eras,
+  ] = await Promise.all([
+    api.rpc.chain.getBlock(),
+    api.query.session.validators(),
+    api.derive.staking.waitingInfo(stakingQueryFlags),
+    api.query.staking.nominators.entries(),
+    api.query.staking.ledger.entries(),
+    api.derive.council.votes(),
+    api.derive.democracy.proposals(),
+    api.derive.democracy.referendums(),
+    getEras(api, pool, network, config.historySize, currentEra, loggerOptions),
+  ]);
+
+  const activeValidators = await Promise.all(
+    validatorAddresses.map(
+      (authorityId) => api.derive.staking.query(authorityId, stakingQueryFlags),
+    ),
+  );
+  const getValidator = async (validator, active) => {
+    const { identity } = await api.derive.accounts.info(validator.accountId);
     return {
-      clusterName: '',
-      clusterMembers: 0,
+      stashAddress: validator.stashId.toString(),
+      controllerAddress: validator.controllerId.toString(),
+      active,
+      identity: JSON.parse(JSON.stringify(identity)),
+      commission: parseInt(validator.validatorPrefs.commission.toString(), 10),
+      selfStake: active
+        ? validator.exposure.own.toString()
+        : validator.stakingLedger.total.toString(),
+      totalStake: active
+        ? validator.exposure.total.toString()
+        : validator.stakingLedger.total.toString(),
+      nominatorStakes: active
+        ? validator.exposure.others.map(({ who, value }) => ({
+          nominator: who.toString(),
+          stake: value.toString(),
+        }))
+        : [],
+      claimedRewards: validator.stakingLedger.claimedRewards.map((era) => era.toNumber()),
+      rewardDestination: getRewardDestination(validator),
     };
-  }
+  };
+  const validators = await Promise.all([
+    ...activeValidators.map((validator) => getValidator(validator, true)),
+    ...waitingInfo.info.map((intention) => getValidator(intention, false)),
+  ]);
+
+  // stash and identity parent address creation block, stash funder
+  const accounts = await getAccounts(pool, network.name, [
+    ...validators.map(({ stashAddress }) => stashAddress),
+    ...validators.filter(({ identity }) => identity.parent).map(({ identity }) => identity.parent),
+  ]);
+  const getAccount = (address) => accounts.get(address) || { createdAtBlock: 0, fundedBy: null };
+  validators.forEach((validator) => {
+    const stash = getAccount(validator.stashAddress);
+    Object.assign(validator, {
+      fundedBy: stash.fundedBy,
+      stashCreatedAtBlock: stash.createdAtBlock,
+      parentCreatedAtBlock: validator.identity.parent
+        ? getAccount(validator.identity.parent).createdAtBlock
+        : 0,
+    });
+  });
+
+  // active bonded amount by stash
+  const bonded = new Map(
+    ledgers
+      .filter(([, ledger]) => ledger.isSome)
+      .map(([, ledger]) => {
+        const { stash, active } = ledger.unwrap();
+        return [stash.toString(), active.toString()];
+      }),
+  );
+  validators.forEach((validator) => {
+    Object.assign(validator, { bonded: bonded.get(validator.stashAddress) || '0' });
+  });
+
+  const governanceParticipants = [];
+  proposals.forEach(({ seconds, proposer }) => {
+    governanceParticipants.push(proposer.toString());
+    seconds.forEach((accountId) => governanceParticipants.push(accountId.toString()));
+  });
+  referendums.forEach(({ votes }) => {
+    votes.forEach(({ accountId }) => governanceParticipants.push(accountId.toString()));
+  });
+
+  // first era of the history window
+  const firstEra = eras.length > 0 ? eras[0].era : currentEra;
 
-  const clusterMembers = validators.filter(
-    ({ identity }) => identity.displayParent === validatorIdentity.displayParent,
-  ).length;
-  const clusterName = getClusterName(validatorIdentity);
   return {
-    clusterName,
-    clusterMembers,
+    network: {
+      name: network.name,
+      tokenDecimals: network.tokenDecimals,
+      erasPerDay: network.erasPerDay,
+    },
+    blockHeight: parseInt(block.header.number.toString(), 10),
+    currentEra,
+    maxNominatorRewardedPerValidator: maxNominatorRewardedPerValidator.toNumber(),
+    validatorCount: validatorCount.toNumber(),
+    eraReward: lastEraReward && lastEraReward.isSome ? lastEraReward.unwrap().toString() : '0',
+    eras,
+    validators,
+    nominations: nominators.map(([key, nomination]) => ({
+      nominator: key.toHuman()[0],
+      bonded: bonded.get(key.toHuman()[0]) || '0',
+      // eslint-disable-next-line dot-notation
+      targets: nomination.toJSON()['targets'],
+    })),
+    councilVoters: councilVotes.map((vote) => vote[0].toString()),
+    governanceParticipants,
+    thousandValidators,
+    fundingGroups: await getFundingGroups(pool, network),
+    offences: await getOffences(pool, network, firstEra),
+    blockProduction: await getBlockProduction(pool, network, firstEra),
+    heartbeats: await getHeartbeats(pool, network, firstEra),
+    payouts: await getPayouts(pool, network, firstEra),
+    commissionChanges: await getCommissionChanges(pool, network, firstEra),
   };
 }
 
-// taken from https://stackoverflow.com/questions/19269545/how-to-get-a-number-of-random-elements-from-an-array
-function getRandom(arr, n) {
-  const shuffled = [...arr].sort(() => 0.5 - Math.random());
-  return shuffled.slice(0, n);
+const nominatorColumns = [
+  'network',
+  'era',
+  'nominator',
+  'target',
+  'bonded',
+  'elected',
+  'active',
+  'stake',
+  'rewarded',
+  'timestamp',
+];
+
+// Nominators and their targets are refreshed once per era, only the last
+// era is kept
+async function updateNominators(pool, network, snapshot, timestamp) {
+  const res = await pool.query(
+    'SELECT era FROM nominator WHERE network = $1 AND era = $2 LIMIT 1;',
+    [network.name, snapshot.currentEra],
+  );
+  if (res.rows.length > 0) {
+    return;
+  }
+  const rows = getNominatorRows(snapshot).map((row) => ({
+    ...row,
+    network: network.name,
+    era: snapshot.currentEra,
+    timestamp,
+  }));
+  await withTransaction(pool, async (client) => {
+    await client.query('DELETE FROM nominator WHERE network = $1;', [network.name]);
+    await insertRows(client, 'nominator', nominatorColumns, rows);
+  });
+  logger.info(loggerOptions, `Stored ${rows.length} nominations of era ${snapshot.currentEra}`);
+}
+
+// Keep every snapshot younger than keepAllDays, after that only the
+// last snapshot of each era, and drop those too after keepEraDays (if set)
+async function pruneSnapshots(pool, network, retention, now) {
+  const day = 24 * 60 * 60 * 1000;
+  const keepAllSince = now - retention.keepAllDays * day;
+  const keepEraSince = retention.keepEraDays > 0
+    ? now - retention.keepEraDays * day
+    : 0;
+  const sql = `
+    DELETE FROM ranking_snapshot
+    WHERE network = $1
+    AND timestamp < $2
+    AND (
+      timestamp < $3
+      OR block_height NOT IN (
+        SELECT MAX(block_height) FROM ranking_snapshot WHERE network = $1 GROUP BY era
+      )
+    );
+  `;
+  try {
+    const res = await pool.query(sql, [network.name, keepAllSince, keepEraSince]);
+    await pool.query(
+      'DELETE FROM ranking WHERE network = $1 AND block_height NOT IN (SELECT block_height FROM ranking_snapshot WHERE network = $1);',
+      [network.name],
+    );
+    logger.info(loggerOptions, `Removed ${res.rowCount} old ranking snapshots`);
+  } catch (error) {
+    logger.error(loggerOptions, `Error applying ranking snapshot retention: ${JSON.stringify(error)}`);
+  }
 }
 
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+// bumped on every start / stop, a run only continues while it's current
+let generation = 0;
+let timeout = null;
+
 module.exports = {
-  start: async (wsProviderUrl, pool, config, delayedStart = true) => {
-    if (delayedStart) {
-      logger.info(loggerOptions, `Delay ranking start for ${config.startDelay / 1000}s`);
-      await wait(config.startDelay);
+  name: 'ranking',
+  fetchSnapshot,
+  start: async (api, pool, config, network) => {
+    generation += 1;
+    const run = generation;
+    logger.info(loggerOptions, `Delay ranking start for ${config.startDelay / 1000}s`);
+    await wait(config.startDelay);
+    await module.exports.run(api, pool, config, network, run);
+  },
+  stop: async () => {
+    generation += 1;
+    clearTimeout(timeout);
+  },
+  health: () => health,
+  run: async (api, pool, config, network, run) => {
+    if (run !== generation) {
+      return;
     }
     logger.info(loggerOptions, 'Starting ranking crawler');
     const startTime = new Date().getTime();
-    const wsProvider = new WsProvider(wsProviderUrl);
-    const clusters = [];
-
-    //
-    // data collection
-    //
 
     try {
-      // thousand validators program data
-      logger.info(loggerOptions, 'Fetching thousand validator program validators');
-      const thousandValidators = await getThousandValidators();
-      logger.info(loggerOptions, `Got info from ${thousandValidators.length} validators of thousand validator program!`);
+      // scoring rules, read on every run so changes apply without a restart
+      const scoring = loadScoring(config.scoring);
 
-      // chain data
+      //
+      // data collection
+      //
       logger.info(loggerOptions, 'Fetching data from chain');
-      const api = await ApiPromise.create({ provider: wsProvider });
-      const withActive = false;
-      const erasHistoric = await api.derive.staking.erasHistoric(withActive);
-      const chainCurrentEra = await api.query.staking.currentEra();
-      const eraIndexes = erasHistoric.slice(
-        Math.max(erasHistoric.length - config.historySize, 0),
-      );
-      const { maxNominatorRewardedPerValidator } = api.consts.staking;
-
-      const stakingQueryFlags = {
-        withDestination: false,
-        withExposure: true,
-        withLedger: true,
-        withNominations: false,
-        withPrefs: true,
-      };
-
-      let validators = [];
-      let intentions = [];
-      let maxPerformance = 0;
-      let minPerformance = 0;
-
-      const [
-        { block },
-        validatorAddresses,
-        waitingInfo,
-        nominators,
-        councilVotes,
-        erasPoints,
-        erasPreferences,
-        erasSlashes,
-        proposals,
-        referendums,
-      ] = await Promise.all([
-        api.rpc.chain.getBlock(),
-        api.query.session.validators(),
-        api.derive.staking.waitingInfo(stakingQueryFlags),
-        api.query.staking.nominators.entries(),
-        api.derive.council.votes(),
-        // eslint-disable-next-line no-underscore-dangle
-        api.derive.staking._erasPoints(eraIndexes, withActive),
-        // eslint-disable-next-line no-underscore-dangle
-        api.derive.staking._erasPrefs(eraIndexes, withActive),
-        // eslint-disable-next-line no-underscore-dangle
-        api.derive.staking._erasSlashes(eraIndexes, withActive),
-        api.derive.democracy.proposals(),
-        api.derive.democracy.referendums(),
-      ]);
-
-      // get total stake by era
-      let erasExposure = [];
-      // eslint-disable-next-line no-restricted-syntax
-      for (const eraIndex of eraIndexes) {
-        // eslint-disable-next-line no-await-in-loop
-        const eraExposure = await api.derive.staking.eraExposure(eraIndex);
-        erasExposure = erasExposure.concat(eraExposure);
-      }
-
-      validators = await Promise.all(
-        validatorAddresses.map(
-          (authorityId) => api.derive.staking.query(authorityId, stakingQueryFlags),
-        ),
-      );
-      validators = await Promise.all(
-        validators.map(
-          (validator) => api.derive.accounts.info(validator.accountId).then(({ identity }) => ({
-            ...validator,
-            identity,
-            active: true,
-          })),
-        ),
-      );
-      intentions = await Promise.all(
-        waitingInfo.info.map(
-          (intention) => api.derive.accounts.info(intention.accountId).then(({ identity }) => ({
-            ...intention,
-            identity,
-            active: false,
-          })),
-        ),
-      );
+      const snapshot = await fetchSnapshot(api, pool, config, network);
+      const { blockHeight, currentEra } = snapshot;
       const dataCollectionEndTime = new Date().getTime();
       const dataCollectionTime = dataCollectionEndTime - startTime;
 
       //
       // data processing
       //
-      const blockHeight = parseInt(block.header.number.toString(), 10);
-      const numActiveValidators = validatorAddresses.length;
-      const eraPointsHistoryTotals = [];
-      erasPoints.forEach(({ eraPoints }) => {
-        eraPointsHistoryTotals.push(parseInt(eraPoints.toString(), 10));
-      });
-      const eraPointsHistoryTotalsSum = eraPointsHistoryTotals.reduce(
-        (total, num) => total + num,
-        0,
-      );
-      const eraPointsAverage = eraPointsHistoryTotalsSum / numActiveValidators;
 
       // dashboard metrics
-      const activeValidatorCount = validatorAddresses.length;
-      const waitingValidatorCount = waitingInfo.info.length;
-      const nominatorCount = nominators.length;
-      const currentEra = chainCurrentEra.toString();
-      const nominatorStakes = [];
-      // eslint-disable-next-line
-      for (const validator of validators){
-        // eslint-disable-next-line
-        for (const nominatorStake of validator.exposure.others){
-          nominatorStakes.push(nominatorStake.value);
-        }
-      }
-      nominatorStakes.sort((a, b) => (
-        (new BigNumber(a.toString()).lte(new BigNumber(b.toString())) ? 1 : 0)));
-      const minimumStake = nominatorStakes[0];
-      logger.info(loggerOptions, `${activeValidatorCount} active validators`);
-      logger.info(loggerOptions, `${waitingValidatorCount} waiting validators`);
-      logger.info(loggerOptions, `${nominatorCount} nominators`);
-      logger.info(loggerOptions, `Current era is ${currentEra}`);
-      logger.info(loggerOptions, `Minimum amount to stake is ${minimumStake}`);
-      try {
-        const sql = `UPDATE total SET count = '${activeValidatorCount}' WHERE name = 'active_validator_count'`;
-        await pool.query(sql);
-      } catch (error) {
-        logger.error(loggerOptions, `Error updating total: ${JSON.stringify(error)}`);
-      }
-      try {
-        const sql = `UPDATE total SET count = '${waitingValidatorCount}' WHERE name = 'waiting_validator_count'`;
-        await pool.query(sql);
-      } catch (error) {
-        logger.error(loggerOptions, `Error updating total: ${JSON.stringify(error)}`);
-      }
-      try {
-        const sql = `UPDATE total SET count = '${nominatorCount}' WHERE name = 'nominator_count'`;
-        await pool.query(sql);
-      } catch (error) {
-        logger.error(loggerOptions, `Error updating total: ${JSON.stringify(error)}`);
-      }
-      try {
-        const sql = `UPDATE total SET count = '${currentEra}' WHERE name = 'current_era'`;
-        await pool.query(sql);
-      } catch (error) {
-        logger.error(loggerOptions, `Error updating total: ${JSON.stringify(error)}`);
-      }
-      try {
-        const sql = `UPDATE total SET count = '${minimumStake}' WHERE name = 'minimum_stake'`;
-        await pool.query(sql);
-      } catch (error) {
-        logger.error(loggerOptions, `Error updating total: ${JSON.stringify(error)}`);
-      }
-
-      // eslint-disable-next-line
-      const nominations = nominators.map(([key, nominations]) => {
-        const nominator = key.toHuman()[0];
-        // eslint-disable-next-line
-        const targets = nominations.toJSON()['targets'];
-        return {
-          nominator,
-          targets,
-        };
-      });
-      const participateInGovernance = [];
-      proposals.forEach(({ seconds, proposer }) => {
-        participateInGovernance.push(proposer.toString());
-        seconds.forEach((accountId) => participateInGovernance.push(accountId.toString()));
-      });
-      referendums.forEach(({ votes }) => {
-        votes.forEach(({ accountId }) => participateInGovernance.push(accountId.toString()));
-      });
-      validators = validators.concat(intentions);
-
-      // stash address creation block
-      const stashAddressesCreation = [];
-      // eslint-disable-next-line no-restricted-syntax
-      for (const validator of validators) {
-        // check stash
-        const stashAddress = validator.stashId.toString();
-        let sql = `SELECT block_number FROM event WHERE method = 'NewAccount' AND data LIKE '%${stashAddress}%'`;
-        // eslint-disable-next-line no-await-in-loop
-        let res = await pool.query(sql);
-        if (res.rows.length > 0) {
-          if (res.rows[0].block_number) {
-            stashAddressesCreation[stashAddress] = res.rows[0].block_number;
-          }
-        } else {
-          // if not found we assume that it's included in genesis
-          stashAddressesCreation[stashAddress] = 0;
-        }
-        // check stash identity parent address
-        if (validator.identity.parent) {
-          const stashParentAddress = validator.identity.parent.toString();
-          sql = `SELECT block_number FROM event WHERE method = 'NewAccount' AND data LIKE '%${stashParentAddress}%'`;
-          // eslint-disable-next-line no-await-in-loop
-          res = await pool.query(sql);
-          if (res.rows.length > 0) {
-            if (res.rows[0].block_number) {
-              stashAddressesCreation[stashParentAddress] = res.rows[0].block_number;
-            }
-          } else {
-            // if not found we assume that it's included in genesis
-            stashAddressesCreation[stashParentAddress] = 0;
-          }
-        }
-      }
-
-      let ranking = validators
-        .map((validator) => {
-          // active
-          const { active } = validator;
-          const activeRating = active ? 2 : 0;
-
-          // stash
-          const stashAddress = validator.stashId.toString();
-
-          // address creation
-          let addressCreationRating = 0;
-          const stashCreatedAtBlock = parseInt(stashAddressesCreation[stashAddress], 10);
-          let stashParentCreatedAtBlock = 0;
-          if (validator.identity.parent) {
-            stashParentCreatedAtBlock = parseInt(
-              stashAddressesCreation[validator.identity.parent.toString()], 10,
-            );
-            const best = stashParentCreatedAtBlock > stashCreatedAtBlock
-              ? stashCreatedAtBlock
-              : stashParentCreatedAtBlock;
-            if (best <= blockHeight / 4) {
-              addressCreationRating = 3;
-            } else if (best <= (blockHeight / 4) * 2) {
-              addressCreationRating = 2;
-            } else if (best <= (blockHeight / 4) * 3) {
-              addressCreationRating = 1;
-            }
-          } else if (stashCreatedAtBlock <= blockHeight / 4) {
-            addressCreationRating = 3;
-          } else if (stashCreatedAtBlock <= (blockHeight / 4) * 2) {
-            addressCreationRating = 2;
-          } else if (stashCreatedAtBlock <= (blockHeight / 4) * 3) {
-            addressCreationRating = 1;
-          }
-
-          // thousand validators program
-          const includedThousandValidators = thousandValidators.some(
-            ({ stash }) => stash === stashAddress,
-          );
-          const thousandValidator = includedThousandValidators ? thousandValidators.find(
-            ({ stash }) => stash === stashAddress,
-          ) : '';
-
-          // controller
-          const controllerAddress = validator.controllerId.toString();
-
-          // identity
-          const {
-            verifiedIdentity,
-            hasSubIdentity,
-            name,
-            identityRating,
-          } = parseIdentity(validator.identity);
-          const identity = JSON.parse(JSON.stringify(validator.identity));
-
-          // sub-accounts
-          const { clusterMembers, clusterName } = getClusterInfo(
-            hasSubIdentity,
-            validators,
-            validator.identity,
-          );
-          if (clusterName && !clusters.includes(clusterName)) {
-            clusters.push(clusterName);
-          }
-          const partOfCluster = clusterMembers > 1;
-          const subAccountsRating = hasSubIdentity ? 2 : 0;
-
-          // nominators
-          // eslint-disable-next-line
-          const nominators = active
-            ? validator.exposure.others.length
-            : nominations.filter((nomination) => nomination.targets.some(
-              (target) => target === validator.accountId.toString(),
-            )).length;
-          const nominatorsRating = nominators > 0
-              && nominators <= maxNominatorRewardedPerValidator.toNumber()
-            ? 2
-            : 0;
-
-          // slashes
-          const slashes = erasSlashes.filter(
-            // eslint-disable-next-line
-            ({ validators }) => validators[validator.accountId.toString()],
-          ) || [];
-          const slashed = slashes.length > 0;
-          const slashRating = slashed ? 0 : 2;
-
-          // commission
-          const commission = parseInt(
-            validator.validatorPrefs.commission.toString(),
-            10,
-          ) / 10000000;
-          const commissionHistory = getCommissionHistory(
-            validator.accountId,
-            erasPreferences,
-          );
-          const commissionRating = getCommissionRating(
-            commission,
-            commissionHistory,
-          );
-
-          // governance
-          const councilBacking = validator.identity?.parent
-            ? councilVotes.some(
-              (vote) => vote[0].toString() === validator.accountId.toString(),
-            )
-              || councilVotes.some(
-                (vote) => vote[0].toString() === validator.identity.parent.toString(),
-              )
-            : councilVotes.some(
-              (vote) => vote[0].toString() === validator.accountId.toString(),
-            );
-          const activeInGovernance = validator.identity?.parent
-            ? participateInGovernance.includes(validator.accountId.toString())
-              || participateInGovernance.includes(
-                validator.identity.parent.toString(),
-              )
-            : participateInGovernance.includes(validator.accountId.toString());
-          let governanceRating = 0;
-          if (councilBacking && activeInGovernance) {
-            governanceRating = 3;
-          } else if (councilBacking || activeInGovernance) {
-            governanceRating = 2;
-          }
-
-          // era points and frecuency of payouts
-          const eraPointsHistory = [];
-          const payoutHistory = [];
-          let activeEras = 0;
-          let performance = 0;
-          // eslint-disable-next-line
-          erasPoints.forEach((eraPoints) => {
-            const { era } = eraPoints;
-            let eraPayoutState = 'inactive';
-            let eraPerformance = 0;
-            if (eraPoints.validators[stashAddress]) {
-              activeEras += 1;
-              const points = parseInt(eraPoints.validators[stashAddress].toString(), 10);
-              eraPointsHistory.push({
-                era: new BigNumber(era.toString()).toString(10),
-                points,
-              });
-              if (validator.stakingLedger.claimedRewards.includes(era)) {
-                eraPayoutState = 'paid';
-              } else {
-                eraPayoutState = 'pending';
-              }
-              // era performance
-              const eraTotalStake = new BigNumber(
-                erasExposure.find(
-                  (eraExposure) => eraExposure.era === era,
-                ).validators[stashAddress].total,
-              );
-              eraPerformance = (points * (1 - (commission / 100)))
-                / (eraTotalStake.div(new BigNumber(10).pow(config.tokenDecimals)).toNumber());
-            } else {
-              // validator was not active in that era
-              eraPointsHistory.push({
-                era: new BigNumber(era.toString()).toString(10),
-                points: 0,
-              });
-            }
-            payoutHistory.push({
-              era: new BigNumber(era.toString()).toString(10),
-              status: eraPayoutState,
-            });
-            // total performance
-            performance += eraPerformance;
-          });
-          const eraPointsHistoryValidator = eraPointsHistory.reduce(
-            (total, era) => total + era.points,
-            0,
-          );
-          const eraPointsPercent = (eraPointsHistoryValidator * 100) / eraPointsHistoryTotalsSum;
-          const eraPointsRating = eraPointsHistoryValidator > eraPointsAverage ? 2 : 0;
-          const payoutRating = getPayoutRating(payoutHistory, config);
-
-          // stake
-          const selfStake = active
-            ? new BigNumber(validator.exposure.own.toString())
-            : new BigNumber(validator.stakingLedger.total.toString());
-          const totalStake = active
-            ? new BigNumber(validator.exposure.total.toString())
-            : selfStake;
-          const otherStake = active
-            ? totalStake.minus(selfStake)
-            : new BigNumber(0);
-
-          // performance
-          if (performance > maxPerformance) {
-            maxPerformance = performance;
-          }
-          if (performance < minPerformance) {
-            minPerformance = performance;
-          }
-
-          const showClusterMember = true;
-
-          // total rating
-          const totalRating = activeRating
-            + addressCreationRating
-            + identityRating
-            + subAccountsRating
-            + nominatorsRating
-            + commissionRating
-            + eraPointsRating
-            + slashRating
-            + governanceRating
-            + payoutRating;
-
-          return {
-            active,
-            activeRating,
-            name,
-            identity,
-            hasSubIdentity,
-            subAccountsRating,
-            verifiedIdentity,
-            identityRating,
-            stashAddress,
-            stashCreatedAtBlock,
-            stashParentCreatedAtBlock,
-            addressCreationRating,
-            controllerAddress,
-            includedThousandValidators,
-            thousandValidator,
-            partOfCluster,
-            clusterName,
-            clusterMembers,
-            showClusterMember,
-            nominators,
-            nominatorsRating,
-            commission,
-            commissionHistory,
-            commissionRating,
-            activeEras,
-            eraPointsHistory,
-            eraPointsPercent,
-            eraPointsRating,
-            performance,
-            slashed,
-            slashRating,
-            slashes,
-            councilBacking,
-            activeInGovernance,
-            governanceRating,
-            payoutHistory,
-            payoutRating,
-            selfStake,
-            otherStake,
-            totalStake,
-            totalRating,
-          };
-        })
-        .sort((a, b) => (a.totalRating < b.totalRating ? 1 : -1))
-        .map((validator, rank) => {
-          const relativePerformance = ((validator.performance - minPerformance)
-            / (maxPerformance - minPerformance)).toFixed(6);
-          const dominated = false;
-          return {
-            rank: rank + 1,
-            relativePerformance,
-            ...validator,
-            dominated,
-          };
-        });
+      const totals = getTotals(snapshot);
+      logger.info(loggerOptions, `${totals.activeValidatorCount} active validators`);
+      logger.info(loggerOptions, `${totals.waitingValidatorCount} waiting validators`);
+      logger.info(loggerOptions, `${totals.nominatorCount} nominators`);
+      logger.info(loggerOptions, `Current era is ${totals.currentEra}`);
+      logger.info(loggerOptions, `Minimum amount to stake is ${totals.minimumStake}`);
+      await updateTotal(pool, network.name, 'active_validator_count', totals.activeValidatorCount, loggerOptions);
+      await updateTotal(pool, network.name, 'waiting_validator_count', totals.waitingValidatorCount, loggerOptions);
+      await updateTotal(pool, network.name, 'nominator_count', totals.nominatorCount, loggerOptions);
+      await updateTotal(pool, network.name, 'current_era', totals.currentEra, loggerOptions);
+      await updateTotal(pool, network.name, 'minimum_stake', totals.minimumStake, loggerOptions);
+
+      let ranking = rankValidators(rateValidators(snapshot, scoring));
       // find largest cluster size
       const largestCluster = Math.max(...Array.from(ranking, (o) => o.clusterMembers));
       logger.info(loggerOptions, `LARGEST cluster size is ${largestCluster}`);
@@ -682,243 +420,146 @@ module.exports = {
       // find Pareto-dominated validators
       logger.info(loggerOptions, 'Finding dominated validators');
       const dominatedStart = new Date().getTime();
-      ranking = ranking
-        .map((validator) => {
-          let dominated = false;
-          // eslint-disable-next-line no-restricted-syntax
-          for (const opponent of ranking) {
-            if (
-              opponent !== validator
-              && (
-                parseFloat(opponent.relativePerformance)
-                  >= parseFloat(validator.relativePerformance)
-                && opponent.selfStake.gte(validator.selfStake)
-                && opponent.activeEras >= validator.activeEras
-                && opponent.totalRating >= validator.totalRating
-              )
-            ) {
-              dominated = true;
-              break;
-            }
-          }
-          return {
-            ...validator,
-            dominated,
-          };
-        });
+      ranking = findDominated(ranking);
       const dominatedEnd = new Date().getTime();
       logger.info(loggerOptions, `Found ${ranking.filter(({ dominated }) => dominated).length} dominated validators in ${((dominatedEnd - dominatedStart) / 1000).toFixed(3)}s`);
 
       // cluster categorization
-      logger.info(loggerOptions, 'Random selection of validators to show from a cluster based on cluster size');
-      let validatorsToHide = [];
-      // eslint-disable-next-line no-restricted-syntax
-      for (const cluster of clusters) {
-        const clusterMembers = ranking.filter(({ clusterName }) => clusterName === cluster);
-        const clusterSize = clusterMembers[0].clusterMembers;
-        // EXTRASMALL: 2 - Show all (2)
-        let show = 2;
-        if (clusterSize > 50) {
-          // EXTRALARGE: 51-150 - Show 20% val. (up to 30)
-          show = Math.floor(clusterSize * 0.2);
-        } else if (clusterSize > 20) {
-          // LARGE: 21-50 - Show 40% val. (up to 20)
-          show = Math.floor(clusterSize * 0.4);
-        } else if (clusterSize > 10) {
-          // MEDIUM: 11-20 - Show 60% val. (up to 12)
-          show = Math.floor(clusterSize * 0.6);
-        } else if (clusterSize > 2) {
-          // SMALL: 3-10 - Show 80% val. (up to 8)
-          show = Math.floor(clusterSize * 0.8);
-        }
-        const hide = clusterSize - show;
-        // randomly select 'hide' number of validators
-        // from cluster and set 'showClusterMember' prop to false
-        const rankingPositions = clusterMembers.map((validator) => validator.rank);
-        validatorsToHide = validatorsToHide.concat(getRandom(rankingPositions, hide));
-      }
-      ranking = ranking
-        .map((validator) => {
-          const modValidator = validator;
-          if (validatorsToHide.includes(validator.rank)) {
-            modValidator.showClusterMember = false;
-          }
-          return modValidator;
-        });
-      logger.info(loggerOptions, `Finished, ${validatorsToHide.length} validators hided!`);
+      logger.info(loggerOptions, `Rotation of validators to show from a cluster based on cluster size, era ${currentEra}`);
+      ranking = hideClusterMembers(ranking, currentEra);
+      logger.info(loggerOptions, `Finished, ${ranking.filter(({ showClusterMember }) => !showClusterMember).length} validators hided!`);
 
       logger.info(loggerOptions, `Storing ${ranking.length} validators in db...`);
-      // eslint-disable-next-line no-restricted-syntax
-      for (const validator of ranking) {
-        const sql = `INSERT INTO ranking (
-          block_height,
-          rank,
-          active,
-          active_rating,
-          name,
-          identity,
-          has_sub_identity,
-          sub_accounts_rating,
-          verified_identity,
-          identity_rating,
-          stash_address,
-          stash_address_creation_block,
-          stash_parent_address_creation_block,
-          address_creation_rating,
-          controller_address,
-          included_thousand_validators,
-          thousand_validator,
-          part_of_cluster,
-          cluster_name,
-          cluster_members,
-          show_cluster_member,
-          nominators,
-          nominators_rating,
-          commission,
-          commission_history,
-          commission_rating,
-          active_eras,
-          era_points_history,
-          era_points_percent,
-          era_points_rating,
-          performance,
-          relative_performance,
-          slashed,
-          slash_rating,
-          slashes,
-          council_backing,
-          active_in_governance,
-          governance_rating,
-          payout_history,
-          payout_rating,
-          self_stake,
-          other_stake,
-          total_stake,
-          total_rating,
-          dominated,
-          timestamp
-        ) VALUES (
-          $1,
-          $2,
-          $3,
-          $4,
-          $5,
-          $6,
-          $7,
-          $8,
-          $9,
-          $10,
-          $11,
-          $12,
-          $13,
-          $14,
-          $15,
-          $16,
-          $17,
-          $18,
-          $19,
-          $20,
-          $21,
-          $22,
-          $23,
-          $24,
-          $25,
-          $26,
-          $27,
-          $28,
-          $29,
-          $30,
-          $31,
-          $32,
-          $33,
-          $34,
-          $35,
-          $36,
-          $37,
-          $38,
-          $39,
-          $40,
-          $41,
-          $42,
-          $43,
-          $44,
-          $45,
-          $46
-        )`;
-        const data = [
-          `${blockHeight}`,
-          `${validator.rank}`,
-          `${validator.active}`,
-          `${validator.activeRating}`,
-          `${validator.name}`,
-          `${JSON.stringify(validator.identity)}`,
-          `${validator.hasSubIdentity}`,
-          `${validator.subAccountsRating}`,
-          `${validator.verifiedIdentity}`,
-          `${validator.identityRating}`,
-          `${validator.stashAddress}`,
-          `${validator.stashCreatedAtBlock}`,
-          `${validator.stashParentCreatedAtBlock}`,
-          `${validator.addressCreationRating}`,
-          `${validator.controllerAddress}`,
-          `${validator.includedThousandValidators}`,
-          `${JSON.stringify(validator.thousandValidator)}`,
-          `${validator.partOfCluster}`,
-          `${validator.clusterName}`,
-          `${validator.clusterMembers}`,
-          `${validator.showClusterMember}`,
-          `${validator.nominators}`,
-          `${validator.nominatorsRating}`,
-          `${validator.commission}`,
-          `${JSON.stringify(validator.commissionHistory)}`,
-          `${validator.commissionRating}`,
-          `${validator.activeEras}`,
-          `${JSON.stringify(validator.eraPointsHistory)}`,
-          `${validator.eraPointsPercent}`,
-          `${validator.eraPointsRating}`,
-          `${validator.performance}`,
-          `${validator.relativePerformance}`,
-          `${validator.slashed}`,
-          `${validator.slashRating}`,
-          `${JSON.stringify(validator.slashes)}`,
-          `${validator.councilBacking}`,
-          `${validator.activeInGovernance}`,
-          `${validator.governanceRating}`,
-          `${JSON.stringify(validator.payoutHistory)}`,
-          `${validator.payoutRating}`,
-          `${validator.selfStake}`,
-          `${validator.otherStake}`,
-          `${validator.totalStake}`,
-          `${validator.totalRating}`,
-          `${validator.dominated}`,
-          `${startTime}`,
-        ];
-        try {
-          // eslint-disable-next-line no-await-in-loop
-          await pool.query(sql, data);
-        } catch (error) {
-          logger.error(loggerOptions, `Error inserting data in ranking table: ${JSON.stringify(error)}`);
-        }
+      const rows = ranking.map((validator) => ({
+        network: network.name,
+        block_height: blockHeight,
+        rank: validator.rank,
+        active: validator.active,
+        active_rating: validator.activeRating,
+        name: validator.name,
+        identity: JSON.stringify(validator.identity),
+        has_sub_identity: validator.hasSubIdentity,
+        sub_accounts_rating: validator.subAccountsRating,
+        verified_identity: validator.verifiedIdentity,
+        identity_rating: validator.identityRating,
+        stash_address: validator.stashAddress,
+        stash_address_creation_block: validator.stashCreatedAtBlock,
+        stash_parent_address_creation_block: validator.stashParentCreatedAtBlock,
+        address_creation_rating: validator.addressCreationRating,
+        controller_address: validator.controllerAddress,
+        included_thousand_validators: validator.includedThousandValidators,
+        thousand_validator: JSON.stringify(validator.thousandValidator),
+        part_of_cluster: validator.partOfCluster,
+        cluster_name: validator.clusterName,
+        cluster_members: validator.clusterMembers,
+        cluster_confidence: validator.clusterConfidence,
+        cluster_links: JSON.stringify(validator.clusterLinks),
+        suspected_clusters: JSON.stringify(validator.suspectedClusters),
+        show_cluster_member: validator.showClusterMember,
+        cluster_rotation: JSON.stringify(validator.clusterRotation),
+        nominators: validator.nominators,
+        oversubscribed: validator.oversubscribed,
+        rewarded_stake_cutoff: validator.rewardedStakeCutoff,
+        rewarded_slots_left: validator.rewardedSlotsLeft,
+        nominators_rating: validator.nominatorsRating,
+        commission: `${validator.commission}`,
+        commission_history: JSON.stringify(validator.commissionHistory),
+        commission_changes: JSON.stringify(validator.commissionChanges),
+        commission_rating: validator.commissionRating,
+        active_eras: validator.activeEras,
+        era_points_history: JSON.stringify(validator.eraPointsHistory),
+        era_points_percent: `${validator.eraPointsPercent}`,
+        era_points_rating: validator.eraPointsRating,
+        performance: `${validator.performance}`,
+        relative_performance: `${validator.relativePerformance}`,
+        slashed: validator.slashed,
+        slash_rating: validator.slashRating,
+        slashes: JSON.stringify(validator.slashes),
+        council_backing: validator.councilBacking,
+        active_in_governance: validator.activeInGovernance,
+        governance_rating: validator.governanceRating,
+        payout_history: JSON.stringify(validator.payoutHistory),
+        payout_rating: validator.payoutRating,
+        block_production_history: JSON.stringify(validator.blockProductionHistory),
+        block_production_percent: `${validator.blockProductionPercent}`,
+        block_production_rating: validator.blockProductionRating,
+        heartbeat_history: JSON.stringify(validator.heartbeatHistory),
+        heartbeat_percent: `${validator.heartbeatPercent}`,
+        heartbeat_rating: validator.heartbeatRating,
+        return_history: JSON.stringify(validator.returnHistory),
+        annualized_return: `${validator.annualizedReturn}`,
+        self_stake: validator.selfStake.toString(10),
+        other_stake: validator.otherStake.toString(10),
+        total_stake: validator.totalStake.toString(10),
+        likely_elected: validator.likelyElected,
+        predicted_stake: validator.predictedStake.toString(10),
+        total_rating: validator.totalRating,
+        dominated: validator.dominated,
+        dominance_layer: validator.dominanceLayer,
+        timestamp: startTime,
+      }));
+      // the snapshot row is written in the same transaction so readers
+      // only ever see complete snapshots
+      try {
+        await withTransaction(pool, async (client) => {
+          await insertRows(client, 'ranking', Object.keys(rows[0]), rows);
+          await insertRows(
+            client,
+            'ranking_snapshot',
+            ['network', 'block_height', 'era', 'validators', 'scoring', 'timestamp'],
+            [{
+              network: network.name,
+              block_height: blockHeight,
+              era: currentEra,
+              validators: ranking.length,
+              scoring: JSON.stringify(publish(scoring)),
+              timestamp: startTime,
+            }],
+          );
+          // latest election inputs only, see the simulation API route
+          await insertRows(
+            client,
+            'election',
+            ['network', 'block_height', 'election', 'timestamp'],
+            [{
+              network: network.name,
+              block_height: blockHeight,
+              election: JSON.stringify(getElection(snapshot)),
+              timestamp: startTime,
+            }],
+            `ON CONFLICT ON CONSTRAINT election_pkey DO UPDATE SET
+              block_height = EXCLUDED.block_height,
+              election = EXCLUDED.election,
+              timestamp = EXCLUDED.timestamp`,
+          );
+        });
+        health.lastSuccess = new Date().getTime();
+      } catch (error) {
+        logger.error(loggerOptions, `Error inserting data in ranking table: ${JSON.stringify(error)}`);
+        health.lastError = error.toString();
+        health.lastErrorAt = new Date().getTime();
       }
-      logger.info(loggerOptions, 'Cleaning old data');
-      const sql = `DELETE FROM ranking WHERE block_height != '${blockHeight}';`;
       try {
-        await pool.query(sql);
+        await updateNominators(pool, network, snapshot, startTime);
       } catch (error) {
-        logger.error(loggerOptions, `Error deleting old data ranking table: ${JSON.stringify(error)}`);
+        logger.error(loggerOptions, `Error updating nominators: ${JSON.stringify(error)}`);
       }
-      logger.info(loggerOptions, 'Disconnecting from API');
-      await api.disconnect().catch((error) => logger.error(loggerOptions, `Disconnect error: ${JSON.stringify(error)}`));
+      logger.info(loggerOptions, 'Applying snapshot retention policy');
+      await pruneSnapshots(pool, network, config.snapshotRetention, startTime);
       const endTime = new Date().getTime();
       const dataProcessingTime = endTime - dataCollectionEndTime;
       logger.info(loggerOptions, `Added ${ranking.length} validators in ${((dataCollectionTime + dataProcessingTime) / 1000).toFixed(3)}s`);
       logger.info(loggerOptions, `Next execution in ${(config.pollingTime / 60000).toFixed(0)}m...`);
     } catch (error) {
       logger.error(loggerOptions, `General error in ranking crawler: ${JSON.stringify(error)}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+    }
+    if (run === generation) {
+      timeout = setTimeout(
+        () => module.exports.run(api, pool, config, network, run),
+        config.pollingTime,
+      );
     }
-    setTimeout(
-      () => module.exports.start(wsProviderUrl, pool, config, false),
-      config.pollingTime,
-    );
   },
 };
@@ -0,0 +1,191 @@
+// @ts-check
+const pino = require('pino');
+const { wait } = require('../utils.js');
+const { insertRows } = require('../persistence.js');
+const { getEraRanges, getBlockProduction } = require('../reliability.js');
+
+const logger = pino();
+const loggerOptions = {
+  crawler: 'reliability',
+};
+
+const heartbeatColumns = [
+  'network',
+  'session',
+  'era',
+  'stash',
+  'heartbeat',
+  'online',
+  'timestamp',
+];
+
+const eraBlocksColumns = [
+  'network',
+  'era',
+  'stash',
+  'authored',
+  'expected',
+  'timestamp',
+];
+
+// Heartbeats of the current session, a validator is online when it sent a
+// heartbeat or authored a block. Polled during the session, once seen
+// online it stays so.
+async function storeHeartbeats(api, pool, network) {
+  const [sessionIndex, activeEra, heartbeats] = await Promise.all([
+    api.query.session.currentIndex(),
+    api.query.staking.activeEra(),
+    api.derive.imOnline.receivedHeartbeats(),
+  ]);
+  const session = sessionIndex.toNumber();
+  const era = activeEra.isSome ? activeEra.unwrap().index.toNumber() : 0;
+  const timestamp = new Date().getTime();
+  const rows = Object.entries(heartbeats).map(([stash, { hasMessage, isOnline }]) => ({
+    network: network.name,
+    session,
+    era,
+    stash,
+    heartbeat: hasMessage,
+    online: isOnline,
+    timestamp,
+  }));
+  await insertRows(
+    pool,
+    'heartbeat',
+    heartbeatColumns,
+    rows,
+    `ON CONFLICT ON CONSTRAINT heartbeat_pkey DO UPDATE SET
+      heartbeat = heartbeat.heartbeat OR EXCLUDED.heartbeat,
+      online = heartbeat.online OR EXCLUDED.online,
+      timestamp = EXCLUDED.timestamp`,
+  );
+  return { session, era, validators: rows.length };
+}
+
+// Eras whose stakers the chain still keeps, older ones are pruned
+async function getFirstStakersEra(api, activeEra) {
+  const historyDepth = api.consts.staking.historyDepth
+    ? api.consts.staking.historyDepth.toNumber()
+    : (await api.query.staking.historyDepth()).toNumber();
+  return Math.max(0, activeEra - historyDepth + 1);
+}
+
+// Blocks authored by every active validator in the completed eras of the
+// history window, once all their blocks are harvested
+async function storeBlockProduction(api, pool, network, firstEra, activeEra) {
+  // eras older than the stakers history can't be stored
+  const fromEra = Math.max(firstEra, await getFirstStakersEra(api, activeEra));
+  // the end of the previous era is the start of the first one, the data of
+  // other events is only cast once they're filtered out
+  const eraEnds = await pool.query(
+    `SELECT block_number, data FROM event
+    WHERE network = $1 AND section = 'staking' AND method IN ('EraPaid', 'EraPayout')
+    AND CASE WHEN section = 'staking' AND method IN ('EraPaid', 'EraPayout')
+      THEN (data::json->>0)::int >= $2 END;`,
+    [network.name, fromEra - 1],
+  );
+  const stored = await pool.query(
+    'SELECT DISTINCT era FROM era_blocks WHERE network = $1 AND era >= $2;',
+    [network.name, fromEra],
+  );
+  const storedEras = stored.rows.map(({ era }) => era);
+  const ranges = getEraRanges(eraEnds.rows)
+    .filter(({ era }) => era >= fromEra && !storedEras.includes(era));
+  const eras = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const { era, firstBlock, lastBlock } of ranges) {
+    // eslint-disable-next-line no-await-in-loop
+    const res = await pool.query(
+      `SELECT block_author, COUNT(*) AS blocks FROM block
+      WHERE network = $1 AND block_number >= $2 AND block_number <= $3
+      GROUP BY block_author;`,
+      [network.name, firstBlock, lastBlock],
+    );
+    const blocksByAuthor = Object.fromEntries(
+      res.rows.map((row) => [row.block_author, parseInt(row.blocks, 10)]),
+    );
+    const harvested = Object.values(blocksByAuthor).reduce((sum, blocks) => sum + blocks, 0);
+    // the stakers are only looked up once all the blocks are harvested
+    const stakers = harvested === lastBlock - firstBlock + 1
+      // eslint-disable-next-line no-await-in-loop
+      ? await api.query.staking.erasStakers.keys(era)
+      : [];
+    if (stakers.length > 0) {
+      const timestamp = new Date().getTime();
+      const validators = stakers.map(({ args }) => args[1].toString());
+      // eslint-disable-next-line no-await-in-loop
+      await insertRows(
+        pool,
+        'era_blocks',
+        eraBlocksColumns,
+        getBlockProduction(blocksByAuthor, validators).map((row) => ({
+          ...row,
+          network: network.name,
+          era,
+          expected: `${row.expected}`,
+          timestamp,
+        })),
+        'ON CONFLICT ON CONSTRAINT era_blocks_pkey DO NOTHING',
+      );
+      eras.push(era);
+    }
+  }
+  return eras;
+}
+
+// Drop what is older than the history window
+async function prune(pool, network, firstEra) {
+  await pool.query('DELETE FROM heartbeat WHERE network = $1 AND era < $2;', [network.name, firstEra]);
+  await pool.query('DELETE FROM era_blocks WHERE network = $1 AND era < $2;', [network.name, firstEra]);
+}
+
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+// bumped on every start / stop, a run only continues while it's current
+let generation = 0;
+let timeout = null;
+
+module.exports = {
+  name: 'reliability',
+  start: async (api, pool, config, network) => {
+    generation += 1;
+    const run = generation;
+    logger.info(loggerOptions, `Delay reliability crawler start for ${config.startDelay / 1000}s`);
+    await wait(config.startDelay);
+    await module.exports.run(api, pool, config, network, run);
+  },
+  stop: async () => {
+    generation += 1;
+    clearTimeout(timeout);
+  },
+  health: () => health,
+  run: async (api, pool, config, network, run) => {
+    if (run !== generation) {
+      return;
+    }
+    logger.info(loggerOptions, 'Starting reliability crawler');
+    try {
+      const { session, era, validators } = await storeHeartbeats(api, pool, network);
+      logger.info(loggerOptions, `Stored heartbeats of ${validators} validators in session ${session}`);
+      const firstEra = Math.max(0, era - config.historySize);
+      const eras = await storeBlockProduction(api, pool, network, firstEra, era);
+      logger.info(loggerOptions, `Stored block production of eras ${eras.join(', ') || '(none)'}`);
+      await prune(pool, network, firstEra);
+      health.lastSuccess = new Date().getTime();
+    } catch (error) {
+      logger.error(loggerOptions, `Error in reliability crawler: ${JSON.stringify(error)}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+    }
+    if (run === generation) {
+      timeout = setTimeout(
+        () => module.exports.run(api, pool, config, network, run),
+        config.pollingTime,
+      );
+    }
+  },
+};
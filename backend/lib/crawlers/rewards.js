@@ -0,0 +1,145 @@
+// @ts-check
+const pino = require('pino');
+const { wait } = require('../utils.js');
+const { insertRows } = require('../persistence.js');
+const { getPayoutRows } = require('../rewards.js');
+
+const logger = pino();
+const loggerOptions = {
+  crawler: 'rewards',
+};
+
+const payoutColumns = [
+  'network',
+  'era',
+  'validator',
+  'block_number',
+  'event_index',
+  'validator_reward',
+  'nominators_reward',
+  'nominators',
+  'total_stake',
+  'own_stake',
+  'timestamp',
+];
+
+// Staking events of the first batchSize harvested blocks with payouts that
+// were not indexed yet, blocks are harvested in any order so every stored
+// payout is checked
+async function getNewBlocks(pool, network, batchSize) {
+  const blocks = await pool.query(
+    `SELECT DISTINCT block_number FROM event
+    WHERE network = $1 AND section = 'staking' AND method = 'PayoutStarted'
+    AND NOT EXISTS (
+      SELECT 1 FROM payout
+      WHERE payout.network = event.network
+      AND payout.block_number = event.block_number
+      AND payout.event_index = event.event_index
+    )
+    ORDER BY block_number
+    LIMIT $2;`,
+    [network.name, batchSize],
+  );
+  const res = await pool.query(
+    `SELECT block_number, event_index, method, phase, data, timestamp FROM event
+    WHERE network = $1 AND block_number = ANY($2)
+    AND section = 'staking' AND method IN ('PayoutStarted', 'Reward', 'Rewarded')
+    ORDER BY block_number, event_index;`,
+    [network.name, blocks.rows.map(({ block_number: blockNumber }) => blockNumber)],
+  );
+  const events = new Map();
+  res.rows.forEach((row) => {
+    const blockNumber = parseInt(row.block_number, 10);
+    if (!events.has(blockNumber)) {
+      events.set(blockNumber, []);
+    }
+    events.get(blockNumber).push({ ...row, block_number: blockNumber });
+  });
+  return events;
+}
+
+// Exposure of the validator in the paid era, read at the payout block as
+// exposures are only kept for the history depth
+async function getExposure(api, blockHash, era, validator) {
+  const exposure = await api.query.staking.erasStakers.at(blockHash, era, validator);
+  return {
+    total_stake: exposure.total.toString(),
+    own_stake: exposure.own.toString(),
+  };
+}
+
+async function indexPayouts(api, pool, network, batchSize) {
+  const blocks = await getNewBlocks(pool, network, batchSize);
+  let indexed = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [blockNumber, events] of blocks.entries()) {
+    // eslint-disable-next-line no-await-in-loop
+    const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+    const timestamp = parseInt(events[0].timestamp, 10);
+    // eslint-disable-next-line no-await-in-loop
+    const payouts = await Promise.all(getPayoutRows(events).map(async (payout) => ({
+      ...payout,
+      ...(await getExposure(api, blockHash, payout.era, payout.validator)),
+      network: network.name,
+      timestamp,
+    })));
+    // eslint-disable-next-line no-await-in-loop
+    await insertRows(
+      pool,
+      'payout',
+      payoutColumns,
+      payouts,
+      'ON CONFLICT ON CONSTRAINT payout_pkey DO NOTHING',
+    );
+    indexed += payouts.length;
+  }
+  return indexed;
+}
+
+const health = {
+  lastSuccess: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lag: 0,
+};
+// bumped on every start / stop, a run only continues while it's current
+let generation = 0;
+let timeout = null;
+
+module.exports = {
+  name: 'rewards',
+  start: async (api, pool, config, network) => {
+    generation += 1;
+    const run = generation;
+    logger.info(loggerOptions, `Delay rewards indexer start for ${config.startDelay / 1000}s`);
+    await wait(config.startDelay);
+    await module.exports.run(api, pool, config, network, run);
+  },
+  stop: async () => {
+    generation += 1;
+    clearTimeout(timeout);
+  },
+  health: () => health,
+  run: async (api, pool, config, network, run) => {
+    if (run !== generation) {
+      return;
+    }
+    logger.info(loggerOptions, 'Starting rewards indexer');
+    const startTime = new Date().getTime();
+    try {
+      const indexed = await indexPayouts(api, pool, network, config.batchSize);
+      health.lastSuccess = new Date().getTime();
+      logger.info(loggerOptions, `Indexed ${indexed} payouts in ${((new Date().getTime() - startTime) / 1000).toFixed(3)}s`);
+    } catch (error) {
+      logger.error(loggerOptions, `Error indexing payouts: ${JSON.stringify(error)}`);
+      health.lastError = error.toString();
+      health.lastErrorAt = new Date().getTime();
+    }
+    if (run === generation) {
+      timeout = setTimeout(
+        () => module.exports.run(api, pool, config, network, run),
+        config.pollingTime,
+      );
+    }
+  },
+};
@@ -0,0 +1,123 @@
+// @ts-check
+//
+// Pareto dominance of validators, shared by the ranking crawler and the
+// frontend ranking so both use the same metrics and algorithm. Keep it free
+// of node only dependencies.
+//
+const { BigNumber } = require('bignumber.js');
+
+const toNumber = (value) => new BigNumber(value).toNumber();
+
+// Metrics that can take part in the dominance test, value is higher is better
+const dominanceMetrics = {
+  relativePerformance: {
+    label: 'Relative performance',
+    value: (validator) => toNumber(validator.relativePerformance),
+  },
+  selfStake: {
+    label: 'Self stake',
+    value: (validator) => toNumber(validator.selfStake),
+  },
+  activeEras: {
+    label: 'Active eras',
+    value: (validator) => validator.activeEras,
+  },
+  score: {
+    label: 'VRC score',
+    // custom score of the frontend metric weights, if any
+    value: (validator) => (validator.customVRCScore !== undefined
+      ? validator.customVRCScore
+      : validator.totalRating),
+  },
+  eraPointsPercent: {
+    label: 'Era points',
+    value: (validator) => toNumber(validator.eraPointsPercent),
+  },
+  commission: {
+    label: 'Commission',
+    value: (validator) => -toNumber(validator.commission),
+  },
+};
+
+const defaultDominanceMetrics = ['relativePerformance', 'selfStake', 'activeEras', 'score'];
+
+// a dominates b if it's at least as good in every metric and strictly better
+// in at least one
+function dominates(a, b) {
+  let better = false;
+  for (let i = 0; i < a.length; i += 1) {
+    if (a[i] < b[i]) {
+      return false;
+    }
+    if (a[i] > b[i]) {
+      better = true;
+    }
+  }
+  return better;
+}
+
+// Lexicographic order, best first. A vector can only be dominated by the
+// ones before it.
+function compareVectors(a, b) {
+  for (let i = 0; i < a.length; i += 1) {
+    if (a[i] !== b[i]) {
+      return b[i] - a[i];
+    }
+  }
+  return 0;
+}
+
+// Pareto layer of every validator (1 = not dominated, 2 = only dominated by
+// layer 1 validators, ...), in the same order as validators.
+//
+// Efficient non-dominated sort with binary search (Zhang et al. 2015):
+// vectors are visited in lexicographic order so every layer found so far is
+// final, and the layer of a vector is the first one where no member
+// dominates it. Being dominated by layer k implies being dominated by every
+// layer before k, so that layer can be found with a binary search.
+function getDominanceLayers(validators, metrics = defaultDominanceMetrics) {
+  const vectors = validators.map((validator) => metrics.map((metric) => {
+    const value = dominanceMetrics[metric].value(validator);
+    // unknown values never make a validator better
+    return Number.isNaN(value) ? -Infinity : value;
+  }));
+  const order = vectors
+    .map((vector, index) => index)
+    .sort((a, b) => compareVectors(vectors[a], vectors[b]));
+  const layers = [];
+  const result = new Array(validators.length);
+  // newest members first, they are the likeliest to dominate the next vector
+  const isDominatedBy = (layer, vector) => {
+    for (let i = layer.length - 1; i >= 0; i -= 1) {
+      if (dominates(vectors[layer[i]], vector)) {
+        return true;
+      }
+    }
+    return false;
+  };
+  order.forEach((index) => {
+    let low = 0;
+    let high = layers.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (isDominatedBy(layers[middle], vectors[index])) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    if (low === layers.length) {
+      layers.push([]);
+    }
+    layers[low].push(index);
+    result[index] = low + 1;
+  });
+  return result;
+}
+
+module.exports = {
+  dominanceMetrics,
+  defaultDominanceMetrics,
+  dominates,
+  getDominanceLayers,
+};
@@ -0,0 +1,245 @@
+// @ts-check
+const pino = require('pino');
+const { insertRows } = require('./persistence.js');
+
+const logger = pino();
+
+const eraColumns = [
+  'network',
+  'era',
+  'total_points',
+  'points',
+  'commissions',
+  'slashes',
+  'stakes',
+  'slashes_final',
+  'timestamp',
+];
+
+// Map of stash => value, from a derive result keyed by account or from
+// [key, value] storage entries where the stash is the last key argument
+const byStash = (validators, getValue) => Object.fromEntries(
+  Array.isArray(validators)
+    ? validators.map(([key, value]) => [key.args[key.args.length - 1].toString(), getValue(value)])
+    : Object.entries(validators).map(([stash, value]) => [stash, getValue(value)]),
+);
+
+const getSlashes = (validators) => byStash(validators, (amount) => amount.toString());
+
+// Completed eras that were already cached, oldest first
+async function getCachedEras(pool, network, firstEra, lastEra) {
+  const res = await pool.query(
+    'SELECT * FROM era_staking WHERE network = $1 AND era >= $2 AND era <= $3 ORDER BY era ASC;',
+    [network, firstEra, lastEra],
+  );
+  return res.rows.map((row) => ({
+    era: row.era,
+    totalPoints: parseInt(row.total_points, 10),
+    points: JSON.parse(row.points),
+    commissions: JSON.parse(row.commissions),
+    slashes: JSON.parse(row.slashes),
+    stakes: JSON.parse(row.stakes),
+    slashesFinal: row.slashes_final,
+  }));
+}
+
+async function storeEras(pool, network, eras) {
+  if (eras.length === 0) {
+    return;
+  }
+  const timestamp = new Date().getTime();
+  await insertRows(
+    pool,
+    'era_staking',
+    eraColumns,
+    eras.map((era) => ({
+      network,
+      era: era.era,
+      total_points: era.totalPoints,
+      points: JSON.stringify(era.points),
+      commissions: JSON.stringify(era.commissions),
+      slashes: JSON.stringify(era.slashes),
+      stakes: JSON.stringify(era.stakes),
+      slashes_final: era.slashesFinal,
+      timestamp,
+    })),
+    `ON CONFLICT ON CONSTRAINT era_staking_pkey DO UPDATE SET
+      slashes = EXCLUDED.slashes,
+      slashes_final = EXCLUDED.slashes_final,
+      timestamp = EXCLUDED.timestamp`,
+  );
+}
+
+// Fetch eras still kept by the node, eraIndexes are EraIndex codecs
+async function fetchEras(api, eraIndexes) {
+  if (eraIndexes.length === 0) {
+    return [];
+  }
+  const withActive = false;
+  const [erasPoints, erasPreferences, erasSlashes] = await Promise.all([
+    // eslint-disable-next-line no-underscore-dangle
+    api.derive.staking._erasPoints(eraIndexes, withActive),
+    // eslint-disable-next-line no-underscore-dangle
+    api.derive.staking._erasPrefs(eraIndexes, withActive),
+    // eslint-disable-next-line no-underscore-dangle
+    api.derive.staking._erasSlashes(eraIndexes, withActive),
+  ]);
+  const eras = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const eraIndex of eraIndexes) {
+    const era = eraIndex.toNumber();
+    const findEra = (list) => list.find((item) => item.era.toNumber() === era);
+    const eraPoints = findEra(erasPoints);
+    // eslint-disable-next-line no-await-in-loop
+    const eraExposure = await api.derive.staking.eraExposure(eraIndex);
+    eras.push({
+      era,
+      totalPoints: parseInt(eraPoints.eraPoints.toString(), 10),
+      points: byStash(eraPoints.validators, (points) => parseInt(points.toString(), 10)),
+      commissions: byStash(
+        findEra(erasPreferences).validators,
+        ({ commission }) => parseInt(commission.toString(), 10),
+      ),
+      slashes: getSlashes(findEra(erasSlashes).validators),
+      stakes: byStash(eraExposure.validators, ({ total }) => total.toString()),
+    });
+  }
+  return eras;
+}
+
+// Fetch an era from the state at blockHash, that needs an archive node
+// when the block is older than the node's state pruning
+async function fetchEraAt(api, blockHash, era) {
+  const [rewardPoints, preferences, exposures, slashes] = await Promise.all([
+    api.query.staking.erasRewardPoints.at(blockHash, era),
+    api.query.staking.erasValidatorPrefs.entriesAt(blockHash, era),
+    api.query.staking.erasStakers.entriesAt(blockHash, era),
+    api.query.staking.validatorSlashInEra.entriesAt(blockHash, era),
+  ]);
+  return {
+    era,
+    totalPoints: rewardPoints.total.toNumber(),
+    points: Object.fromEntries(
+      [...rewardPoints.individual.entries()]
+        .map(([stash, points]) => [stash.toString(), points.toNumber()]),
+    ),
+    commissions: byStash(preferences, ({ commission }) => commission.toNumber()),
+    // slash in era is an Option<(Perbill, Balance)>
+    slashes: byStash(
+      slashes.filter(([, slash]) => slash.isSome),
+      (slash) => slash.unwrap()[1].toString(),
+    ),
+    stakes: byStash(exposures, ({ total }) => total.toString()),
+    slashesFinal: true,
+  };
+}
+
+async function getActiveEraAt(api, blockNumber) {
+  const blockHash = await api.rpc.chain.getBlockHash(blockNumber);
+  const activeEra = await api.query.staking.activeEra.at(blockHash);
+  return activeEra.isSome ? activeEra.unwrap().index.toNumber() : 0;
+}
+
+// Binary search of the first block of an era below maxBlock
+async function findEraStartBlock(api, era, maxBlock) {
+  let low = 1;
+  let high = maxBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    // eslint-disable-next-line no-await-in-loop
+    if (await getActiveEraAt(api, middle) >= era) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+module.exports = {
+  getCachedEras,
+  storeEras,
+  fetchEras,
+  fetchEraAt,
+  findEraStartBlock,
+  // Staking data of the last historySize completed eras, oldest first. Eras
+  // never change once completed so they are fetched once and cached, only
+  // their slashes can still be reported until the bonding duration is over.
+  getEras: async (api, pool, network, historySize, currentEra, loggerOptions) => {
+    const erasHistoric = await api.derive.staking.erasHistoric(false);
+    const lastEra = erasHistoric[erasHistoric.length - 1].toNumber();
+    const firstEra = Math.max(lastEra - historySize + 1, 0);
+    const bondingDuration = api.consts.staking.bondingDuration.toNumber();
+    const isFinal = (era) => era < currentEra - bondingDuration;
+
+    const cached = await getCachedEras(pool, network.name, firstEra, lastEra);
+    const cachedEras = cached.map(({ era }) => era);
+    const missing = erasHistoric.filter(
+      (eraIndex) => eraIndex.toNumber() >= firstEra && !cachedEras.includes(eraIndex.toNumber()),
+    );
+    const fetched = (await fetchEras(api, missing))
+      .map((era) => ({ ...era, slashesFinal: isFinal(era.era) }));
+
+    // refresh slashes of eras that can still be slashed
+    const pending = cached.filter(({ slashesFinal }) => !slashesFinal);
+    const pendingIndexes = erasHistoric.filter(
+      (eraIndex) => pending.some(({ era }) => era === eraIndex.toNumber()),
+    );
+    const erasSlashes = pendingIndexes.length > 0
+      // eslint-disable-next-line no-underscore-dangle
+      ? await api.derive.staking._erasSlashes(pendingIndexes, false)
+      : [];
+    const refreshed = pending.map((era) => {
+      const eraSlashes = erasSlashes.find((item) => item.era.toNumber() === era.era);
+      return {
+        ...era,
+        slashes: eraSlashes ? getSlashes(eraSlashes.validators) : era.slashes,
+        slashesFinal: isFinal(era.era),
+      };
+    });
+
+    try {
+      await storeEras(pool, network.name, [...fetched, ...refreshed]);
+    } catch (error) {
+      logger.error(loggerOptions, `Error caching eras: ${error}`);
+    }
+    logger.info(loggerOptions, `Got ${cached.length} eras from cache and ${fetched.length} from chain, refreshed slashes of ${refreshed.length} eras`);
+
+    return [
+      ...cached.filter(({ slashesFinal }) => slashesFinal),
+      ...refreshed,
+      ...fetched,
+    ]
+      .sort((a, b) => a.era - b.era)
+      // eslint-disable-next-line no-unused-vars
+      .map(({ slashesFinal, ...era }) => era);
+  },
+  // Cache up to count eras older than the ones kept by the node, newest
+  // first. Each era is read from the state of the block where its slashes
+  // are final, so it needs an archive node.
+  backfillEras: async (api, pool, network, count, loggerOptions) => {
+    const erasHistoric = await api.derive.staking.erasHistoric(false);
+    const firstHistoricEra = erasHistoric[0].toNumber();
+    const firstEra = Math.max(firstHistoricEra - count, 0);
+    const cachedEras = (await getCachedEras(pool, network.name, firstEra, firstHistoricEra))
+      .map(({ era }) => era);
+    const bondingDuration = api.consts.staking.bondingDuration.toNumber();
+    let maxBlock = (await api.rpc.chain.getHeader()).number.toNumber();
+    let backfilled = 0;
+    for (let era = firstHistoricEra - 1; era >= firstEra; era -= 1) {
+      if (!cachedEras.includes(era)) {
+        // eslint-disable-next-line no-await-in-loop
+        maxBlock = await findEraStartBlock(api, era + bondingDuration + 1, maxBlock);
+        // eslint-disable-next-line no-await-in-loop
+        const blockHash = await api.rpc.chain.getBlockHash(maxBlock);
+        // eslint-disable-next-line no-await-in-loop
+        const eraData = await fetchEraAt(api, blockHash, era);
+        // eslint-disable-next-line no-await-in-loop
+        await storeEras(pool, network.name, [eraData]);
+        backfilled += 1;
+        logger.info(loggerOptions, `Era ${era} cached from block #${maxBlock}`);
+      }
+    }
+    return backfilled;
+  },
+};
@@ -0,0 +1,126 @@
+// @ts-check
+//
+// Funding graph analysis: groups of validators funded from a common source
+// within a short time window are likely run by the same operator, even when
+// nothing else links them. Works on plain transfers ({ from, to,
+// blockNumber }) so it can be tested offline.
+//
+
+// Transfers to validator stashes and controllers, and one hop upstream:
+// transfers to the accounts that funded them, made shortly before. Returns
+// [{ source, via, stash, blockNumber }] where via is the intermediate account.
+function getFundings(transfers, validators, windowBlocks) {
+  const stashes = new Map();
+  validators.forEach(({ stashAddress, controllerAddress }) => {
+    stashes.set(stashAddress, stashAddress);
+    stashes.set(controllerAddress, stashAddress);
+  });
+  const received = new Map();
+  transfers.forEach((transfer) => {
+    if (!received.has(transfer.to)) {
+      received.set(transfer.to, []);
+    }
+    received.get(transfer.to).push(transfer);
+  });
+
+  const fundings = [];
+  transfers
+    // transfers between the accounts of a validator don't fund it
+    .filter(({ from, to }) => stashes.has(to) && stashes.get(from) !== stashes.get(to))
+    .forEach(({ from, to, blockNumber }) => {
+      const stash = stashes.get(to);
+      fundings.push({
+        source: from, via: null, stash, blockNumber,
+      });
+      if (stashes.has(from)) {
+        // funded by another validator, that's already a direct link
+        return;
+      }
+      (received.get(from) || [])
+        .filter((upstream) => upstream.blockNumber <= blockNumber
+          && blockNumber - upstream.blockNumber <= windowBlocks
+          && stashes.get(upstream.from) !== stash)
+        .forEach((upstream) => fundings.push({
+          source: upstream.from,
+          via: from,
+          stash,
+          blockNumber: upstream.blockNumber,
+        }));
+    });
+  return fundings;
+}
+
+// Groups of at least minValidators validators funded by the same source
+// within windowBlocks: [{ id, source, via, validators, firstBlock,
+// lastBlock }]. Sources that funded more than maxSourceValidators
+// validators are probably exchanges and ignored, and so are groups that are
+// already a detected cluster.
+function findFundingGroups(transfers, validators, {
+  windowBlocks,
+  minValidators,
+  maxSourceValidators,
+}) {
+  const clusters = new Map(validators.map(
+    ({ stashAddress, clusterName, partOfCluster }) => [
+      stashAddress,
+      partOfCluster ? clusterName : '',
+    ],
+  ));
+  const bySource = new Map();
+  getFundings(transfers, validators, windowBlocks).forEach((funding) => {
+    if (!bySource.has(funding.source)) {
+      bySource.set(funding.source, []);
+    }
+    bySource.get(funding.source).push(funding);
+  });
+
+  const groups = [];
+  bySource.forEach((fundings, source) => {
+    if (new Set(fundings.map(({ stash }) => stash)).size > maxSourceValidators) {
+      return;
+    }
+    fundings.sort((a, b) => a.blockNumber - b.blockNumber);
+    let start = 0;
+    while (start < fundings.length) {
+      let end = start;
+      while (
+        end + 1 < fundings.length
+        && fundings[end + 1].blockNumber - fundings[start].blockNumber <= windowBlocks
+      ) {
+        end += 1;
+      }
+      const window = fundings.slice(start, end + 1);
+      const stashes = [...new Set(window.map(({ stash }) => stash))].sort();
+      if (stashes.length >= minValidators) {
+        groups.push({
+          id: `${source}-${fundings[start].blockNumber}`,
+          source,
+          via: [...new Set(window.map(({ via }) => via).filter((via) => via))].sort(),
+          validators: stashes,
+          firstBlock: fundings[start].blockNumber,
+          lastBlock: fundings[end].blockNumber,
+        });
+        start = end + 1;
+      } else {
+        start += 1;
+      }
+    }
+  });
+
+  const seen = new Set();
+  return groups
+    .sort((a, b) => a.firstBlock - b.firstBlock || (a.id < b.id ? -1 : 1))
+    .filter(({ validators: stashes }) => {
+      const cluster = clusters.get(stashes[0]);
+      const known = cluster !== '' && stashes.every((stash) => clusters.get(stash) === cluster);
+      const key = stashes.join(',');
+      const duplicated = seen.has(key);
+      seen.add(key);
+      return !known && !duplicated;
+    });
+}
+
+module.exports = {
+  getFundings,
+  findFundingGroups,
+};
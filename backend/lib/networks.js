@@ -0,0 +1,51 @@
+// @ts-check
+
+// Network profiles, selected with SUBSTRATE_NETWORK. Every row written by
+// the crawlers is tagged with the profile name so several networks can
+// share the same database.
+const networks = {
+  kusama: {
+    name: 'kusama',
+    denom: 'KSM',
+    tokenDecimals: 12,
+    addressPrefix: 2,
+    erasPerDay: 4,
+    thousandValidatorsUrl: 'https://kusama.w3f.community/candidates',
+  },
+  polkadot: {
+    name: 'polkadot',
+    denom: 'DOT',
+    tokenDecimals: 10,
+    addressPrefix: 0,
+    erasPerDay: 1,
+    thousandValidatorsUrl: 'https://polkadot.w3f.community/candidates',
+  },
+  westend: {
+    name: 'westend',
+    denom: 'WND',
+    tokenDecimals: 12,
+    addressPrefix: 42,
+    erasPerDay: 4,
+    thousandValidatorsUrl: null,
+  },
+  // any other substrate relay chain, configured from the environment
+  custom: {
+    name: process.env.CUSTOM_NETWORK_NAME || 'custom',
+    denom: process.env.CUSTOM_NETWORK_DENOM || 'UNIT',
+    tokenDecimals: parseInt(process.env.CUSTOM_NETWORK_TOKEN_DECIMALS, 10) || 12,
+    addressPrefix: parseInt(process.env.CUSTOM_NETWORK_ADDRESS_PREFIX, 10) || 42,
+    erasPerDay: parseInt(process.env.CUSTOM_NETWORK_ERAS_PER_DAY, 10) || 4,
+    thousandValidatorsUrl: process.env.CUSTOM_NETWORK_THOUSAND_VALIDATORS_URL || null,
+  },
+};
+
+module.exports = {
+  networks,
+  getNetwork: (name) => {
+    const network = networks[name];
+    if (!network) {
+      throw new Error(`Unknown network ${name}, expected one of ${Object.keys(networks).join(', ')}`);
+    }
+    return network;
+  },
+};
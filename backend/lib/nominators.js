@@ -0,0 +1,163 @@
+// @ts-check
+const { BigNumber } = require('bignumber.js');
+const { electValidators } = require('./phragmen.js');
+
+// Nominators of the current exposure of a validator sorted by stake, the
+// first maxNominatorRewardedPerValidator ones are rewarded
+function getRewardedNominators(validator, maxNominatorRewardedPerValidator) {
+  return [...validator.nominatorStakes]
+    .sort((a, b) => new BigNumber(b.stake).comparedTo(new BigNumber(a.stake)))
+    .slice(0, maxNominatorRewardedPerValidator)
+    .map(({ nominator }) => nominator);
+}
+
+// Rewarded set of a validator: rewardedSlotsLeft nominators can still join
+// before it's oversubscribed, once it's full rewardedStakeCutoff is the
+// lowest stake that is still rewarded, a new nominator has to beat it. The
+// stakes of waiting validators are unknown until they are elected, their
+// cutoff is null.
+function getRewardedCutoff(validator, nominators, maxNominatorRewardedPerValidator) {
+  const rewardedSlotsLeft = Math.max(0, maxNominatorRewardedPerValidator - nominators);
+  if (rewardedSlotsLeft > 0 || validator.nominatorStakes.length === 0) {
+    return { rewardedStakeCutoff: null, rewardedSlotsLeft };
+  }
+  const stakes = new Map(
+    validator.nominatorStakes.map(({ nominator, stake }) => [nominator, stake]),
+  );
+  const rewarded = getRewardedNominators(validator, maxNominatorRewardedPerValidator);
+  return {
+    rewardedStakeCutoff: stakes.get(rewarded[rewarded.length - 1]),
+    rewardedSlotsLeft,
+  };
+}
+
+// Whether a new nomination of stake would be inside the rewarded set of a
+// validator with the rewarded cutoff above, null when it can't be known
+function isStakeRewarded({ rewardedStakeCutoff, rewardedSlotsLeft }, stake) {
+  if (rewardedSlotsLeft > 0) {
+    return true;
+  }
+  if (rewardedStakeCutoff === null) {
+    return null;
+  }
+  return new BigNumber(stake).gt(new BigNumber(rewardedStakeCutoff));
+}
+
+// A row for every target of every nominator of a ranking snapshot:
+// { nominator, target, bonded, elected, active, stake, rewarded }. A target
+// is active when the nominator backs it in the current exposure, stake is
+// the nominator stake exposed on it (null otherwise).
+function getNominatorRows(snapshot) {
+  const validators = new Map(snapshot.validators.map((validator) => [
+    validator.stashAddress,
+    {
+      elected: validator.active,
+      stakes: new Map(validator.nominatorStakes.map(({ nominator, stake }) => [nominator, stake])),
+      rewarded: new Set(
+        getRewardedNominators(validator, snapshot.maxNominatorRewardedPerValidator),
+      ),
+    },
+  ]));
+  const rows = [];
+  snapshot.nominations.forEach(({ nominator, bonded, targets }) => {
+    [...new Set(targets)].forEach((target) => {
+      const validator = validators.get(target);
+      const stake = validator && validator.stakes.has(nominator)
+        ? validator.stakes.get(nominator)
+        : null;
+      rows.push({
+        nominator,
+        target,
+        bonded,
+        elected: Boolean(validator && validator.elected),
+        active: stake !== null,
+        stake,
+        rewarded: stake !== null && validator.rewarded.has(nominator),
+      });
+    });
+  });
+  return rows;
+}
+
+// Reruns the next election with a nomination ({ nominator, bonded, targets })
+// added to the current ones, replacing the previous nomination of the same
+// nominator. election is { tokenDecimals, validatorCount,
+// maxNominatorRewardedPerValidator, eraReward, validators: [{ stashAddress,
+// bonded, commission }], nominations: [{ nominator, bonded, targets }] }
+// with amounts in planck and commissions in %. The era reward is estimated
+// as if every validator earned the same era points. Returns the stake of the
+// nomination on every target and whether it would be rewarded: { elected,
+// reward, targets: [{ stashAddress, elected, stake, backing, nominators,
+// oversubscribed, rewarded, reward }] }, amounts as BigNumber in planck.
+function simulateNomination(election, nomination) {
+  const { tokenDecimals, maxNominatorRewardedPerValidator } = election;
+  const toTokens = (amount) => new BigNumber(amount).shiftedBy(-tokenDecimals).toNumber();
+  const toPlanck = (amount) => new BigNumber(amount).shiftedBy(tokenDecimals).integerValue();
+  const nominations = [
+    ...election.nominations.filter(({ nominator }) => nominator !== nomination.nominator),
+    nomination,
+  ];
+  const own = nominations.length - 1;
+  const elected = new Map(electValidators(
+    election.validators.map(({ stashAddress, bonded }) => ({
+      id: stashAddress,
+      stake: toTokens(bonded),
+    })),
+    nominations.map(({ bonded, targets }) => ({ stake: toTokens(bonded), targets })),
+    election.validatorCount,
+  ).map((winner) => [winner.id, winner]));
+  const validatorReward = new BigNumber(election.eraReward).div(election.validatorCount);
+  const commissions = new Map(
+    election.validators.map(({ stashAddress, commission }) => [stashAddress, commission]),
+  );
+
+  const targets = [...new Set(nomination.targets)].map((stashAddress) => {
+    const winner = elected.get(stashAddress);
+    if (!winner) {
+      return {
+        stashAddress,
+        elected: false,
+        stake: new BigNumber(0),
+        backing: new BigNumber(0),
+        nominators: 0,
+        oversubscribed: false,
+        rewarded: false,
+        reward: new BigNumber(0),
+      };
+    }
+    const backer = winner.backers.find(({ voter }) => voter === own);
+    const stake = backer ? backer.stake : 0;
+    // backers with a bigger stake are rewarded first
+    const rank = winner.backers.filter((other) => other.stake > stake).length;
+    const rewarded = stake > 0 && rank < maxNominatorRewardedPerValidator;
+    return {
+      stashAddress,
+      elected: true,
+      stake: toPlanck(stake),
+      backing: toPlanck(winner.backing),
+      nominators: winner.backers.length,
+      oversubscribed: winner.backers.length > maxNominatorRewardedPerValidator,
+      rewarded,
+      reward: rewarded
+        ? validatorReward
+          .times(1 - commissions.get(stashAddress) / 100)
+          .times(stake)
+          .div(winner.backing)
+          .integerValue()
+        : new BigNumber(0),
+    };
+  });
+  return {
+    elected: targets.some(({ stake }) => stake.gt(0)),
+    reward: targets.reduce((total, { reward }) => total.plus(reward), new BigNumber(0)),
+    targets,
+  };
+}
+
+module.exports = {
+  getRewardedNominators,
+  getRewardedCutoff,
+  isStakeRewarded,
+  getNominatorRows,
+  simulateNomination,
+};
@@ -0,0 +1,144 @@
+// @ts-check
+//
+// Offence and slashing history. Offence rows are decoded from the harvested
+// events: staking.Slash (applied slashes, validators and nominators),
+// imOnline.SomeOffline and offences.Offence (BABE / GRANDPA equivocations
+// and any other reported offence, whose offenders are looked up on chain).
+//
+
+// Kinds of offence, the higher the severity the worse. Slashes of reported
+// offences are deferred, they can be cancelled by governance before applied.
+const offenceKinds = {
+  offline: {
+    severity: 1,
+    description: 'Offline during a whole session',
+  },
+  slash: {
+    severity: 2,
+    description: 'Slash applied',
+  },
+  offence: {
+    severity: 2,
+    description: 'Reported offence',
+    slashable: true,
+  },
+  babeEquivocation: {
+    severity: 3,
+    description: 'Produced two different blocks in the same slot (BABE equivocation)',
+    slashable: true,
+  },
+  grandpaEquivocation: {
+    severity: 3,
+    description: 'Voted for two different blocks in the same round (GRANDPA equivocation)',
+    slashable: true,
+  },
+};
+
+// offences.Offence kind is a 16 bytes identifier, in hex
+const reportKinds = {
+  'babe:equivocatio': 'babeEquivocation',
+  'grandpa:equivoca': 'grandpaEquivocation',
+  // already recorded from imOnline.SomeOffline, which lists the offenders
+  'im-online:offlin': null,
+};
+
+function getReportKind(kind) {
+  const name = kind
+    .replace(/^0x/, '')
+    .match(/../g)
+    .map((byte) => String.fromCharCode(parseInt(byte, 16)))
+    .join('');
+  return reportKinds[name] !== undefined ? reportKinds[name] : 'offence';
+}
+
+// Offence rows of a block from its event rows: { block_number, event_index,
+// account_id, kind, amount }. Reported offences come with a null account_id
+// and a report ({ kind, timeSlot } as in the event) to look the offenders up
+// on chain.
+function getOffenceRows(events) {
+  const rows = [];
+  events.forEach((event) => {
+    const data = JSON.parse(event.data);
+    const row = {
+      block_number: event.block_number,
+      event_index: event.event_index,
+      amount: null,
+    };
+    if (event.section === 'staking' && (event.method === 'Slash' || event.method === 'Slashed')) {
+      rows.push({
+        ...row, account_id: data[0], kind: 'slash', amount: `${data[1]}`,
+      });
+    } else if (event.section === 'imOnline' && event.method === 'SomeOffline') {
+      data[0].forEach(([accountId]) => rows.push({ ...row, account_id: accountId, kind: 'offline' }));
+    } else if (event.section === 'offences' && event.method === 'Offence') {
+      const kind = getReportKind(data[0]);
+      if (kind) {
+        rows.push({
+          ...row, account_id: null, kind, report: { kind: data[0], timeSlot: data[1] },
+        });
+      }
+    }
+  });
+  return rows;
+}
+
+// Amount and cancellation of reported offences: the first slash of the
+// offender applied after the report is its slash, when none was applied
+// once the slash defer duration is over the slash was cancelled. Rows are
+// { block_number, account_id, era, kind, amount, cancelled }, rows whose
+// amount or cancellation changed are replaced by updated copies.
+function resolveOffences(rows, currentEra, slashDeferDuration) {
+  const sorted = [...rows].sort((a, b) => a.block_number - b.block_number);
+  // slashes of every account, in block order
+  const slashes = new Map();
+  sorted
+    .filter(({ kind }) => kind === 'slash')
+    .forEach((slash) => {
+      if (!slashes.has(slash.account_id)) {
+        slashes.set(slash.account_id, []);
+      }
+      slashes.get(slash.account_id).push(slash);
+    });
+  const used = new Set();
+  return sorted.map((row) => {
+    if (!offenceKinds[row.kind].slashable) {
+      return row;
+    }
+    const slash = (slashes.get(row.account_id) || []).find((candidate) => (
+      candidate.block_number >= row.block_number && !used.has(candidate)
+    ));
+    const amount = slash ? slash.amount : null;
+    const cancelled = !slash && currentEra > row.era + slashDeferDuration;
+    if (slash) {
+      used.add(slash);
+    }
+    return amount === row.amount && cancelled === row.cancelled
+      ? row
+      : { ...row, amount, cancelled };
+  });
+}
+
+// Scoring facts from the offences of a validator ({ era, kind, cancelled }),
+// cancelled ones don't count. Eras since an offence are Infinity when there
+// was none.
+function getOffenceFacts(offences, currentEra) {
+  const counted = offences.filter(({ cancelled }) => !cancelled);
+  const erasSince = (list) => (list.length > 0
+    ? currentEra - Math.max(...list.map(({ era }) => era))
+    : Infinity);
+  return {
+    offenceSeverity: Math.max(0, ...counted.map(({ kind }) => offenceKinds[kind].severity)),
+    erasSinceOffence: erasSince(counted),
+    erasSinceSevereOffence: erasSince(
+      counted.filter(({ kind }) => offenceKinds[kind].severity >= 2),
+    ),
+  };
+}
+
+module.exports = {
+  offenceKinds,
+  getReportKind,
+  getOffenceRows,
+  resolveOffences,
+  getOffenceFacts,
+};
@@ -0,0 +1,285 @@
+// @ts-check
+const pino = require('pino');
+const { getAccountRows } = require('./accounts.js');
+
+const logger = pino();
+
+// PostgreSQL accepts up to 65535 bind parameters per statement
+const MAX_QUERY_PARAMETERS = 65535;
+
+const blockColumns = [
+  'network',
+  'block_number',
+  'finalized',
+  'block_author',
+  'block_author_name',
+  'block_hash',
+  'parent_hash',
+  'extrinsics_root',
+  'state_root',
+  'total_events',
+  'total_extrinsics',
+  'timestamp',
+];
+
+const eventColumns = [
+  'network',
+  'block_number',
+  'event_index',
+  'section',
+  'method',
+  'phase',
+  'data',
+  'timestamp',
+];
+
+const extrinsicColumns = [
+  'network',
+  'block_number',
+  'extrinsic_index',
+  'is_signed',
+  'signer',
+  'section',
+  'method',
+  'args',
+  'hash',
+  'doc',
+  'success',
+  'timestamp',
+];
+
+const accountColumns = [
+  'network',
+  'account_id',
+  'created_at_block',
+  'funded_by',
+  'funded_at_block',
+  'funding_amount',
+  'timestamp',
+];
+
+const accountHistoryColumns = [
+  'network',
+  'block_number',
+  'event_index',
+  'account_id',
+  'event',
+];
+
+// Blocks can be stored in any order (the harvester fills gaps in parallel),
+// so an account only keeps the earliest creation and funding seen
+const upsertAccounts = `ON CONFLICT ON CONSTRAINT account_pkey DO UPDATE SET
+  created_at_block = LEAST(account.created_at_block, EXCLUDED.created_at_block),
+  funded_by = CASE WHEN account.funded_at_block IS NULL OR EXCLUDED.funded_at_block < account.funded_at_block
+    THEN EXCLUDED.funded_by ELSE account.funded_by END,
+  funding_amount = CASE WHEN account.funded_at_block IS NULL OR EXCLUDED.funded_at_block < account.funded_at_block
+    THEN EXCLUDED.funding_amount ELSE account.funding_amount END,
+  funded_at_block = LEAST(account.funded_at_block, EXCLUDED.funded_at_block),
+  timestamp = EXCLUDED.timestamp`;
+
+// Tag rows fetched from the chain with the network they belong to
+const withNetwork = (network, rows) => rows.map((row) => ({ ...row, network }));
+
+module.exports = {
+  blockColumns,
+  eventColumns,
+  extrinsicColumns,
+  // Run fn(client) inside a transaction, rolling back if it throws
+  withTransaction: async (pool, fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+  // Multi-row parameterized insert, split in as few statements as the
+  // parameter limit allows. Rows are objects keyed by column name.
+  insertRows: async (client, table, columns, rows, onConflict = '') => {
+    const rowsPerStatement = Math.floor(MAX_QUERY_PARAMETERS / columns.length);
+    for (let offset = 0; offset < rows.length; offset += rowsPerStatement) {
+      const values = [];
+      const tuples = rows
+        .slice(offset, offset + rowsPerStatement)
+        .map((row) => {
+          const placeholders = columns.map((column) => {
+            values.push(row[column]);
+            return `$${values.length}`;
+          });
+          return `(${placeholders.join(', ')})`;
+        });
+      const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')} ${onConflict};`;
+      // eslint-disable-next-line no-await-in-loop
+      await client.query(sql, values);
+    }
+  },
+  // Store a block with all its extrinsics and events, atomically
+  storeBlock: async (pool, network, block, extrinsics, events) => {
+    await module.exports.withTransaction(pool, async (client) => {
+      await module.exports.insertRows(
+        client,
+        'block',
+        blockColumns,
+        withNetwork(network, [block]),
+        'ON CONFLICT ON CONSTRAINT block_pkey DO NOTHING',
+      );
+      await module.exports.insertRows(
+        client,
+        'extrinsic',
+        extrinsicColumns,
+        withNetwork(network, extrinsics),
+        'ON CONFLICT ON CONSTRAINT extrinsic_pkey DO NOTHING',
+      );
+      await module.exports.insertRows(
+        client,
+        'event',
+        eventColumns,
+        withNetwork(network, events),
+        'ON CONFLICT ON CONSTRAINT event_pkey DO NOTHING',
+      );
+      await module.exports.storeAccounts(client, network, events);
+    });
+  },
+  // Replace a stored block and all its extrinsics and events, atomically
+  replaceBlock: async (pool, network, block, extrinsics, events) => {
+    await module.exports.withTransaction(pool, async (client) => {
+      const blockNumber = block.block_number;
+      await client.query('DELETE FROM event WHERE network = $1 AND block_number = $2;', [network, blockNumber]);
+      await client.query('DELETE FROM extrinsic WHERE network = $1 AND block_number = $2;', [network, blockNumber]);
+      await client.query('DELETE FROM block WHERE network = $1 AND block_number = $2;', [network, blockNumber]);
+      // replaced blocks are the last ones, nothing later can be lost
+      await client.query('DELETE FROM account_history WHERE network = $1 AND block_number = $2;', [network, blockNumber]);
+      // indexed again from the new events by the offences crawler
+      await client.query('DELETE FROM offence WHERE network = $1 AND block_number = $2;', [network, blockNumber]);
+      await client.query('DELETE FROM offence_event WHERE network = $1 AND block_number = $2;', [network, blockNumber]);
+      // indexed again from the new events and extrinsics by the rewards and
+      // commissions crawlers
+      await client.query('DELETE FROM payout WHERE network = $1 AND block_number = $2;', [network, blockNumber]);
+      await client.query('DELETE FROM commission_change WHERE network = $1 AND block_number = $2;', [network, blockNumber]);
+      await client.query('UPDATE account SET created_at_block = NULL WHERE network = $1 AND created_at_block = $2;', [network, blockNumber]);
+      await client.query(
+        'UPDATE account SET funded_by = NULL, funded_at_block = NULL, funding_amount = NULL WHERE network = $1 AND funded_at_block = $2;',
+        [network, blockNumber],
+      );
+      await module.exports.insertRows(client, 'block', blockColumns, withNetwork(network, [block]));
+      await module.exports.insertRows(client, 'extrinsic', extrinsicColumns, withNetwork(network, extrinsics));
+      await module.exports.insertRows(client, 'event', eventColumns, withNetwork(network, events));
+      await module.exports.storeAccounts(client, network, events);
+    });
+  },
+  // Update the accounts created, reaped or funded in a block, events are
+  // event rows
+  storeAccounts: async (client, network, events) => {
+    const { accounts, history } = getAccountRows(events);
+    await module.exports.insertRows(
+      client,
+      'account',
+      accountColumns,
+      withNetwork(network, accounts),
+      upsertAccounts,
+    );
+    await module.exports.insertRows(
+      client,
+      'account_history',
+      accountHistoryColumns,
+      withNetwork(network, history),
+      'ON CONFLICT ON CONSTRAINT account_history_pkey DO NOTHING',
+    );
+  },
+  // Build the account tables from the events already stored, batchSize
+  // blocks at a time
+  rebuildAccounts: async (pool, network, batchSize, loggerOptions) => {
+    const res = await pool.query('SELECT MAX(block_number) AS last_block FROM event WHERE network = $1;', [network]);
+    const lastBlock = parseInt(res.rows[0].last_block || '0', 10);
+    for (let firstBlock = 0; firstBlock <= lastBlock; firstBlock += batchSize) {
+      // eslint-disable-next-line no-await-in-loop
+      const events = await pool.query(
+        `SELECT block_number, event_index, section, method, data, timestamp FROM event
+        WHERE network = $1 AND block_number >= $2 AND block_number < $3
+        AND ((section = 'system' AND method IN ('NewAccount', 'KilledAccount'))
+          OR (section = 'balances' AND method = 'Transfer'))
+        ORDER BY block_number, event_index;`,
+        [network, firstBlock, firstBlock + batchSize],
+      );
+      const blocks = new Map();
+      events.rows.forEach((event) => {
+        const blockNumber = parseInt(event.block_number, 10);
+        if (!blocks.has(blockNumber)) {
+          blocks.set(blockNumber, []);
+        }
+        blocks.get(blockNumber).push({ ...event, block_number: blockNumber });
+      });
+      // eslint-disable-next-line no-await-in-loop
+      await module.exports.withTransaction(pool, async (client) => {
+        // eslint-disable-next-line no-restricted-syntax
+        for (const blockEvents of blocks.values()) {
+          // eslint-disable-next-line no-await-in-loop
+          await module.exports.storeAccounts(client, network, blockEvents);
+        }
+      });
+      logger.info(loggerOptions, `Accounts rebuilt up to block #${Math.min(firstBlock + batchSize - 1, lastBlock)}`);
+    }
+  },
+  // Record a failed block, scheduling its next retry with exponential backoff
+  storeHarvesterError: async (pool, network, blockNumber, error, retry, loggerOptions) => {
+    const sql = `
+      INSERT INTO harvester_error (network, block_number, error, attempts, next_retry, timestamp)
+      VALUES ($1, $2, $3, 1, $4 + $5, $4)
+      ON CONFLICT ON CONSTRAINT harvester_error_pkey DO UPDATE SET
+        error = EXCLUDED.error,
+        attempts = harvester_error.attempts + 1,
+        next_retry = $4 + LEAST($5 * POWER(2, harvester_error.attempts), $6),
+        timestamp = EXCLUDED.timestamp;
+    `;
+    try {
+      await pool.query(sql, [
+        network,
+        blockNumber,
+        error.toString(),
+        new Date().getTime(),
+        retry.baseDelay,
+        retry.maxDelay,
+      ]);
+    } catch (dbError) {
+      logger.error(loggerOptions, `Error storing harvester error for block #${blockNumber}: ${dbError}`);
+    }
+  },
+  updateTotal: async (pool, network, name, count, loggerOptions) => {
+    const sql = `
+      INSERT INTO total (network, name, count) VALUES ($1, $2, $3)
+      ON CONFLICT ON CONSTRAINT total_pkey DO UPDATE SET count = EXCLUDED.count;
+    `;
+    try {
+      await pool.query(sql, [network, name, `${count}`]);
+    } catch (error) {
+      logger.error(loggerOptions, `Error updating total ${name}: ${error}`);
+    }
+  },
+  updateTotals: async (pool, network, loggerOptions) => {
+    // only finalized blocks count, anything else could still be reverted
+    const sql = `
+      INSERT INTO total (network, name, count)
+      SELECT $1::text, 'blocks', count(*) FROM block WHERE network = $1 AND finalized = true
+      UNION ALL
+      SELECT $1::text, 'extrinsics', COALESCE(SUM(total_extrinsics), 0) FROM block WHERE network = $1 AND finalized = true
+      UNION ALL
+      SELECT $1::text, 'transfers', count(*) FROM extrinsic
+      WHERE network = $1 AND section = 'balances' and method = 'transfer'
+      AND block_number IN (SELECT block_number FROM block WHERE network = $1 AND finalized = true)
+      UNION ALL
+      SELECT $1::text, 'events', COALESCE(SUM(total_events), 0) FROM block WHERE network = $1 AND finalized = true
+      ON CONFLICT ON CONSTRAINT total_pkey DO UPDATE SET count = EXCLUDED.count;
+    `;
+    try {
+      await pool.query(sql, [network]);
+    } catch (error) {
+      logger.error(loggerOptions, `Error updating total harvested blocks, extrinsics and events: ${error}`);
+    }
+  },
+};
@@ -0,0 +1,162 @@
+// @ts-check
+//
+// Local NPoS election to predict the next active set: sequential Phragmén
+// followed by balancing rounds (what the chain election and the staking
+// miners run, see sp-npos-elections). Stakes are plain numbers in tokens,
+// their precision is plenty for a prediction. Keep it free of node only
+// dependencies.
+//
+
+// Rebalances the stake of a voter among its elected targets so their
+// backings get as even as possible, returns how far it was from balanced.
+// edges are { candidate, weight }, backed is the backing of every candidate.
+function balanceVoter(budget, edges, backed, tolerance) {
+  if (edges.length <= 1) {
+    return 0;
+  }
+  const stakeUsed = edges.reduce((total, { weight }) => total + weight, 0);
+  const backedStakes = edges.map(({ candidate }) => backed[candidate]);
+  const backingBackedStakes = edges
+    .filter(({ weight }) => weight > 0)
+    .map(({ candidate }) => backed[candidate]);
+  let difference = budget;
+  if (backingBackedStakes.length > 0) {
+    difference = Math.max(...backingBackedStakes) - Math.min(...backedStakes)
+      + budget - stakeUsed;
+    if (difference < tolerance) {
+      return difference;
+    }
+  }
+  edges.forEach((edge) => {
+    // eslint-disable-next-line no-param-reassign
+    backed[edge.candidate] -= edge.weight;
+    // eslint-disable-next-line no-param-reassign
+    edge.weight = 0;
+  });
+  edges.sort((a, b) => backed[a.candidate] - backed[b.candidate]);
+  let cumulativeBackedStake = 0;
+  let lastIndex = edges.length - 1;
+  for (let index = 0; index < edges.length; index += 1) {
+    const backedStake = backed[edges[index].candidate];
+    if (index > 0 && backedStake * index > cumulativeBackedStake + budget) {
+      lastIndex = index - 1;
+      break;
+    }
+    cumulativeBackedStake += backedStake;
+  }
+  const lastStake = backed[edges[lastIndex].candidate];
+  const waysToSplit = lastIndex + 1;
+  const excess = budget + cumulativeBackedStake - lastStake * waysToSplit;
+  edges.slice(0, waysToSplit).forEach((edge) => {
+    // eslint-disable-next-line no-param-reassign
+    edge.weight = excess / waysToSplit + lastStake - backed[edge.candidate];
+    // eslint-disable-next-line no-param-reassign
+    backed[edge.candidate] += edge.weight;
+  });
+  return difference;
+}
+
+// Elects toElect of the candidates ({ id, stake }) with the votes of the
+// voters ({ stake, targets: [id] }), candidates vote for themselves with
+// their own stake. Returns the elected ones in election order with their
+// backing and the stake of every voter on them (voter is its index in
+// voters): [{ id, backing, backers: [{ voter, stake }] }].
+function electValidators(candidates, voters, toElect, balancingIterations = 10, tolerance = 0) {
+  const candidateIndex = new Map(candidates.map(({ id }, index) => [id, index]));
+  // voter is -1 for the self votes
+  const votes = [
+    ...candidates.map(({ id, stake }) => ({ stake, targets: [id], voter: -1 })),
+    ...voters.map(({ stake, targets }, voter) => ({ stake, targets, voter })),
+  ]
+    .map(({ stake, targets, voter }) => ({
+      budget: stake,
+      targets: [...new Set(targets)]
+        .filter((target) => candidateIndex.has(target))
+        .map((target) => candidateIndex.get(target)),
+      voter,
+    }))
+    .filter(({ budget, targets }) => budget > 0 && targets.length > 0);
+
+  // sequential Phragmén
+  const approval = new Float64Array(candidates.length);
+  const candidateEdges = candidates.map(() => []);
+  votes.forEach(({ budget, targets }, voter) => targets.forEach((candidate, edge) => {
+    approval[candidate] += budget;
+    candidateEdges[candidate].push([voter, edge]);
+  }));
+  const elected = new Uint8Array(candidates.length);
+  const score = new Float64Array(candidates.length);
+  const voterLoad = new Float64Array(votes.length);
+  const edgeLoads = votes.map(({ targets }) => new Float64Array(targets.length));
+  const winners = [];
+  for (let round = 0; round < Math.min(toElect, candidates.length); round += 1) {
+    for (let candidate = 0; candidate < candidates.length; candidate += 1) {
+      score[candidate] = approval[candidate] > 0 ? 1 / approval[candidate] : Infinity;
+    }
+    votes.forEach(({ budget, targets }, voter) => {
+      if (voterLoad[voter] > 0) {
+        targets.forEach((candidate) => {
+          if (!elected[candidate] && approval[candidate] > 0) {
+            score[candidate] += (budget * voterLoad[voter]) / approval[candidate];
+          }
+        });
+      }
+    });
+    let winner = -1;
+    for (let candidate = 0; candidate < candidates.length; candidate += 1) {
+      if (!elected[candidate] && score[candidate] < Infinity
+        && (winner === -1 || score[candidate] < score[winner])) {
+        winner = candidate;
+      }
+    }
+    if (winner === -1) {
+      break;
+    }
+    elected[winner] = 1;
+    winners.push(winner);
+    candidateEdges[winner].forEach(([voter, edge]) => {
+      edgeLoads[voter][edge] = score[winner] - voterLoad[voter];
+      voterLoad[voter] = score[winner];
+    });
+  }
+
+  // stake of every voter on its elected targets, proportional to the loads
+  const backed = new Float64Array(candidates.length);
+  const assignments = votes.map(({ budget, targets }, voter) => targets
+    .map((candidate, edge) => ({
+      candidate,
+      weight: voterLoad[voter] > 0 ? (budget * edgeLoads[voter][edge]) / voterLoad[voter] : 0,
+    }))
+    .filter(({ candidate }) => elected[candidate]));
+  assignments.forEach((edges) => edges.forEach(({ candidate, weight }) => {
+    backed[candidate] += weight;
+  }));
+
+  for (let iteration = 0; iteration < balancingIterations; iteration += 1) {
+    const maxDifference = votes.reduce((max, { budget }, voter) => Math.max(
+      max,
+      balanceVoter(budget, assignments[voter], backed, tolerance),
+    ), 0);
+    if (maxDifference <= tolerance) {
+      break;
+    }
+  }
+
+  const backers = candidates.map(() => []);
+  votes.forEach(({ voter }, index) => {
+    if (voter !== -1) {
+      assignments[index]
+        .filter(({ weight }) => weight > 0)
+        .forEach(({ candidate, weight }) => backers[candidate].push({ voter, stake: weight }));
+    }
+  });
+  return winners.map((candidate) => ({
+    id: candidates[candidate].id,
+    backing: backed[candidate],
+    backers: backers[candidate],
+  }));
+}
+
+module.exports = {
+  electValidators,
+};
@@ -0,0 +1,575 @@
+// @ts-check
+const crypto = require('crypto');
+const { BigNumber } = require('bignumber.js');
+const { rateValidator } = require('./scoring.js');
+const { getDominanceLayers } = require('./dominance.js');
+const { getClusters } = require('./clusters.js');
+const { getRewardedNominators, getRewardedCutoff } = require('./nominators.js');
+const { getOffenceFacts } = require('./offences.js');
+const { getReliability } = require('./reliability.js');
+const { getReturns } = require('./rewards.js');
+const { getCommissionChanges, getCommissionFacts } = require('./commissions.js');
+const { electValidators } = require('./phragmen.js');
+
+//
+// Pure ranking pipeline, everything here works on a chain snapshot of plain
+// data (no api or database access) so it can be tested offline with recorded
+// snapshots. Snapshot format (balances are strings, eras are numbers):
+//
+// {
+//   network: { name, tokenDecimals, erasPerDay },
+//   blockHeight, currentEra, maxNominatorRewardedPerValidator,
+//   validatorCount: size of the active set of the next election,
+//   eraReward: validators reward of the last era,
+//   eras: [{
+//     era,
+//     totalPoints,
+//     points: { [stash]: points },
+//     commissions: { [stash]: commission in perbill },
+//     slashes: { [stash]: slashed amount },
+//     stakes: { [stash]: total stake },
+//   }],
+//   validators: [{
+//     stashAddress, controllerAddress, active,
+//     identity: identity as returned by api.derive.accounts.info, in JSON,
+//     commission: commission in perbill,
+//     selfStake, totalStake,
+//     bonded: active bonded amount, the self vote in the next election,
+//     nominatorStakes: [{ nominator, stake }] of the current exposure,
+//     claimedRewards: [era],
+//     rewardDestination: account that receives the rewards, or null,
+//     fundedBy: sender of the first transfer to the stash, or null,
+//     stashCreatedAtBlock, parentCreatedAtBlock: creation blocks, 0 for
+//       genesis accounts and null when unknown,
+//   }],
+//   nominations: [{ nominator, bonded, targets: [stash] }],
+//   councilVoters: [address],
+//   governanceParticipants: [address],
+//   thousandValidators: [thousand validators program entry],
+//   fundingGroups: [{ id, validators: [stash] }],
+//   offences: [{ accountId, era, kind, amount, cancelled }] of the history
+//     window, see lib/offences.js,
+//   blockProduction: [{ stash, era, authored, expected }] of the history
+//     window, see lib/reliability.js,
+//   heartbeats: [{ stash, session, online }] of the history window,
+//   payouts: [{ validator, era, nominatorsReward, totalStake, ownStake }]
+//     of the history window, see lib/rewards.js,
+//   commissionChanges: [{ stash, blockNumber, era, commission,
+//     previousCommission, timestamp }] of the history window, commissions in
+//     perbill, see lib/commissions.js,
+// }
+//
+
+function isVerifiedIdentity(identity) {
+  if (!identity.judgements || identity.judgements.length === 0) {
+    return false;
+  }
+  return identity.judgements
+    .filter(([, judgement]) => !('feePaid' in judgement))
+    .some(([, judgement]) => 'knownGood' in judgement || 'reasonable' in judgement);
+}
+
+function getName(identity) {
+  if (
+    identity.displayParent
+    && identity.displayParent !== ''
+    && identity.display
+    && identity.display !== ''
+  ) {
+    return `${identity.displayParent}/${identity.display}`;
+  }
+  return identity.display || '';
+}
+
+function subIdentity(identity) {
+  if (
+    identity.displayParent
+    && identity.displayParent !== ''
+    && identity.display
+    && identity.display !== ''
+  ) {
+    return true;
+  }
+  return false;
+}
+
+function parseIdentity(identity) {
+  const verifiedIdentity = isVerifiedIdentity(identity);
+  const hasSubIdentity = subIdentity(identity);
+  const name = getName(identity);
+  const hasAllFields = Boolean(identity.display
+    && identity.legal
+    && identity.web
+    && identity.email
+    && identity.twitter
+    && identity.riot);
+  return {
+    verifiedIdentity,
+    hasSubIdentity,
+    name,
+    hasAllFields,
+  };
+}
+
+function getCommissionHistory(stashAddress, eras) {
+  return eras.map(({ era, commissions }) => ({
+    era: `${era}`,
+    commission: commissions[stashAddress] !== undefined
+      ? (commissions[stashAddress] / 10000000).toFixed(2)
+      : null,
+  }));
+}
+
+// Compares the first and last known commission of the history window
+function hasCommissionDecreased(commissionHistory) {
+  const known = commissionHistory.filter(({ commission }) => commission !== null);
+  return known.length > 1
+    && parseFloat(known[0].commission) > parseFloat(known[known.length - 1].commission);
+}
+
+// Stash or identity parent address is in the list
+function stashOrParentIn(addresses, validator) {
+  return addresses.includes(validator.stashAddress)
+    || Boolean(validator.identity.parent && addresses.includes(validator.identity.parent));
+}
+
+// Era points, payouts and performance (era points per staked token) of the
+// history window
+function getEraHistory(validator, eras, tokenDecimals) {
+  const { stashAddress } = validator;
+  const commission = validator.commission / 10000000;
+  const eraPointsHistory = [];
+  const payoutHistory = [];
+  let activeEras = 0;
+  let performance = 0;
+  eras.forEach(({ era, points, stakes }) => {
+    let eraPayoutState = 'inactive';
+    if (points[stashAddress] !== undefined) {
+      activeEras += 1;
+      eraPointsHistory.push({ era: `${era}`, points: points[stashAddress] });
+      eraPayoutState = validator.claimedRewards.includes(era) ? 'paid' : 'pending';
+      const eraTotalStake = new BigNumber(stakes[stashAddress]);
+      performance += (points[stashAddress] * (1 - (commission / 100)))
+        / (eraTotalStake.div(new BigNumber(10).pow(tokenDecimals)).toNumber());
+    } else {
+      // validator was not active in that era
+      eraPointsHistory.push({ era: `${era}`, points: 0 });
+    }
+    payoutHistory.push({ era: `${era}`, status: eraPayoutState });
+  });
+  return {
+    eraPointsHistory,
+    payoutHistory,
+    activeEras,
+    performance,
+  };
+}
+
+// Inputs of the next election to simulate nominations with, see
+// simulateNomination in lib/nominators.js: the same bonded amounts and seats
+// the prediction uses, commissions in %
+function getElection(snapshot) {
+  return {
+    tokenDecimals: snapshot.network.tokenDecimals,
+    validatorCount: snapshot.validatorCount
+      || snapshot.validators.filter(({ active }) => active).length,
+    maxNominatorRewardedPerValidator: snapshot.maxNominatorRewardedPerValidator,
+    eraReward: snapshot.eraReward,
+    validators: snapshot.validators.map(({ stashAddress, bonded, commission }) => ({
+      stashAddress,
+      bonded,
+      commission: commission / 10000000,
+    })),
+    nominations: snapshot.nominations.map(({ nominator, bonded, targets }) => ({
+      nominator,
+      bonded,
+      targets,
+    })),
+  };
+}
+
+// Predicted backing by stash of the validators elected in the next era,
+// running the election locally over the current validators and nominations,
+// see lib/phragmen.js
+function getElectionPrediction(snapshot) {
+  const { tokenDecimals } = snapshot.network;
+  const toTokens = (amount) => new BigNumber(amount).shiftedBy(-tokenDecimals).toNumber();
+  const toElect = snapshot.validatorCount
+    || snapshot.validators.filter(({ active }) => active).length;
+  const elected = electValidators(
+    snapshot.validators.map(({ stashAddress, bonded }) => ({
+      id: stashAddress,
+      stake: toTokens(bonded),
+    })),
+    snapshot.nominations.map(({ bonded, targets }) => ({
+      stake: toTokens(bonded),
+      targets,
+    })),
+    toElect,
+  );
+  return new Map(elected.map(({ id, backing }) => [
+    id,
+    new BigNumber(backing).shiftedBy(tokenDecimals).integerValue(),
+  ]));
+}
+
+// Every metric and rating of the snapshot validators, in snapshot order
+function rateValidators(snapshot, scoring) {
+  const { eras, network } = snapshot;
+  const numActiveValidators = snapshot.validators.filter(({ active }) => active).length;
+  const eraPointsHistoryTotalsSum = eras.reduce(
+    (total, { totalPoints }) => total + totalPoints,
+    0,
+  );
+  const eraPointsAverage = eraPointsHistoryTotalsSum / numActiveValidators;
+  const clusters = getClusters(snapshot.validators);
+  const electionPrediction = getElectionPrediction(snapshot);
+
+  return snapshot.validators.map((validator, index) => {
+    const {
+      active,
+      stashAddress,
+      controllerAddress,
+      stashCreatedAtBlock,
+    } = validator;
+
+    // address creation, the oldest known one (null when none is known)
+    let stashParentCreatedAtBlock = 0;
+    let createdAtBlocks = [stashCreatedAtBlock];
+    if (validator.identity.parent) {
+      stashParentCreatedAtBlock = validator.parentCreatedAtBlock;
+      createdAtBlocks = [stashCreatedAtBlock, stashParentCreatedAtBlock];
+    }
+    createdAtBlocks = createdAtBlocks.filter((block) => block !== null);
+    const addressCreationBlock = createdAtBlocks.length > 0 ? Math.min(...createdAtBlocks) : null;
+
+    // thousand validators program
+    const thousandValidator = snapshot.thousandValidators.find(
+      ({ stash }) => stash === stashAddress,
+    );
+    const includedThousandValidators = thousandValidator !== undefined;
+
+    // identity
+    const {
+      verifiedIdentity,
+      hasSubIdentity,
+      name,
+      hasAllFields,
+    } = parseIdentity(validator.identity);
+    const { identity } = validator;
+
+    // sub-accounts
+    const {
+      clusterName,
+      clusterMembers,
+      clusterConfidence,
+      clusterLinks,
+    } = clusters[index];
+    const partOfCluster = clusterMembers > 1;
+    // funded from a common source, see lib/fundingGraph.js
+    const suspectedClusters = snapshot.fundingGroups
+      .filter(({ validators }) => validators.includes(stashAddress))
+      .map(({ id }) => id);
+
+    // nominators
+    const nominators = active
+      ? validator.nominatorStakes.length
+      : snapshot.nominations.filter(
+        ({ targets }) => targets.includes(stashAddress),
+      ).length;
+    // some nominators are not rewarded
+    const oversubscribed = nominators > snapshot.maxNominatorRewardedPerValidator;
+    const { rewardedStakeCutoff, rewardedSlotsLeft } = getRewardedCutoff(
+      validator,
+      nominators,
+      snapshot.maxNominatorRewardedPerValidator,
+    );
+
+    // slashes
+    const slashes = eras
+      .filter((era) => era.slashes[stashAddress] !== undefined)
+      .map((era) => ({ era: `${era.era}`, amount: era.slashes[stashAddress] }));
+    const slashed = slashes.length > 0;
+    const offenceFacts = getOffenceFacts(
+      snapshot.offences.filter(({ accountId }) => accountId === stashAddress),
+      snapshot.currentEra,
+    );
+
+    // block production and heartbeats
+    const {
+      blockProductionHistory,
+      blockProductionPercent,
+      heartbeatHistory,
+      heartbeatPercent,
+    } = getReliability(stashAddress, snapshot.blockProduction, snapshot.heartbeats);
+
+    // commission
+    const commission = validator.commission / 10000000;
+    const commissionHistory = getCommissionHistory(stashAddress, eras);
+    const commissionChanges = getCommissionChanges(stashAddress, snapshot.commissionChanges);
+
+    // governance
+    const councilBacking = stashOrParentIn(snapshot.councilVoters, validator);
+    const activeInGovernance = stashOrParentIn(snapshot.governanceParticipants, validator);
+
+    // era points and frecuency of payouts
+    const {
+      eraPointsHistory,
+      payoutHistory,
+      activeEras,
+      performance,
+    } = getEraHistory(validator, eras, network.tokenDecimals);
+    const eraPointsHistoryValidator = eraPointsHistory.reduce(
+      (total, era) => total + era.points,
+      0,
+    );
+    const eraPointsPercent = (eraPointsHistoryValidator * 100) / eraPointsHistoryTotalsSum;
+
+    // realized return of the nominators
+    const { returnHistory, annualizedReturn } = getReturns(
+      stashAddress,
+      snapshot.payouts,
+      network.erasPerDay,
+    );
+
+    // stake
+    const selfStake = new BigNumber(validator.selfStake);
+    const totalStake = new BigNumber(validator.totalStake);
+    const otherStake = totalStake.minus(selfStake);
+
+    // next election
+    const likelyElected = electionPrediction.has(stashAddress);
+    const predictedStake = likelyElected
+      ? electionPrediction.get(stashAddress)
+      : new BigNumber(0);
+
+    // ratings
+    const ratings = rateValidator(scoring, {
+      active,
+      blockHeight: snapshot.blockHeight,
+      addressCreationBlock,
+      hasIdentity: name !== '',
+      verifiedIdentity,
+      hasAllIdentityFields: hasAllFields,
+      hasSubIdentity,
+      slashed,
+      ...offenceFacts,
+      nominators,
+      maxNominatorRewardedPerValidator: snapshot.maxNominatorRewardedPerValidator,
+      commission,
+      commissionDecreased: hasCommissionDecreased(commissionHistory),
+      ...getCommissionFacts(commissionChanges),
+      eraPoints: eraPointsHistoryValidator,
+      eraPointsAverage,
+      pendingPayoutEras: payoutHistory.filter(({ status }) => status === 'pending').length,
+      erasPerDay: network.erasPerDay,
+      councilBacking,
+      activeInGovernance,
+      blockProductionPercent,
+      heartbeatPercent,
+    });
+    const totalRating = Object.values(ratings).reduce((total, rating) => total + rating, 0);
+
+    return {
+      ...ratings,
+      active,
+      name,
+      identity,
+      hasSubIdentity,
+      verifiedIdentity,
+      stashAddress,
+      stashCreatedAtBlock,
+      stashParentCreatedAtBlock,
+      controllerAddress,
+      includedThousandValidators,
+      thousandValidator: includedThousandValidators ? thousandValidator : '',
+      partOfCluster,
+      clusterName,
+      clusterMembers,
+      clusterConfidence,
+      clusterLinks,
+      suspectedClusters,
+      showClusterMember: true,
+      nominators,
+      oversubscribed,
+      rewardedStakeCutoff,
+      rewardedSlotsLeft,
+      commission,
+      commissionHistory,
+      commissionChanges,
+      activeEras,
+      eraPointsHistory,
+      eraPointsPercent,
+      performance,
+      slashed,
+      slashes,
+      councilBacking,
+      activeInGovernance,
+      payoutHistory,
+      blockProductionHistory,
+      blockProductionPercent,
+      heartbeatHistory,
+      heartbeatPercent,
+      returnHistory,
+      annualizedReturn,
+      selfStake,
+      otherStake,
+      totalStake,
+      likelyElected,
+      predictedStake,
+      totalRating,
+    };
+  });
+}
+
+// Sort by VRC score and add the rank and performance relative to the best
+// and worst validators
+function rankValidators(validators) {
+  const performances = validators.map(({ performance }) => performance);
+  const maxPerformance = Math.max(0, ...performances);
+  const minPerformance = Math.min(0, ...performances);
+  return [...validators]
+    .sort((a, b) => (a.totalRating < b.totalRating ? 1 : -1))
+    .map((validator, rank) => ({
+      rank: rank + 1,
+      relativePerformance: ((validator.performance - minPerformance)
+        / (maxPerformance - minPerformance)).toFixed(6),
+      ...validator,
+      dominanceLayer: 1,
+      dominated: false,
+    }));
+}
+
+// Pareto layer of every validator (1 = not dominated) with the default
+// dominance metrics, see dominance.js
+function findDominated(ranking) {
+  const layers = getDominanceLayers(ranking);
+  return ranking.map((validator, index) => ({
+    ...validator,
+    dominanceLayer: layers[index],
+    dominated: layers[index] > 1,
+  }));
+}
+
+// Number of members of a cluster shown in the ranking, based on its size
+function getClusterShowCount(clusterSize) {
+  if (clusterSize > 50) {
+    // EXTRALARGE: 51-150 - Show 20% val. (up to 30)
+    return Math.floor(clusterSize * 0.2);
+  }
+  if (clusterSize > 20) {
+    // LARGE: 21-50 - Show 40% val. (up to 20)
+    return Math.floor(clusterSize * 0.4);
+  }
+  if (clusterSize > 10) {
+    // MEDIUM: 11-20 - Show 60% val. (up to 12)
+    return Math.floor(clusterSize * 0.6);
+  }
+  if (clusterSize > 2) {
+    // SMALL: 3-10 - Show 80% val. (up to 8)
+    return Math.floor(clusterSize * 0.8);
+  }
+  // EXTRASMALL: 2 - Show all (2)
+  return 2;
+}
+
+// Rotation order of the members of a cluster: stashes sorted by
+// sha256(`${clusterName}:${stash}`), so it doesn't favour any address and
+// anyone can recompute it
+function getClusterRotationOrder(clusterName, stashes) {
+  const hash = (stash) => crypto.createHash('sha256').update(`${clusterName}:${stash}`).digest('hex');
+  return stashes
+    .map((stash) => ({ stash, hash: hash(stash) }))
+    .sort((a, b) => (a.hash < b.hash ? -1 : 1))
+    .map(({ stash }) => stash);
+}
+
+// Hide members of every cluster (showClusterMember false), the same ones for
+// the whole era. Members are hidden in rotation order starting at
+// era * hidden (mod members), so the hidden window moves on every era and
+// each member is hidden the same number of eras over a full rotation. The
+// rotation of every member is kept in clusterRotation to audit the choice.
+function hideClusterMembers(ranking, era) {
+  const clusters = [...new Set(
+    ranking.map(({ clusterName }) => clusterName).filter((clusterName) => clusterName),
+  )];
+  const rotations = {};
+  clusters.forEach((cluster) => {
+    const clusterMembers = ranking.filter(({ clusterName }) => clusterName === cluster);
+    const clusterSize = clusterMembers[0].clusterMembers;
+    const order = getClusterRotationOrder(
+      cluster,
+      clusterMembers.map(({ stashAddress }) => stashAddress),
+    );
+    const hidden = Math.min(
+      Math.max(clusterSize - getClusterShowCount(clusterSize), 0),
+      order.length,
+    );
+    const offset = (era * hidden) % order.length;
+    order.forEach((stash, position) => {
+      rotations[stash] = {
+        era,
+        position,
+        members: order.length,
+        offset,
+        hidden,
+        show: (position - offset + order.length) % order.length >= hidden,
+      };
+    });
+  });
+  return ranking.map((validator) => {
+    const rotation = rotations[validator.stashAddress];
+    if (!rotation) {
+      return { ...validator, clusterRotation: null };
+    }
+    const { show, ...clusterRotation } = rotation;
+    return {
+      ...validator,
+      showClusterMember: show,
+      clusterRotation,
+    };
+  });
+}
+
+// Dashboard totals of the snapshot
+function getTotals(snapshot) {
+  const activeValidators = snapshot.validators.filter(({ active }) => active);
+  // lowest stake that is still rewarded by any active validator
+  const rewardedStakes = activeValidators
+    .reduce((stakes, validator) => {
+      const rewarded = new Set(
+        getRewardedNominators(validator, snapshot.maxNominatorRewardedPerValidator),
+      );
+      return stakes.concat(validator.nominatorStakes
+        .filter(({ nominator }) => rewarded.has(nominator))
+        .map(({ stake }) => new BigNumber(stake)));
+    }, [])
+    .sort((a, b) => a.comparedTo(b));
+  return {
+    activeValidatorCount: activeValidators.length,
+    waitingValidatorCount: snapshot.validators.length - activeValidators.length,
+    nominatorCount: snapshot.nominations.length,
+    currentEra: `${snapshot.currentEra}`,
+    minimumStake: rewardedStakes.length > 0 ? rewardedStakes[0].toString(10) : '0',
+  };
+}
+
+module.exports = {
+  parseIdentity,
+  getCommissionHistory,
+  hasCommissionDecreased,
+  getElection,
+  getElectionPrediction,
+  getClusterShowCount,
+  getClusterRotationOrder,
+  rateValidators,
+  rankValidators,
+  findDominated,
+  hideClusterMembers,
+  getTotals,
+  // Full pipeline: ratings, rank, dominance and cluster members visibility
+  getRanking: (snapshot, scoring) => hideClusterMembers(
+    findDominated(rankValidators(rateValidators(snapshot, scoring))),
+    snapshot.currentEra,
+  ),
+};
@@ -0,0 +1,74 @@
+// @ts-check
+//
+// Block production and imOnline heartbeats of validators. Blocks are slots
+// won by the validator VRF, every active validator has the same chance so
+// it's expected to author an equal share of the blocks of the era.
+//
+
+// Era of every stored era end (staking.EraPaid / EraPayout event rows, era
+// is the first data element): [{ era, firstBlock, lastBlock }] for the eras
+// whose start and end are both known. The end of an era is paid in the first
+// block of the next one.
+function getEraRanges(eraEndEvents) {
+  const ends = eraEndEvents
+    .map((event) => ({
+      era: parseInt(JSON.parse(event.data)[0], 10),
+      blockNumber: parseInt(event.block_number, 10),
+    }))
+    .sort((a, b) => a.era - b.era);
+  const ranges = [];
+  ends.forEach((end, index) => {
+    const previous = ends[index - 1];
+    if (previous && previous.era === end.era - 1) {
+      ranges.push({
+        era: end.era,
+        firstBlock: previous.blockNumber,
+        lastBlock: end.blockNumber - 1,
+      });
+    }
+  });
+  return ranges;
+}
+
+// Authored and expected blocks of every active validator of an era from the
+// number of blocks by author: [{ stash, authored, expected }]
+function getBlockProduction(blocksByAuthor, validators) {
+  const total = Object.values(blocksByAuthor).reduce((sum, blocks) => sum + blocks, 0);
+  const expected = validators.length > 0 ? total / validators.length : 0;
+  return validators.map((stash) => ({
+    stash,
+    authored: blocksByAuthor[stash] || 0,
+    expected,
+  }));
+}
+
+// Block production and heartbeat history of a validator and the percentages
+// the ratings use, the share of the expected blocks it authored and of the
+// sessions it was online. Both are 0 when it wasn't active.
+function getReliability(stashAddress, blockProduction, heartbeats) {
+  const blockProductionHistory = blockProduction
+    .filter(({ stash }) => stash === stashAddress)
+    .sort((a, b) => a.era - b.era)
+    .map(({ era, authored, expected }) => ({ era, authored, expected }));
+  const heartbeatHistory = heartbeats
+    .filter(({ stash }) => stash === stashAddress)
+    .sort((a, b) => a.session - b.session)
+    .map(({ session, online }) => ({ session, online }));
+  const authored = blockProductionHistory.reduce((sum, era) => sum + era.authored, 0);
+  const expected = blockProductionHistory.reduce((sum, era) => sum + era.expected, 0);
+  const online = heartbeatHistory.filter((session) => session.online).length;
+  return {
+    blockProductionHistory,
+    blockProductionPercent: expected > 0 ? (authored * 100) / expected : 0,
+    heartbeatHistory,
+    heartbeatPercent: heartbeatHistory.length > 0
+      ? (online * 100) / heartbeatHistory.length
+      : 0,
+  };
+}
+
+module.exports = {
+  getEraRanges,
+  getBlockProduction,
+  getReliability,
+};
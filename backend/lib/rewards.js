@@ -0,0 +1,86 @@
+// @ts-check
+//
+// Rewards actually paid to validators and their nominators, from the
+// harvested staking events. A payout starts with staking.PayoutStarted(era,
+// validator) and is followed, in the same extrinsic, by a staking.Rewarded
+// (staking.Reward in older runtimes) event for the validator and one for
+// every rewarded nominator. Rewards paid before PayoutStarted existed can't
+// be told apart and are not indexed.
+//
+const { BigNumber } = require('bignumber.js');
+
+const rewardMethods = ['Reward', 'Rewarded'];
+
+// Payouts of a block from its staking event rows ({ block_number,
+// event_index, method, phase, data }, sorted by event_index): [{
+// block_number, event_index, era, validator, validator_reward,
+// nominators_reward, nominators }], event_index is the one of PayoutStarted
+function getPayoutRows(events) {
+  const payouts = [];
+  let payout = null;
+  events.forEach((event) => {
+    const data = JSON.parse(event.data);
+    if (event.method === 'PayoutStarted') {
+      payout = {
+        block_number: event.block_number,
+        event_index: event.event_index,
+        phase: event.phase,
+        era: parseInt(data[0], 10),
+        validator: data[1],
+        validator_reward: '0',
+        nominators_reward: '0',
+        nominators: 0,
+      };
+      payouts.push(payout);
+    } else if (payout && rewardMethods.includes(event.method) && event.phase === payout.phase) {
+      // the amount is the last field, newer runtimes add the destination
+      const amount = new BigNumber(data[data.length - 1]);
+      if (data[0] === payout.validator) {
+        payout.validator_reward = amount.plus(payout.validator_reward).toString(10);
+      } else {
+        payout.nominators_reward = amount.plus(payout.nominators_reward).toString(10);
+        payout.nominators += 1;
+      }
+    }
+  });
+  // eslint-disable-next-line no-unused-vars
+  return payouts.map(({ phase, ...row }) => row);
+}
+
+// Return the nominators of a payout got on their stake in the era, as a
+// ratio, null when the validator had no nominators
+function getEraReturn({ nominatorsReward, totalStake, ownStake }) {
+  const nominatorsStake = new BigNumber(totalStake).minus(ownStake);
+  if (nominatorsStake.lte(0)) {
+    return null;
+  }
+  return new BigNumber(nominatorsReward).div(nominatorsStake).toNumber();
+}
+
+// Realized return of the nominators of a validator in the history window:
+// the return of every paid era (in %) and the annualized return (APY, in %)
+// of their average, compounded every era. Unclaimed eras are not counted,
+// the payouts rating already penalizes them. Payouts are { validator, era,
+// nominatorsReward, totalStake, ownStake }.
+function getReturns(stashAddress, payouts, erasPerDay) {
+  const returnHistory = payouts
+    .filter(({ validator }) => validator === stashAddress)
+    .sort((a, b) => a.era - b.era)
+    .map((payout) => ({ era: `${payout.era}`, rate: getEraReturn(payout) }))
+    .filter(({ rate }) => rate !== null);
+  if (returnHistory.length === 0) {
+    return { returnHistory, annualizedReturn: 0 };
+  }
+  const average = returnHistory.reduce((total, { rate }) => total + rate, 0)
+    / returnHistory.length;
+  return {
+    returnHistory: returnHistory.map(({ era, rate }) => ({ era, percent: rate * 100 })),
+    annualizedReturn: ((1 + average) ** (erasPerDay * 365) - 1) * 100,
+  };
+}
+
+module.exports = {
+  getPayoutRows,
+  getEraReturn,
+  getReturns,
+};
@@ -0,0 +1,202 @@
+// @ts-check
+const fs = require('fs');
+
+// Facts computed by the ranking crawler for every validator, the only
+// names scoring conditions can refer to
+const facts = {
+  active: 'Validator is in the active set',
+  blockHeight: 'Current block height',
+  addressCreationBlock: 'Creation block of the oldest of the stash and its identity parent addresses',
+  hasIdentity: 'Validator has an identity (display name) set',
+  verifiedIdentity: 'Identity is verified by a registrar (known good or reasonable judgement)',
+  hasAllIdentityFields: 'Identity provides display, legal, web, email, twitter and riot fields',
+  hasSubIdentity: 'Validator uses a sub-identity',
+  slashed: 'Validator was slashed in the history window',
+  offenceSeverity: 'Highest severity of the offences in the history window: 0 none, 1 offline, 2 slashed, 3 equivocation',
+  erasSinceOffence: 'Eras since the last offence in the history window (Infinity if none)',
+  erasSinceSevereOffence: 'Eras since the last slash or equivocation in the history window (Infinity if none)',
+  nominators: 'Number of nominators',
+  maxNominatorRewardedPerValidator: 'Maximum number of nominators rewarded per validator',
+  commission: 'Current commission (%)',
+  commissionDecreased: 'Commission decreased over the history window',
+  commissionHike: 'Largest commission increase in a single change in the history window (points)',
+  commissionChangeCount: 'Commission changes in the history window',
+  commissionHikeReverted: 'Commission was increased and brought back down in the same or the next era',
+  eraPoints: 'Era points earned in the history window',
+  eraPointsAverage: 'Average era points earned by active validators in the history window',
+  pendingPayoutEras: 'Eras with unclaimed rewards in the history window',
+  blockProductionPercent: 'Blocks authored in the history window, as a percentage of the expected ones (an equal share of the blocks of every era it was active)',
+  heartbeatPercent: 'Sessions of the history window the validator was online in (sent an imOnline heartbeat or authored a block), as a percentage of the sessions it was active',
+  erasPerDay: 'Eras per day of the network',
+  councilBacking: 'Stash or identity parent is backing a council member',
+  activeInGovernance: 'Stash or identity parent is proposing or voting in a proposal or referendum',
+};
+
+// Metric id => ranking field
+const metricFields = {
+  elected: 'activeRating',
+  identity: 'identityRating',
+  address: 'addressCreationRating',
+  slashes: 'slashRating',
+  subaccounts: 'subAccountsRating',
+  nominators: 'nominatorsRating',
+  erapoints: 'eraPointsRating',
+  commission: 'commissionRating',
+  payouts: 'payoutRating',
+  governance: 'governanceRating',
+  blocks: 'blockProductionRating',
+  heartbeats: 'heartbeatRating',
+};
+
+const operators = {
+  eq: { symbol: '=', test: (a, b) => a === b },
+  gt: { symbol: '>', test: (a, b) => a > b },
+  gte: { symbol: '≥', test: (a, b) => a >= b },
+  lt: { symbol: '<', test: (a, b) => a < b },
+  lte: { symbol: '≤', test: (a, b) => a <= b },
+};
+
+const maxRating = 3;
+
+const getOperator = (condition) => Object.keys(operators).find((name) => name in condition);
+
+function validateCondition(condition, where) {
+  if (typeof condition !== 'object' || condition === null) {
+    throw new Error(`${where}: condition must be an object`);
+  }
+  if (condition.all || condition.any) {
+    const conditions = condition.all || condition.any;
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      throw new Error(`${where}: all / any must be a non empty list of conditions`);
+    }
+    conditions.forEach((child, index) => validateCondition(child, `${where}[${index}]`));
+    return;
+  }
+  if (!facts[condition.fact]) {
+    throw new Error(`${where}: unknown fact ${condition.fact}`);
+  }
+  const operator = getOperator(condition);
+  if (!operator) {
+    throw new Error(`${where}: expected one of ${Object.keys(operators).join(', ')}`);
+  }
+  const value = condition[operator];
+  if (typeof value === 'object' && value !== null) {
+    if (!facts[value.fact]) {
+      throw new Error(`${where}: unknown fact ${value.fact}`);
+    }
+    if (value.times !== undefined && typeof value.times !== 'number') {
+      throw new Error(`${where}: times must be a number`);
+    }
+  } else if (typeof value !== 'number' && typeof value !== 'boolean') {
+    throw new Error(`${where}: ${operator} must be a number, a boolean or a fact`);
+  }
+}
+
+function validateRating(rating, where) {
+  if (!Number.isInteger(rating) || rating < 0 || rating > maxRating) {
+    throw new Error(`${where}: rating must be an integer between 0 and ${maxRating}`);
+  }
+}
+
+function validate(definition) {
+  if (!definition || !Array.isArray(definition.metrics)) {
+    throw new Error('Scoring definition must have a metrics list');
+  }
+  definition.metrics.forEach((metric) => {
+    if (!metricFields[metric.id]) {
+      throw new Error(`Unknown metric ${metric.id}, expected one of ${Object.keys(metricFields).join(', ')}`);
+    }
+    if (!Array.isArray(metric.rules) || !metric.default) {
+      throw new Error(`Metric ${metric.id}: rules and default are required`);
+    }
+    metric.rules.forEach((rule, index) => {
+      validateRating(rule.rating, `Metric ${metric.id} rule ${index}`);
+      validateCondition(rule.when, `Metric ${metric.id} rule ${index}`);
+    });
+    validateRating(metric.default.rating, `Metric ${metric.id} default`);
+  });
+  const missing = Object.keys(metricFields)
+    .filter((id) => !definition.metrics.some((metric) => metric.id === id));
+  if (missing.length > 0) {
+    throw new Error(`Scoring definition is missing metrics ${missing.join(', ')}`);
+  }
+  return definition;
+}
+
+function getValue(value, validatorFacts) {
+  if (typeof value === 'object') {
+    const fact = validatorFacts[value.fact];
+    if (fact === null || fact === undefined) {
+      return null;
+    }
+    return fact * (value.times === undefined ? 1 : value.times);
+  }
+  return value;
+}
+
+function evaluate(condition, validatorFacts) {
+  if (condition.all) {
+    return condition.all.every((child) => evaluate(child, validatorFacts));
+  }
+  if (condition.any) {
+    return condition.any.some((child) => evaluate(child, validatorFacts));
+  }
+  const operator = getOperator(condition);
+  // unknown facts never match
+  const fact = validatorFacts[condition.fact];
+  const value = getValue(condition[operator], validatorFacts);
+  if (fact === null || fact === undefined || value === null) {
+    return false;
+  }
+  return operators[operator].test(fact, value);
+}
+
+// Human readable condition, e.g. "commission > 10 and commission < 100"
+function describe(condition) {
+  if (condition.all || condition.any) {
+    const children = (condition.all || condition.any).map((child) => {
+      const text = describe(child);
+      return child.all || child.any ? `(${text})` : text;
+    });
+    return children.join(condition.all ? ' and ' : ' or ');
+  }
+  const operator = getOperator(condition);
+  const value = condition[operator];
+  if (operator === 'eq' && typeof value === 'boolean') {
+    return value ? condition.fact : `not ${condition.fact}`;
+  }
+  const valueText = typeof value === 'object'
+    ? `${value.times !== undefined && value.times !== 1 ? `${value.times} × ` : ''}${value.fact}`
+    : `${value}`;
+  return `${condition.fact} ${operators[operator].symbol} ${valueText}`;
+}
+
+module.exports = {
+  facts,
+  metricFields,
+  validate,
+  evaluate,
+  describe,
+  // Read and validate a scoring definition file
+  loadScoring: (file) => validate(JSON.parse(fs.readFileSync(file, 'utf8'))),
+  // Ratings of every metric, keyed by ranking field. The first matching
+  // rule of a metric sets its rating, the default one applies otherwise.
+  rateValidator: (definition, validatorFacts) => {
+    const ratings = {};
+    definition.metrics.forEach((metric) => {
+      const rule = metric.rules.find(({ when }) => evaluate(when, validatorFacts));
+      ratings[metricFields[metric.id]] = rule ? rule.rating : metric.default.rating;
+    });
+    return ratings;
+  },
+  // Definition as published with the ranking, with readable conditions and
+  // the meaning of every fact
+  publish: (definition) => ({
+    metrics: definition.metrics.map((metric) => ({
+      ...metric,
+      field: metricFields[metric.id],
+      rules: metric.rules.map((rule) => ({ ...rule, condition: describe(rule.when) })),
+    })),
+    facts,
+  }),
+};
@@ -1,65 +1,112 @@
 // @ts-check
-const pino = require('pino');
-
-const logger = pino();
-
 module.exports = {
   formatNumber: (number) => (number.toString()).replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1,'),
   shortHash: (hash) => `${hash.substr(0, 6)}…${hash.substr(hash.length - 5, 4)}`,
   wait: async (ms) => new Promise((resolve) => {
     setTimeout(resolve, ms);
   }),
-  storeExtrinsics: async (pool, blockNumber, extrinsics, blockEvents, timestamp, loggerOptions) => {
-    const startTime = new Date().getTime();
-    extrinsics.forEach(async (extrinsic, index) => {
-      const { isSigned } = extrinsic;
-      const signer = isSigned ? extrinsic.signer.toString() : '';
-      const { section } = extrinsic.toHuman().method;
-      const { method } = extrinsic.toHuman().method;
-      const args = JSON.stringify(extrinsic.args);
-      const hash = extrinsic.hash.toHex();
-      const doc = extrinsic.meta.documentation.toString().replace(/'/g, "''");
-      const success = module.exports.getExtrinsicSuccess(index, blockEvents);
-      const sql = `INSERT INTO extrinsic (
-          block_number,
-          extrinsic_index,
-          is_signed,
-          signer,
-          section,
-          method,
-          args,
-          hash,
-          doc,
-          success,
-          timestamp
-        ) VALUES (
-          '${blockNumber}',
-          '${index}',
-          '${isSigned}',
-          '${signer}',
-          '${section}',
-          '${method}',
-          '${args}',
-          '${hash}',
-          '${doc}',
-          '${success}',
-          '${timestamp}'
-        )
-        ON CONFLICT ON CONSTRAINT extrinsic_pkey 
-        DO NOTHING;
-        ;`;
-      try {
-        await pool.query(sql);
-        logger.info(loggerOptions, `Added extrinsic ${blockNumber}-${index} (${module.exports.shortHash(hash)}) ${section} ➡ ${method}`);
-      } catch (error) {
-        logger.error(loggerOptions, `Error adding extrinsic ${blockNumber}-${index}: ${JSON.stringify(error)}`);
-      }
-    });
-
-    // Log execution time
-    const endTime = new Date().getTime();
-    logger.info(loggerOptions, `Added ${extrinsics.length} extrinsics in ${((endTime - startTime) / 1000).toFixed(3)}s`);
+  // Run worker over items with at most `concurrency` calls in flight
+  runPool: async (items, concurrency, worker) => {
+    let next = 0;
+    const runners = Array.from(
+      { length: Math.min(concurrency, items.length) },
+      async () => {
+        while (next < items.length) {
+          const item = items[next];
+          next += 1;
+          // eslint-disable-next-line no-await-in-loop
+          await worker(item);
+        }
+      },
+    );
+    await Promise.all(runners);
   },
+  formatDuration: (ms) => {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) {
+      return `${minutes}m`;
+    }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+      return `${hours}h ${minutes % 60}m`;
+    }
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  },
+  // Fetch a block by hash and return its block, extrinsic and event rows
+  getBlockData: async (api, blockHash, finalized) => {
+    const [
+      { block },
+      blockEvents,
+      blockHeader,
+      timestampMs,
+    ] = await Promise.all([
+      api.rpc.chain.getBlock(blockHash),
+      api.query.system.events.at(blockHash),
+      api.derive.chain.getHeader(blockHash),
+      api.query.timestamp.now.at(blockHash),
+    ]);
+    const blockNumber = blockHeader.number.toNumber();
+    const blockAuthor = blockHeader.author ? blockHeader.author.toString() : '';
+    const blockAuthorName = blockAuthor
+      ? module.exports.getDisplayName(
+        (await api.derive.accounts.info(blockAuthor)).identity,
+      )
+      : '';
+    const timestamp = Math.floor(parseInt(timestampMs.toString(), 10) / 1000);
+    const { parentHash, extrinsicsRoot, stateRoot } = blockHeader;
+    return {
+      block: {
+        block_number: blockNumber,
+        finalized,
+        block_author: blockAuthor,
+        block_author_name: blockAuthorName,
+        block_hash: blockHash.toString(),
+        parent_hash: parentHash.toString(),
+        extrinsics_root: extrinsicsRoot.toString(),
+        state_root: stateRoot.toString(),
+        total_events: blockEvents.length,
+        total_extrinsics: block.extrinsics.length,
+        timestamp,
+      },
+      extrinsics: module.exports.getExtrinsicRows(
+        blockNumber,
+        block.extrinsics,
+        blockEvents,
+        timestamp,
+      ),
+      events: module.exports.getEventRows(blockNumber, blockEvents, timestamp),
+    };
+  },
+  getExtrinsicRows: (blockNumber, extrinsics, blockEvents, timestamp) => extrinsics.map(
+    (extrinsic, index) => {
+      const { isSigned } = extrinsic;
+      const { section, method } = extrinsic.toHuman().method;
+      return {
+        block_number: blockNumber,
+        extrinsic_index: index,
+        is_signed: isSigned,
+        signer: isSigned ? extrinsic.signer.toString() : '',
+        section,
+        method,
+        args: JSON.stringify(extrinsic.args),
+        hash: extrinsic.hash.toHex(),
+        doc: extrinsic.meta.documentation.toString(),
+        success: module.exports.getExtrinsicSuccess(index, blockEvents),
+        timestamp,
+      };
+    },
+  ),
+  getEventRows: (blockNumber, blockEvents, timestamp) => blockEvents.map(
+    ({ event, phase }, index) => ({
+      block_number: blockNumber,
+      event_index: index,
+      section: event.section,
+      method: event.method,
+      phase: phase.toString(),
+      data: JSON.stringify(event.data),
+      timestamp,
+    }),
+  ),
   getExtrinsicSuccess: (index, blockEvents) => {
     // assume success if no events were extracted
     if (blockEvents.length === 0) {
@@ -89,17 +136,4 @@ module.exports = {
     }
     return identity.display || '';
   },
-  updateTotals: async (pool, loggerOptions) => {
-    const sql = `
-        UPDATE total SET count = (SELECT count(*) FROM block) WHERE name = 'blocks';
-        UPDATE total SET count = (SELECT count(*) FROM extrinsic) WHERE name = 'extrinsics';
-        UPDATE total SET count = (SELECT count(*) FROM extrinsic WHERE section = 'balances' and method = 'transfer' ) WHERE name = 'transfers';
-        UPDATE total SET count = (SELECT count(*) FROM event) WHERE name = 'events';
-      `;
-    try {
-      await pool.query(sql);
-    } catch (error) {
-      logger.error(loggerOptions, `Error updating total harvested blocks, extrinsics and events: ${error}`);
-    }
-  }
 };
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const { ApiPromise, WsProvider } = require('@polkadot/api');
+const { Pool } = require('pg');
+const config = require('./backend.config.js');
+const ranking = require('./lib/crawlers/ranking.js');
+
+// Record the chain data used by the ranking, to be used as a test fixture:
+// node snapshot.js test/fixtures/<name>.json
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    throw new Error('Usage: node snapshot.js <output file>');
+  }
+  const { config: rankingConfig } = config.crawlers.find(
+    (crawler) => crawler.module.name === 'ranking',
+  );
+  const api = await ApiPromise.create({ provider: new WsProvider(config.wsProviderUrl) });
+  const pool = new Pool(config.postgresConnParams);
+  const snapshot = await ranking.fetchSnapshot(api, pool, rankingConfig, config.network);
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+  console.log(`Recorded ${snapshot.validators.length} validators at block ${snapshot.blockHeight} in ${file}`);
+  await pool.end();
+  await api.disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(-1);
+});
@@ -0,0 +1,60 @@
+const { getAccountRows, getCreationBlock } = require('../lib/accounts.js');
+
+const event = (eventIndex, section, method, data) => ({
+  block_number: 100,
+  event_index: eventIndex,
+  section,
+  method,
+  data: JSON.stringify(data),
+  timestamp: 1600000000000,
+});
+
+describe('accounts', () => {
+  test('records creation, reaping and first funding of a block', () => {
+    const { accounts, history } = getAccountRows([
+      event(0, 'system', 'NewAccount', ['A']),
+      event(1, 'balances', 'Endowed', ['A', 1000]),
+      event(2, 'balances', 'Transfer', ['F', 'A', '0x00000000000000000de0b6b3a7640000']),
+      event(3, 'balances', 'Transfer', ['G', 'A', 5]),
+      event(4, 'system', 'KilledAccount', ['B']),
+    ]);
+    expect(accounts).toEqual([
+      {
+        account_id: 'A',
+        created_at_block: 100,
+        funded_by: 'F',
+        funded_at_block: 100,
+        funding_amount: '1000000000000000000',
+        timestamp: 1600000000000,
+      },
+      {
+        account_id: 'B',
+        created_at_block: null,
+        funded_by: null,
+        funded_at_block: null,
+        funding_amount: null,
+        timestamp: 1600000000000,
+      },
+    ]);
+    expect(history).toEqual([
+      {
+        block_number: 100, event_index: 0, account_id: 'A', event: 'created',
+      },
+      {
+        block_number: 100, event_index: 4, account_id: 'B', event: 'reaped',
+      },
+    ]);
+  });
+
+  test('ignores other events', () => {
+    expect(getAccountRows([event(0, 'staking', 'Reward', ['A', 10])]))
+      .toEqual({ accounts: [], history: [] });
+  });
+
+  test('falls back to the funding block, unknown creation is null', () => {
+    expect(getCreationBlock({ created_at_block: '100', funded_at_block: '200' })).toBe(100);
+    expect(getCreationBlock({ created_at_block: null, funded_at_block: '200' })).toBe(200);
+    expect(getCreationBlock({ created_at_block: null, funded_at_block: null })).toBe(null);
+    expect(getCreationBlock({ created_at_block: '0', funded_at_block: null })).toBe(0);
+  });
+});
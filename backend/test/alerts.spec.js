@@ -0,0 +1,85 @@
+const {
+  getWatchedValidators,
+  getValidatorAlerts,
+  getNominatorAlerts,
+} = require('../lib/alerts.js');
+
+const validator = (stashAddress, fields) => ({
+  stashAddress,
+  name: '',
+  active: true,
+  commission: 5,
+  slashes: [],
+  payoutHistory: [],
+  ...fields,
+});
+
+const pending = (eras) => Array.from({ length: eras }, (_, era) => ({ era: `${era}`, status: 'pending' }));
+
+describe('alerts', () => {
+  test('watches the targets of the watched nominators', () => {
+    expect(getWatchedValidators({ validators: ['A'], nominators: ['N1'] }, [
+      { nominator: 'N1', target: 'B' },
+      { nominator: 'N1', target: 'A' },
+      { nominator: 'N2', target: 'C' },
+    ])).toEqual(['A', 'B']);
+  });
+
+  test('compares the watched validators of two snapshots', () => {
+    const previous = {
+      blockHeight: 100,
+      era: 3,
+      validators: [
+        validator('A', { name: 'ACME' }),
+        validator('B'),
+        validator('C', { payoutHistory: pending(3) }),
+        validator('D'),
+      ],
+    };
+    const current = {
+      blockHeight: 200,
+      era: 4,
+      validators: [
+        validator('A', { name: 'ACME', commission: 100, active: false }),
+        validator('C', { payoutHistory: pending(4), slashes: [{ era: '4', amount: '1' }] }),
+        validator('D', { commission: 1 }),
+      ],
+    };
+    const alerts = getValidatorAlerts(previous, current, ['A', 'B', 'C', 'D', 'X'], 4);
+    expect(alerts.map(({ kind, address }) => `${kind}:${address}`)).toEqual([
+      'commissionIncrease:A',
+      'inactive:A',
+      'chilled:B',
+      'slashed:C',
+      'pendingPayouts:C',
+    ]);
+    expect(alerts[0]).toEqual({
+      key: 'commissionIncrease:A:200',
+      kind: 'commissionIncrease',
+      address: 'A',
+      target: null,
+      era: 4,
+      message: 'ACME: commission increased from 5% to 100%',
+    });
+    // pending payouts only alert when they reach the threshold
+    expect(getValidatorAlerts(current, current, ['C'], 4)).toEqual([]);
+  });
+
+  test('alerts watched nominators out of the rewarded set', () => {
+    const alerts = getNominatorAlerts([
+      {
+        nominator: 'N1', target: 'A', active: true, rewarded: false,
+      },
+      {
+        nominator: 'N1', target: 'B', active: true, rewarded: true,
+      },
+      {
+        nominator: 'N1', target: 'C', active: false, rewarded: false,
+      },
+      {
+        nominator: 'N2', target: 'A', active: true, rewarded: false,
+      },
+    ], ['N1'], 7);
+    expect(alerts.map(({ key }) => key)).toEqual(['notRewarded:N1:A:7']);
+  });
+});
@@ -0,0 +1,209 @@
+const { HttpError, createRouter } = require('../lib/api/router.js');
+const { routes, getPagination, formatRow } = require('../lib/api/routes.js');
+const ApiServer = require('../lib/ApiServer.js');
+const { getElection } = require('../lib/rankingEngine.js');
+const snapshot = require('./fixtures/snapshot.json');
+
+const apiConfig = {
+  port: 0,
+  basePath: '/api/v1',
+  defaultPageSize: 20,
+  maxPageSize: 100,
+  maxPendingSimulations: 4,
+};
+
+// pg pool stand-in, answers every query with the rows returned by respond
+const createPool = (respond) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, values) => {
+      queries.push({ sql, values });
+      return { rows: respond(sql, values) };
+    },
+  };
+};
+
+// runs a request through ApiServer.handle, resolves { status, body }
+const request = (server, method, url) => new Promise((resolve) => {
+  let status;
+  server.handle({ method, url }, {
+    writeHead: (code) => { status = code; },
+    end: (body) => resolve({ status, body: body !== undefined ? JSON.parse(body) : undefined }),
+  });
+});
+
+describe('router', () => {
+  const router = createRouter();
+  router.get('/validators/:stashAddress', 'validator');
+  router.get('/validators/:stashAddress/history', 'history');
+  router.get('/events/:blockNumber/:eventIndex', 'event');
+
+  test('matches patterns and extracts the params', () => {
+    expect(router.match('/validators/A')).toEqual({ handler: 'validator', params: { stashAddress: 'A' } });
+    expect(router.match('/validators/A/history/')).toEqual({ handler: 'history', params: { stashAddress: 'A' } });
+    expect(router.match('/events/10/2').params).toEqual({ blockNumber: '10', eventIndex: '2' });
+    expect(router.match('/validators')).toBe(null);
+    expect(router.match('/validators/A/nominators')).toBe(null);
+  });
+
+  test('decodes the params', () => {
+    expect(router.match('/validators/a%20b').params.stashAddress).toBe('a b');
+  });
+
+  test('rejects malformed percent-encoding as a bad request', () => {
+    expect(() => router.match('/validators/%E0')).toThrow(HttpError);
+    try {
+      router.match('/validators/%E0');
+    } catch (error) {
+      expect(error.status).toBe(400);
+    }
+  });
+});
+
+describe('pagination', () => {
+  test('defaults to the first page', () => {
+    expect(getPagination({}, apiConfig)).toEqual({ page: 1, pageSize: 20 });
+    expect(getPagination({ page: '3', pageSize: '50' }, apiConfig)).toEqual({ page: 3, pageSize: 50 });
+  });
+
+  test('rejects out of range pages and sizes', () => {
+    expect(() => getPagination({ page: '0' }, apiConfig)).toThrow('page starts at 1');
+    expect(() => getPagination({ page: 'x' }, apiConfig)).toThrow('page must be a positive integer');
+    expect(() => getPagination({ pageSize: '101' }, apiConfig)).toThrow('pageSize must be between 1 and 100');
+  });
+
+  test('queries the page and the total', async () => {
+    const pool = createPool((sql) => (sql.startsWith('SELECT count')
+      ? [{ total: '45' }]
+      : [{ block_number: '10', block_hash: '0x1', finalized: true }]));
+    const result = await routes['/blocks']({
+      pool, network: 'kusama', query: { page: '3', pageSize: '20' }, config: apiConfig,
+    });
+    expect(result).toEqual({
+      data: [{ blockNumber: 10, blockHash: '0x1', finalized: true }],
+      pagination: { page: 3, pageSize: 20, total: 45 },
+    });
+    expect(pool.queries[1].sql).toMatch(/LIMIT \$2 OFFSET \$3/);
+    expect(pool.queries[1].values).toEqual(['kusama', 20, 40]);
+  });
+
+  test('reads the harvested total of unfiltered lists', async () => {
+    const pool = createPool((sql) => (sql.startsWith('SELECT count')
+      ? [{ total: '45' }]
+      : []));
+    const list = (query) => routes['/events']({
+      pool, network: 'kusama', query, config: apiConfig,
+    });
+    expect((await list({})).pagination.total).toBe(45);
+    expect(pool.queries[0]).toEqual({
+      sql: 'SELECT count AS total FROM total WHERE network = $1 AND name = $2;',
+      values: ['kusama', 'events'],
+    });
+    await list({ section: 'staking' });
+    expect(pool.queries[2].sql).toMatch(/count\(\*\) AS total FROM event WHERE network = \$1 AND section = \$2/);
+  });
+});
+
+describe('routes', () => {
+  test('formats rows in camel case parsing JSON columns', () => {
+    expect(formatRow({ stash_address: 'A', slashes: '[]', block_height: '5' }))
+      .toEqual({ stashAddress: 'A', slashes: [], blockHeight: 5 });
+  });
+
+  test('looks blocks up by number or hash', async () => {
+    const pool = createPool(() => [{ block_number: '10' }]);
+    await routes['/blocks/:block']({ pool, network: 'kusama', params: { block: '10' } });
+    await routes['/blocks/:block']({ pool, network: 'kusama', params: { block: `0x${'a'.repeat(64)}` } });
+    expect(pool.queries[0].sql).toMatch(/block_number = \$2/);
+    expect(pool.queries[1].sql).toMatch(/block_hash = \$2/);
+    await expect(routes['/blocks/:block']({ pool, network: 'kusama', params: { block: '0x12' } }))
+      .rejects.toThrow('block must be a positive integer');
+  });
+
+  test('validates the ranking parameters', async () => {
+    const pool = createPool((sql) => (sql.includes('ranking_snapshot')
+      ? [{ block_height: '100', era: 4, timestamp: '1' }]
+      : [{ total: '0' }]));
+    const ranking = (query) => routes['/ranking']({
+      pool, network: 'kusama', query, config: apiConfig,
+    });
+    await expect(ranking({ sort: 'stash' })).rejects.toThrow('sort must be one of');
+    await expect(ranking({ order: 'up' })).rejects.toThrow('order must be asc or desc');
+    await expect(ranking({ active: 'yes' })).rejects.toThrow('active must be true or false');
+    await expect(ranking({ maxCommission: 'x' })).rejects.toThrow('maxCommission must be a number');
+  });
+
+  test('simulates a nomination with the stored election', async () => {
+    const pool = createPool((sql) => (sql.includes('election FROM')
+      ? [{ block_height: '1000', election: JSON.stringify(getElection(snapshot)) }]
+      : [{ block_height: '1000' }]));
+    const simulate = (query, config = apiConfig) => routes['/nominators/:accountId/simulation']({
+      pool, network: 'kusama', params: { accountId: 'N4' }, query, config,
+    });
+    const { snapshot: { blockHeight }, data } = await simulate({
+      bonded: '500000000000000', targets: 'C,E',
+    });
+    expect(blockHeight).toBe(1000);
+    expect(data.elected).toBe(true);
+    expect(data.targets.map(({ stashAddress, stake }) => [stashAddress, stake]))
+      .toEqual([['C', '500000000000000'], ['E', '0']]);
+    // parsed once per stored election
+    await simulate({ bonded: '1', targets: 'C' });
+    expect(pool.queries.filter(({ sql }) => sql.includes('election FROM'))).toHaveLength(1);
+    // cached results don't count against the limit
+    const busy = { ...apiConfig, maxPendingSimulations: 0 };
+    expect((await simulate({ bonded: '1', targets: 'C' }, busy)).data.targets).toHaveLength(1);
+    await expect(simulate({ bonded: '2', targets: 'C' }, busy))
+      .rejects.toThrow('Too many simulations in progress');
+    await expect(simulate({ targets: 'C' })).rejects.toThrow('bonded must be');
+    await expect(simulate({ bonded: '1', targets: '' })).rejects.toThrow('targets must be');
+  });
+
+  test('answers not found without a ranking', async () => {
+    const pool = createPool(() => []);
+    const error = await routes['/ranking']({
+      pool, network: 'kusama', query: {}, config: apiConfig,
+    }).catch((rejected) => rejected);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(404);
+  });
+});
+
+describe('api server', () => {
+  const server = new ApiServer({ api: apiConfig, network: { name: 'kusama' } });
+  server.pool = createPool((sql) => {
+    if (sql.includes('FROM extrinsic')) {
+      throw new Error('connection lost');
+    }
+    return [];
+  });
+
+  test('serves the OpenAPI description', async () => {
+    const { status, body } = await request(server, 'GET', '/api/v1/openapi.json');
+    expect(status).toBe(200);
+    expect(body.openapi).toBe('3.0.3');
+  });
+
+  test('answers errors with their status', async () => {
+    expect(await request(server, 'GET', '/api/v1/validators/%E0')).toEqual({
+      status: 400, body: { error: 'Malformed path parameter %E0' },
+    });
+    expect((await request(server, 'GET', '/api/v1/validators/A')).status).toBe(404);
+    expect((await request(server, 'GET', '/api/v1/unknown')).status).toBe(404);
+    expect((await request(server, 'POST', '/api/v1/ranking')).status).toBe(405);
+    expect((await request(server, 'OPTIONS', '/api/v1/ranking')).status).toBe(204);
+  });
+
+  test('rejects invalid URLs as a bad request', async () => {
+    expect(await request(server, 'GET', '//[')).toEqual({
+      status: 400, body: { error: 'Invalid URL //[' },
+    });
+  });
+
+  test('hides unexpected errors', async () => {
+    expect(await request(server, 'GET', '/api/v1/extrinsics/0x1')).toEqual({
+      status: 500, body: { error: 'Internal server error' },
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const http = require('http');
+const net = require('net');
+const webhook = require('../lib/channels/webhook.js');
+const smtp = require('../lib/channels/smtp.js');
+
+const network = { name: 'kusama' };
+const alerts = [
+  {
+    key: 'inactive:A:200', kind: 'inactive', address: 'A', target: null, era: 4, message: 'A: not elected in era 4',
+  },
+  {
+    key: 'chilled:B:200', kind: 'chilled', address: 'B', target: null, era: 4, message: 'B: stopped validating',
+  },
+];
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+describe('channels', () => {
+  test('posts the alerts to the webhook', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body: JSON.parse(body) });
+        res.end();
+      });
+    });
+    const port = await listen(server);
+    try {
+      await webhook.send(alerts, {
+        url: `http://127.0.0.1:${port}/hook`,
+        headers: { Authorization: 'Bearer secret' },
+        timeout: 5000,
+      }, network);
+    } finally {
+      server.close();
+    }
+    expect(requests).toHaveLength(1);
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[0].body).toEqual({
+      network: 'kusama',
+      alerts: alerts.map(({ key, ...alert }) => alert),
+    });
+  });
+
+  test('mails the alerts through SMTP', async () => {
+    const commands = [];
+    let data = '';
+    // SMTP stand-in, accepts everything
+    const server = net.createServer((socket) => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 localhost ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let index = buffer.indexOf('\r\n');
+        while (index !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 queued\r\n');
+            } else {
+              data += `${line}\n`;
+            }
+          } else {
+            commands.push(line);
+            if (line.startsWith('EHLO')) {
+              socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+            } else if (line.startsWith('AUTH')) {
+              socket.write('235 ok\r\n');
+            } else if (line === 'DATA') {
+              inData = true;
+              socket.write('354 go ahead\r\n');
+            } else if (line === 'QUIT') {
+              socket.end('221 bye\r\n');
+            } else {
+              socket.write('250 ok\r\n');
+            }
+          }
+          index = buffer.indexOf('\r\n');
+        }
+      });
+    });
+    const port = await listen(server);
+    try {
+      await smtp.send(alerts, {
+        host: '127.0.0.1',
+        port,
+        secure: false,
+        user: 'user',
+        password: 'password',
+        from: 'VRC <vrc@example.com>',
+        to: ['a@example.com', 'b@example.com'],
+        timeout: 5000,
+      }, network);
+    } finally {
+      server.close();
+    }
+    expect(commands.filter((command) => !command.startsWith('EHLO'))).toEqual([
+      `AUTH PLAIN ${Buffer.from('\u0000user\u0000password').toString('base64')}`,
+      'MAIL FROM:<vrc@example.com>',
+      'RCPT TO:<a@example.com>',
+      'RCPT TO:<b@example.com>',
+      'DATA',
+      'QUIT',
+    ]);
+    expect(data).toContain('From: VRC <vrc@example.com>');
+    expect(data).toContain('Subject: [kusama] 2 validator alerts');
+    expect(data).toContain('- A: not elected in era 4');
+    expect(data).toContain('- B: stopped validating');
+  });
+
+  test('sends the bare sender address in the envelope', () => {
+    expect(smtp.getEnvelopeFrom('vrc@example.com')).toBe('vrc@example.com');
+    expect(smtp.getEnvelopeFrom('VRC alerts <vrc@example.com>')).toBe('vrc@example.com');
+    expect(smtp.getEnvelopeFrom('"VRC <alerts>" <vrc@example.com> ')).toBe('vrc@example.com');
+  });
+
+  test('fails on SMTP errors', async () => {
+    const server = net.createServer((socket) => {
+      socket.write('554 no service\r\n');
+    });
+    const port = await listen(server);
+    try {
+      await expect(smtp.send(alerts, {
+        host: '127.0.0.1', port, from: 'vrc@example.com', to: ['a@example.com'], timeout: 5000,
+      }, network)).rejects.toThrow('554 no service');
+    } finally {
+      server.close();
+    }
+  });
+});
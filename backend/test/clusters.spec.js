@@ -0,0 +1,76 @@
+const { getBaseName, getLinks, getClusters } = require('../lib/clusters.js');
+
+const validator = (stashAddress, fields = {}) => ({
+  stashAddress,
+  controllerAddress: `${stashAddress}-controller`,
+  rewardDestination: stashAddress,
+  fundedBy: null,
+  identity: {},
+  ...fields,
+});
+
+describe('clusters', () => {
+  test('links identity names apart from the node number', () => {
+    expect(getBaseName({ display: 'DISC-SOFT-01' })).toBe('disc-soft');
+    expect(getBaseName({ display: 'BINANCE_KSM_9' })).toBe('binance_ksm');
+    expect(getBaseName({ display: 'SNZPool-1' })).toBe('snzpool');
+    // sub-identities are linked by their parent
+    expect(getBaseName({ display: '01', parent: 'P' })).toBe('');
+  });
+
+  test('doesn\'t link names that only share a prefix', () => {
+    const validators = [
+      validator('A', { identity: { display: 'Polkadot Node 1' } }),
+      validator('B', { identity: { display: 'Polkadotters' } }),
+    ];
+    expect(getClusters(validators).map(({ clusterMembers }) => clusterMembers)).toEqual([1, 1]);
+  });
+
+  test('links shared accounts with a confidence', () => {
+    const links = getLinks([
+      validator('A', { controllerAddress: 'X' }),
+      validator('B', { controllerAddress: 'X', fundedBy: 'A' }),
+      validator('C', { rewardDestination: 'A' }),
+    ]);
+    expect(links[1]).toEqual([
+      {
+        type: 'controller', confidence: 'high', key: 'X', validators: ['A'],
+      },
+      {
+        type: 'funding', confidence: 'medium', key: 'A', validators: ['A'],
+      },
+    ]);
+    expect(links[2]).toEqual([{
+      type: 'rewardDestination', confidence: 'high', key: 'A', validators: ['A'],
+    }]);
+  });
+
+  test('ignores funding sources shared by too many validators', () => {
+    const validators = Array.from(
+      { length: 21 },
+      (_, index) => validator(`V${index}`, { fundedBy: 'Exchange' }),
+    );
+    expect(getLinks(validators).every((links) => links.length === 0)).toBe(true);
+  });
+
+  test('groups transitively linked validators', () => {
+    const clusters = getClusters([
+      validator('A', { identity: { display: 'Node-1' } }),
+      validator('B', { identity: { display: 'node 2' }, fundedBy: 'F' }),
+      validator('C', { fundedBy: 'F' }),
+      validator('D'),
+    ]);
+    expect(clusters.map(({ clusterName }) => clusterName)).toEqual(['Node', 'Node', 'Node', '']);
+    expect(clusters.map(({ clusterMembers }) => clusterMembers)).toEqual([3, 3, 3, 1]);
+    expect(clusters.map(({ clusterConfidence }) => clusterConfidence))
+      .toEqual(['low', 'medium', 'medium', '']);
+  });
+
+  test('names clusters without identity after their first stash', () => {
+    const clusters = getClusters([
+      validator('B', { fundedBy: 'F' }),
+      validator('A', { fundedBy: 'F' }),
+    ]);
+    expect(clusters.map(({ clusterName }) => clusterName)).toEqual(['A', 'A']);
+  });
+});
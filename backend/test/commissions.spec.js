@@ -0,0 +1,84 @@
+const {
+  getValidateCalls,
+  chainBlockChanges,
+  getCommissionChanges,
+  getCommissionFacts,
+} = require('../lib/commissions.js');
+const snapshot = require('./fixtures/snapshot.json');
+
+describe('commissions', () => {
+  test('reads the commission of validate calls', () => {
+    expect(getValidateCalls([{
+      block_number: 10,
+      extrinsic_index: 2,
+      signer: 'A-controller',
+      args: JSON.stringify([{ commission: 50000000, blocked: false }]),
+      timestamp: 1600000000000,
+    }])).toEqual([{
+      block_number: 10,
+      extrinsic_index: 2,
+      controller: 'A-controller',
+      commission: 50000000,
+      timestamp: 1600000000000,
+    }]);
+  });
+
+  test('chains the previous commission of several calls in a block', () => {
+    // every call reads 5% at the parent block
+    const changes = chainBlockChanges([
+      { stash: 'A', commission: 1000000000, previous_commission: 50000000 },
+      { stash: 'B', commission: 30000000, previous_commission: 20000000 },
+      { stash: 'A', commission: 50000000, previous_commission: 50000000 },
+    ]);
+    expect(changes.map(({ previous_commission: previous }) => previous))
+      .toEqual([50000000, 20000000, 1000000000]);
+    // raised and brought back down in the block: no reverted hike across
+    // blocks, but both changes count
+    expect(getCommissionFacts(getCommissionChanges('A', changes.map((change, index) => ({
+      stash: change.stash,
+      blockNumber: 10,
+      era: 1,
+      commission: change.commission,
+      previousCommission: change.previous_commission,
+      timestamp: index,
+    }))))).toEqual({
+      commissionHike: 95,
+      commissionChangeCount: 2,
+      commissionHikeReverted: false,
+    });
+  });
+
+  test('leaves out calls that keep the commission', () => {
+    expect(getCommissionChanges('D', snapshot.commissionChanges)).toEqual([]);
+    expect(getCommissionChanges('A', snapshot.commissionChanges).map(
+      ({ previousCommission, commission }) => [previousCommission, commission],
+    )).toEqual([[8, 6], [6, 5]]);
+  });
+
+  test('detects hikes, volatility and reverted hikes', () => {
+    expect(getCommissionFacts(getCommissionChanges('A', snapshot.commissionChanges))).toEqual({
+      commissionHike: 0,
+      commissionChangeCount: 2,
+      commissionHikeReverted: false,
+    });
+    // raised to 100% and back in the same era
+    expect(getCommissionFacts(getCommissionChanges('B', snapshot.commissionChanges))).toEqual({
+      commissionHike: 90,
+      commissionChangeCount: 2,
+      commissionHikeReverted: true,
+    });
+    // brought back down too late
+    expect(getCommissionFacts([
+      {
+        blockNumber: 1, era: 1, commission: 15, previousCommission: 10,
+      },
+      {
+        blockNumber: 2, era: 3, commission: 10, previousCommission: 15,
+      },
+    ]).commissionHikeReverted).toBe(false);
+    // unknown previous commission, new validator
+    expect(getCommissionFacts([{
+      blockNumber: 1, era: 1, commission: 50, previousCommission: null,
+    }]).commissionHike).toBe(0);
+  });
+});
@@ -0,0 +1,92 @@
+const { dominates, getDominanceLayers } = require('../lib/dominance.js');
+
+const validator = (relativePerformance, selfStake, activeEras, totalRating, extra = {}) => ({
+  relativePerformance: `${relativePerformance}`,
+  selfStake: `${selfStake}`,
+  activeEras,
+  totalRating,
+  ...extra,
+});
+
+// deterministic pseudo random validators
+const randomValidators = (count) => {
+  let seed = 42;
+  const random = (max) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % max;
+  };
+  return Array.from({ length: count }, () => validator(
+    random(100) / 100,
+    random(50) * 1000000000000,
+    random(10),
+    random(25),
+  ));
+};
+
+// reference O(n²) layering: peel the non dominated validators off
+const peelLayers = (validators, metrics) => {
+  const vectors = validators.map((item) => metrics.map((metric) => metric(item)));
+  const layers = new Array(validators.length);
+  const peel = (remaining, layer) => {
+    if (remaining.length === 0) {
+      return;
+    }
+    const front = remaining.filter(
+      (index) => !remaining.some((other) => dominates(vectors[other], vectors[index])),
+    );
+    front.forEach((index) => { layers[index] = layer; });
+    peel(remaining.filter((index) => !front.includes(index)), layer + 1);
+  };
+  peel(vectors.map((vector, index) => index), 1);
+  return layers;
+};
+
+describe('dominance', () => {
+  test('needs to be strictly better in at least one metric', () => {
+    expect(dominates([2, 1], [1, 1])).toBe(true);
+    expect(dominates([1, 1], [1, 1])).toBe(false);
+    expect(dominates([2, 0], [1, 1])).toBe(false);
+  });
+
+  test('assigns Pareto layers', () => {
+    const validators = [
+      validator(0.5, 100, 5, 10),
+      validator(1, 200, 10, 20),
+      validator(0.2, 50, 1, 5),
+      validator(1, 50, 10, 20),
+      validator(0.5, 100, 5, 10),
+    ];
+    // equal validators don't dominate each other
+    expect(getDominanceLayers(validators)).toEqual([2, 1, 3, 2, 2]);
+  });
+
+  test('uses only the selected metrics', () => {
+    const validators = [
+      validator(1, 100, 10, 10, { commission: '10' }),
+      validator(0.5, 50, 5, 5, { commission: '5' }),
+    ];
+    expect(getDominanceLayers(validators)).toEqual([1, 2]);
+    // lower commission is better
+    expect(getDominanceLayers(validators, ['activeEras', 'commission'])).toEqual([1, 1]);
+    expect(getDominanceLayers(validators, ['commission'])).toEqual([2, 1]);
+  });
+
+  test('prefers the custom VRC score when there is one', () => {
+    const validators = [
+      validator(1, 100, 10, 20, { customVRCScore: 10 }),
+      validator(1, 100, 10, 10, { customVRCScore: 30 }),
+    ];
+    expect(getDominanceLayers(validators)).toEqual([2, 1]);
+  });
+
+  test('matches the quadratic layering', () => {
+    const validators = randomValidators(300);
+    const expected = peelLayers(validators, [
+      (item) => parseFloat(item.relativePerformance),
+      (item) => parseFloat(item.selfStake),
+      (item) => item.activeEras,
+      (item) => item.totalRating,
+    ]);
+    expect(getDominanceLayers(validators)).toEqual(expected);
+  });
+});
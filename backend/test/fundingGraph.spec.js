@@ -0,0 +1,96 @@
+const { getFundings, findFundingGroups } = require('../lib/fundingGraph.js');
+
+const validator = (stashAddress, fields = {}) => ({
+  stashAddress,
+  controllerAddress: `${stashAddress}-controller`,
+  clusterName: '',
+  partOfCluster: false,
+  ...fields,
+});
+
+const transfer = (from, to, blockNumber) => ({ from, to, blockNumber });
+
+const options = { windowBlocks: 100, minValidators: 3, maxSourceValidators: 5 };
+
+describe('funding graph', () => {
+  test('follows transfers to stashes, controllers and their funders', () => {
+    const validators = [validator('A'), validator('B')];
+    const fundings = getFundings([
+      transfer('S', 'A', 10),
+      transfer('I', 'B-controller', 20),
+      transfer('S', 'I', 15),
+      // too old to have funded B
+      transfer('X', 'I', 1),
+      // between accounts of the same validator
+      transfer('A-controller', 'A', 30),
+    ], validators, 10);
+    expect(fundings).toEqual([
+      {
+        source: 'S', via: null, stash: 'A', blockNumber: 10,
+      },
+      {
+        source: 'I', via: null, stash: 'B', blockNumber: 20,
+      },
+      {
+        source: 'S', via: 'I', stash: 'B', blockNumber: 15,
+      },
+    ]);
+  });
+
+  test('groups validators funded by the same source in a time window', () => {
+    const validators = ['A', 'B', 'C', 'D'].map((stash) => validator(stash));
+    const groups = findFundingGroups([
+      transfer('S', 'A', 1000),
+      transfer('S', 'B-controller', 1050),
+      transfer('S', 'C', 1100),
+      // out of the window
+      transfer('S', 'D', 1200),
+    ], validators, options);
+    expect(groups).toEqual([{
+      id: 'S-1000',
+      source: 'S',
+      via: [],
+      validators: ['A', 'B', 'C'],
+      firstBlock: 1000,
+      lastBlock: 1100,
+    }]);
+  });
+
+  test('needs a minimum of validators', () => {
+    const validators = ['A', 'B'].map((stash) => validator(stash));
+    expect(findFundingGroups([
+      transfer('S', 'A', 1000),
+      transfer('S', 'B', 1010),
+    ], validators, options)).toEqual([]);
+  });
+
+  test('ignores sources funding too many validators', () => {
+    const validators = ['A', 'B', 'C', 'D', 'E', 'F'].map((stash) => validator(stash));
+    const transfers = validators.map(({ stashAddress }, index) => transfer('Exchange', stashAddress, index));
+    expect(findFundingGroups(transfers, validators, options)).toEqual([]);
+  });
+
+  test('skips groups that are already a detected cluster', () => {
+    const validators = ['A', 'B', 'C'].map((stash) => validator(stash, {
+      clusterName: 'ACME',
+      partOfCluster: true,
+    }));
+    expect(findFundingGroups([
+      transfer('S', 'A', 1000),
+      transfer('S', 'B', 1010),
+      transfer('S', 'C', 1020),
+    ], validators, options)).toEqual([]);
+  });
+
+  test('reports the same group once', () => {
+    const validators = ['A', 'B', 'C'].map((stash) => validator(stash));
+    const groups = findFundingGroups([
+      transfer('S', 'I', 990),
+      transfer('I', 'A', 1000),
+      transfer('I', 'B', 1010),
+      transfer('I', 'C', 1020),
+      transfer('S', 'I', 995),
+    ], validators, options);
+    expect(groups.map(({ id, via }) => ({ id, via }))).toEqual([{ id: 'S-990', via: ['I'] }]);
+  });
+});
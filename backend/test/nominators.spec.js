@@ -0,0 +1,113 @@
+const { BigNumber } = require('bignumber.js');
+const {
+  getRewardedNominators,
+  isStakeRewarded,
+  getNominatorRows,
+  simulateNomination,
+} = require('../lib/nominators.js');
+const { getElection } = require('../lib/rankingEngine.js');
+const snapshot = require('./fixtures/snapshot.json');
+
+const byStash = (validators) => Object.fromEntries(
+  validators.map((validator) => [validator.stashAddress, validator]),
+);
+
+describe('nominators', () => {
+  const validators = byStash(snapshot.validators);
+
+  test('rewards the largest stakes up to the maximum', () => {
+    expect(getRewardedNominators(validators.B, 2)).toEqual(['N2', 'N3']);
+    expect(getRewardedNominators(validators.A, 2)).toEqual(['N1', 'N2']);
+    expect(getRewardedNominators(validators.C, 2)).toEqual([]);
+  });
+
+  test('tells if a new stake would be rewarded', () => {
+    const full = { rewardedStakeCutoff: '100', rewardedSlotsLeft: 0 };
+    expect(isStakeRewarded(full, '101')).toBe(true);
+    expect(isStakeRewarded(full, '100')).toBe(false);
+    expect(isStakeRewarded({ rewardedStakeCutoff: null, rewardedSlotsLeft: 1 }, '1')).toBe(true);
+    expect(isStakeRewarded({ rewardedStakeCutoff: null, rewardedSlotsLeft: 0 }, '1')).toBe(null);
+  });
+
+  test('has a row for every target of every nominator', () => {
+    const rows = getNominatorRows(snapshot);
+    expect(rows).toHaveLength(9);
+    expect(rows.filter(({ nominator }) => nominator === 'N1')).toEqual([
+      {
+        nominator: 'N1',
+        target: 'A',
+        bonded: '1050000000000000',
+        elected: true,
+        active: true,
+        stake: '1000000000000000',
+        rewarded: true,
+      },
+      {
+        nominator: 'N1',
+        target: 'B',
+        bonded: '1050000000000000',
+        elected: true,
+        active: true,
+        stake: '50000000000000',
+        rewarded: false,
+      },
+      {
+        nominator: 'N1',
+        target: 'C',
+        bonded: '1050000000000000',
+        elected: false,
+        active: false,
+        stake: null,
+        rewarded: false,
+      },
+    ]);
+  });
+
+  test('targets that are not validators are neither elected nor active', () => {
+    const unknown = getNominatorRows(snapshot).find(({ target }) => target === 'X');
+    expect(unknown).toMatchObject({ elected: false, active: false, rewarded: false });
+  });
+});
+
+describe('nomination simulation', () => {
+  // 1 token of era reward per validator
+  const election = getElection(snapshot);
+  const simulate = (nominator, bonded, targets) => simulateNomination(
+    election,
+    { nominator, bonded, targets },
+  );
+
+  test('splits the stake among the elected targets', () => {
+    const { elected, targets } = simulate('N4', '500000000000000', ['C', 'E']);
+    expect(elected).toBe(true);
+    expect(targets.map(({ stashAddress, stake }) => [stashAddress, stake.toString(10)]))
+      .toEqual([['C', '500000000000000'], ['E', '0']]);
+    expect(targets.map((target) => target.elected)).toEqual([true, false]);
+  });
+
+  test('estimates the era reward net of commission', () => {
+    const { reward, targets: [target] } = simulate('N4', '500000000000000', ['C', 'E']);
+    // 10% commission
+    expect(reward.toString(10)).toBe(
+      new BigNumber('900000000000').times(target.stake).div(target.backing)
+        .integerValue()
+        .toString(10),
+    );
+  });
+
+  test('flags oversubscribed targets and stakes out of the rewarded set', () => {
+    const { reward, targets: [target] } = simulate('N4', '1000000000000', ['C', 'B']);
+    expect(target.oversubscribed).toBe(true);
+    expect(target.stake.gt(0)).toBe(true);
+    expect(target.rewarded).toBe(false);
+    expect(reward.toString(10)).toBe('0');
+    // the largest stake is still rewarded
+    expect(simulate('N4', '500000000000000', ['C']).targets[0].rewarded).toBe(true);
+  });
+
+  test('replaces the current nomination of the nominator', () => {
+    const { targets: [target] } = simulate('N1', '1050000000000000', ['D']);
+    expect(target.nominators).toBe(1);
+    expect(target.backing.toString(10)).toBe('3050000000000000');
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  getReportKind,
+  getOffenceRows,
+  resolveOffences,
+  getOffenceFacts,
+} = require('../lib/offences.js');
+
+const event = (eventIndex, section, method, data) => ({
+  block_number: 100,
+  event_index: eventIndex,
+  section,
+  method,
+  data: JSON.stringify(data),
+  timestamp: 1600000000000,
+});
+
+const hex = (text) => `0x${Buffer.from(text).toString('hex')}`;
+
+describe('offences', () => {
+  test('decodes the report kind', () => {
+    expect(getReportKind(hex('babe:equivocatio'))).toBe('babeEquivocation');
+    expect(getReportKind(hex('grandpa:equivoca'))).toBe('grandpaEquivocation');
+    expect(getReportKind(hex('im-online:offlin'))).toBe(null);
+    expect(getReportKind(hex('parachains:dispu'))).toBe('offence');
+  });
+
+  test('decodes slashes, offline validators and reports', () => {
+    expect(getOffenceRows([
+      event(0, 'staking', 'Slash', ['A', 1000]),
+      event(1, 'imOnline', 'SomeOffline', [[['B', { total: 1 }], ['C', { total: 2 }]]]),
+      event(2, 'offences', 'Offence', [hex('im-online:offlin'), '0x01']),
+      event(3, 'offences', 'Offence', [hex('grandpa:equivoca'), '0x02']),
+      event(4, 'balances', 'Transfer', ['A', 'B', 1]),
+    ])).toEqual([
+      {
+        block_number: 100, event_index: 0, account_id: 'A', kind: 'slash', amount: '1000',
+      },
+      {
+        block_number: 100, event_index: 1, account_id: 'B', kind: 'offline', amount: null,
+      },
+      {
+        block_number: 100, event_index: 1, account_id: 'C', kind: 'offline', amount: null,
+      },
+      {
+        block_number: 100,
+        event_index: 3,
+        account_id: null,
+        kind: 'grandpaEquivocation',
+        amount: null,
+        report: { kind: hex('grandpa:equivoca'), timeSlot: '0x02' },
+      },
+    ]);
+  });
+
+  test('matches reports with their slash or cancels them after the defer duration', () => {
+    const row = (blockNumber, accountId, era, kind, amount = null) => ({
+      block_number: blockNumber,
+      event_index: 0,
+      account_id: accountId,
+      era,
+      kind,
+      amount,
+      cancelled: false,
+    });
+    const rows = [
+      row(10, 'A', 1, 'babeEquivocation'),
+      row(20, 'A', 2, 'babeEquivocation'),
+      row(50, 'A', 5, 'slash', '1000'),
+      row(10, 'B', 1, 'grandpaEquivocation'),
+      row(30, 'C', 8, 'grandpaEquivocation'),
+    ];
+    const resolved = resolveOffences(rows, 10, 4);
+    expect(resolved.map(({ account_id: accountId, amount, cancelled }) => [
+      accountId, amount, cancelled,
+    ])).toEqual([
+      ['A', '1000', false],
+      ['B', null, true],
+      ['A', null, true],
+      ['C', null, false],
+      ['A', '1000', false],
+    ]);
+    // unchanged rows are kept as they are
+    expect(resolved).toContain(rows[4]);
+    expect(resolved).not.toContain(rows[3]);
+  });
+
+  test('rates how recent and severe offences are', () => {
+    expect(getOffenceFacts([
+      { era: 2, kind: 'babeEquivocation', cancelled: false },
+      { era: 8, kind: 'offline', cancelled: false },
+      { era: 9, kind: 'slash', cancelled: true },
+    ], 10)).toEqual({
+      offenceSeverity: 3,
+      erasSinceOffence: 2,
+      erasSinceSevereOffence: 8,
+    });
+    expect(getOffenceFacts([], 10)).toEqual({
+      offenceSeverity: 0,
+      erasSinceOffence: Infinity,
+      erasSinceSevereOffence: Infinity,
+    });
+  });
+});
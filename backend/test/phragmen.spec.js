@@ -0,0 +1,44 @@
+const { electValidators } = require('../lib/phragmen.js');
+
+// example of the sp-npos-elections docs
+const candidates = [{ id: 1, stake: 0 }, { id: 2, stake: 0 }, { id: 3, stake: 0 }];
+const voters = [
+  { stake: 10, targets: [1, 2] },
+  { stake: 20, targets: [1, 3] },
+  { stake: 30, targets: [2, 3] },
+];
+
+describe('phragmen', () => {
+  test('elects by sequential phragmen', () => {
+    expect(electValidators(candidates, voters, 2, 0)).toEqual([
+      { id: 3, backing: 35, backers: [{ voter: 1, stake: 20 }, { voter: 2, stake: 15 }] },
+      { id: 2, backing: 25, backers: [{ voter: 0, stake: 10 }, { voter: 2, stake: 15 }] },
+    ]);
+  });
+
+  test('balances the backing of the elected ones', () => {
+    const elected = electValidators(candidates, voters, 2);
+    expect(elected.map(({ id }) => id)).toEqual([3, 2]);
+    elected.forEach(({ backing }) => expect(backing).toBeCloseTo(30));
+  });
+
+  test('counts the self stake of the candidates', () => {
+    expect(electValidators(
+      [{ id: 1, stake: 100 }, ...candidates.slice(1)],
+      voters,
+      1,
+    )).toEqual([{
+      id: 1,
+      backing: 130,
+      backers: [{ voter: 0, stake: 10 }, { voter: 1, stake: 20 }],
+    }]);
+  });
+
+  test('ignores unknown targets and empty votes', () => {
+    expect(electValidators(
+      candidates,
+      [{ stake: 10, targets: [4, 1] }, { stake: 0, targets: [2] }],
+      3,
+    )).toEqual([{ id: 1, backing: 10, backers: [{ voter: 0, stake: 10 }] }]);
+  });
+});
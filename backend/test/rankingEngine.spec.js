@@ -0,0 +1,353 @@
+const path = require('path');
+const { BigNumber } = require('bignumber.js');
+const { loadScoring } = require('../lib/scoring.js');
+const {
+  parseIdentity,
+  getCommissionHistory,
+  hasCommissionDecreased,
+  getElectionPrediction,
+  getClusterShowCount,
+  getClusterRotationOrder,
+  rateValidators,
+  rankValidators,
+  findDominated,
+  hideClusterMembers,
+  getTotals,
+  getRanking,
+} = require('../lib/rankingEngine.js');
+const snapshot = require('./fixtures/snapshot.json');
+
+const scoring = loadScoring(path.join(__dirname, '..', 'scoring.json'));
+
+const byStash = (validators) => Object.fromEntries(
+  validators.map((validator) => [validator.stashAddress, validator]),
+);
+
+describe('identity', () => {
+  test('verified by a reasonable or known good judgement, fee paid ones are ignored', () => {
+    expect(parseIdentity({ judgements: [[0, { reasonable: null }]] }).verifiedIdentity).toBe(true);
+    expect(parseIdentity({ judgements: [[0, { knownGood: null }]] }).verifiedIdentity).toBe(true);
+    expect(parseIdentity({ judgements: [[0, { feePaid: 10 }]] }).verifiedIdentity).toBe(false);
+    expect(parseIdentity({ judgements: [] }).verifiedIdentity).toBe(false);
+  });
+
+  test('sub-identities are named after their parent', () => {
+    const identity = parseIdentity({ display: '01', displayParent: 'ACME', judgements: [] });
+    expect(identity.name).toBe('ACME/01');
+    expect(identity.hasSubIdentity).toBe(true);
+    expect(identity.hasAllFields).toBe(false);
+  });
+});
+
+describe('commission history', () => {
+  test('has an entry for every era of the window', () => {
+    expect(getCommissionHistory('A', snapshot.eras)).toEqual([
+      { era: '1', commission: '8.00' },
+      { era: '2', commission: '6.00' },
+      { era: '3', commission: '5.00' },
+    ]);
+    expect(getCommissionHistory('C', snapshot.eras).map(({ commission }) => commission))
+      .toEqual([null, null, null]);
+  });
+
+  test('detects a decrease between the first and last known commission', () => {
+    expect(hasCommissionDecreased(getCommissionHistory('A', snapshot.eras))).toBe(true);
+    expect(hasCommissionDecreased(getCommissionHistory('B', snapshot.eras))).toBe(false);
+  });
+});
+
+describe('ratings', () => {
+  const validators = byStash(rateValidators(snapshot, scoring));
+
+  test('rates every metric with the scoring rules', () => {
+    expect(validators.A).toMatchObject({
+      activeRating: 2,
+      identityRating: 3,
+      addressCreationRating: 3,
+      slashRating: 2,
+      subAccountsRating: 2,
+      nominatorsRating: 2,
+      eraPointsRating: 0,
+      commissionRating: 3,
+      payoutRating: 3,
+      governanceRating: 2,
+      blockProductionRating: 2,
+      heartbeatRating: 2,
+      totalRating: 26,
+    });
+    expect(validators.D).toMatchObject({
+      identityRating: 2,
+      addressCreationRating: 2,
+      slashRating: 0,
+      subAccountsRating: 0,
+      nominatorsRating: 0,
+      eraPointsRating: 2,
+      commissionRating: 0,
+      governanceRating: 3,
+      // 77% of the expected blocks, online half of the sessions
+      blockProductionRating: 1,
+      heartbeatRating: 0,
+      totalRating: 15,
+    });
+    expect(validators.E).toMatchObject({
+      activeRating: 0,
+      identityRating: 0,
+      // offline in the last 7 days
+      slashRating: 1,
+      commissionRating: 0,
+      governanceRating: 0,
+      // waiting, no blocks nor heartbeats
+      blockProductionRating: 0,
+      heartbeatRating: 0,
+      totalRating: 9,
+    });
+    // cancelled slashes don't count
+    expect(validators.C.slashRating).toBe(2);
+    // commission raised to 100% and back within an era
+    expect(validators.B.commissionRating).toBe(0);
+    expect(validators.B.commissionChanges).toHaveLength(2);
+  });
+
+  test('counts nominators from exposure or nominations', () => {
+    expect(validators.A.nominators).toBe(2);
+    // oversubscribed
+    expect(validators.B.nominators).toBe(3);
+    expect(validators.B.nominatorsRating).toBe(0);
+    expect(validators.B.oversubscribed).toBe(true);
+    expect(validators.A.oversubscribed).toBe(false);
+  });
+
+  test('finds the rewarded stake cutoff once the rewarded set is full', () => {
+    expect(validators.A.rewardedSlotsLeft).toBe(0);
+    expect(validators.A.rewardedStakeCutoff).toBe('1000000000000000');
+    expect(validators.B.rewardedSlotsLeft).toBe(0);
+    expect(validators.B.rewardedStakeCutoff).toBe('100000000000000');
+    expect(validators.D.rewardedSlotsLeft).toBe(2);
+    expect(validators.D.rewardedStakeCutoff).toBe(null);
+    // waiting, stakes are unknown
+    expect(validators.C.rewardedSlotsLeft).toBe(0);
+    expect(validators.C.rewardedStakeCutoff).toBe(null);
+    // waiting validators
+    expect(validators.C.nominators).toBe(2);
+    expect(validators.E.nominators).toBe(1);
+  });
+
+  test('uses the oldest of the stash and identity parent addresses', () => {
+    expect(validators.C.stashCreatedAtBlock).toBe(900);
+    expect(validators.C.stashParentCreatedAtBlock).toBe(50);
+    expect(validators.C.addressCreationRating).toBe(3);
+  });
+
+  test('rates unknown address creation as the worst, not as genesis', () => {
+    const unknown = (stashCreatedAtBlock, parentCreatedAtBlock) => byStash(rateValidators({
+      ...snapshot,
+      validators: snapshot.validators.map((validator) => ({
+        ...validator, stashCreatedAtBlock, parentCreatedAtBlock,
+      })),
+    }, scoring)).C;
+    expect(unknown(null, null).addressCreationRating).toBe(0);
+    expect(unknown(null, 50).addressCreationRating).toBe(3);
+    expect(unknown(0, null).addressCreationRating).toBe(3);
+  });
+
+  test('keeps era points, payouts and slashes history', () => {
+    expect(validators.B.activeEras).toBe(3);
+    expect(validators.B.payoutHistory.map(({ status }) => status))
+      .toEqual(['pending', 'pending', 'paid']);
+    expect(validators.C.payoutHistory.map(({ status }) => status))
+      .toEqual(['inactive', 'inactive', 'inactive']);
+    expect(validators.D.slashes).toEqual([{ era: '2', amount: '1000000000000' }]);
+    expect(validators.D.eraPointsPercent).toBe(50);
+  });
+
+  test('flags thousand validators program members', () => {
+    expect(validators.D.includedThousandValidators).toBe(true);
+    expect(validators.D.thousandValidator).toEqual(snapshot.thousandValidators[0]);
+    expect(validators.A.includedThousandValidators).toBe(false);
+  });
+
+  test('computes the realized return of the nominators', () => {
+    expect(validators.A.returnHistory.map(({ era }) => era)).toEqual(['2', '3']);
+    expect(validators.B.annualizedReturn).toBeGreaterThan(validators.A.annualizedReturn);
+    expect(validators.C.annualizedReturn).toBe(0);
+  });
+
+  test('computes stakes', () => {
+    expect(validators.A.selfStake.toString(10)).toBe('1000000000000000');
+    expect(validators.A.otherStake.toString(10)).toBe('2000000000000000');
+    expect(validators.C.otherStake.toString(10)).toBe('0');
+  });
+
+  test('predicts the next active set and its backing', () => {
+    // waiting C gets in with the votes of N1 and N3, E doesn't
+    expect(validators.C.likelyElected).toBe(true);
+    expect(validators.E.likelyElected).toBe(false);
+    expect(validators.E.predictedStake.toString(10)).toBe('0');
+    expect(validators.D.predictedStake.toString(10)).toBe('2000000000000000');
+  });
+});
+
+describe('election prediction', () => {
+  const prediction = getElectionPrediction(snapshot);
+
+  test('elects validatorCount validators', () => {
+    expect([...prediction.keys()]).toEqual(['A', 'D', 'B', 'C']);
+  });
+
+  test('spreads all the stake on the elected validators', () => {
+    const total = [...prediction.values()].reduce(
+      (sum, stake) => sum.plus(stake),
+      new BigNumber(0),
+    );
+    expect(total.toString(10)).toBe('6100000000000000');
+  });
+
+  test('balances the backing of validators sharing nominators', () => {
+    const [a, b, c] = ['A', 'B', 'C'].map((stash) => prediction.get(stash));
+    expect(a.minus(b).abs().toNumber()).toBeLessThan(1e12);
+    expect(a.minus(c).abs().toNumber()).toBeLessThan(1e12);
+  });
+
+  test('defaults to the size of the current active set', () => {
+    const { validatorCount, ...rest } = snapshot;
+    expect(getElectionPrediction(rest).size).toBe(3);
+  });
+});
+
+describe('ranking', () => {
+  const ranking = rankValidators(rateValidators(snapshot, scoring));
+
+  test('sorts by VRC score', () => {
+    expect(ranking.map(({ rank }) => rank)).toEqual([1, 2, 3, 4, 5]);
+    expect(ranking[0].stashAddress).toBe('A');
+    expect(ranking.slice(3).map(({ stashAddress }) => stashAddress)).toEqual(['D', 'E']);
+  });
+
+  test('computes performance relative to the best validator', () => {
+    const validators = byStash(ranking);
+    expect(validators.D.relativePerformance).toBe('1.000000');
+    expect(validators.B.relativePerformance).toBe('0.750000');
+    expect(validators.A.relativePerformance).toBe('0.422222');
+    expect(validators.E.relativePerformance).toBe('0.000000');
+  });
+});
+
+describe('dominance', () => {
+  const validators = byStash(findDominated(rankValidators(rateValidators(snapshot, scoring))));
+
+  test('flags validators with an opponent as good in every metric and better in one', () => {
+    // B has better performance, self stake, active eras and score
+    expect(validators.C.dominated).toBe(true);
+    expect(validators.E.dominated).toBe(true);
+  });
+
+  test('keeps validators that are the best in any dimension', () => {
+    expect(validators.A.dominated).toBe(false);
+    expect(validators.B.dominated).toBe(false);
+    expect(validators.D.dominated).toBe(false);
+  });
+
+  test('assigns Pareto layers', () => {
+    expect(['A', 'B', 'C', 'D', 'E'].map((stash) => validators[stash].dominanceLayer))
+      .toEqual([1, 1, 2, 1, 3]);
+  });
+});
+
+describe('clusters', () => {
+  const validators = byStash(rateValidators(snapshot, scoring));
+
+  test('groups linked validators', () => {
+    ['A', 'B', 'C'].forEach((stash) => {
+      expect(validators[stash]).toMatchObject({
+        clusterName: 'ACME',
+        clusterMembers: 3,
+        clusterConfidence: 'high',
+        partOfCluster: true,
+      });
+    });
+    expect(validators.B.clusterLinks.map(({ type }) => type))
+      .toEqual(['rewardDestination', 'identityParent', 'funding']);
+    expect(validators.D).toMatchObject({ clusterName: '', clusterMembers: 1, partOfCluster: false });
+    expect(validators.E).toMatchObject({ clusterName: '', clusterLinks: [], partOfCluster: false });
+  });
+
+  test('flags validators of funding groups as suspected clusters', () => {
+    expect(validators.D.suspectedClusters).toEqual(['F-10']);
+    expect(validators.A.suspectedClusters).toEqual([]);
+  });
+
+  test('shows fewer members of bigger clusters', () => {
+    expect(getClusterShowCount(2)).toBe(2);
+    expect(getClusterShowCount(3)).toBe(2);
+    expect(getClusterShowCount(10)).toBe(8);
+    expect(getClusterShowCount(20)).toBe(12);
+    expect(getClusterShowCount(50)).toBe(20);
+    expect(getClusterShowCount(150)).toBe(30);
+  });
+
+  test('orders members by the hash of cluster name and stash', () => {
+    expect(getClusterRotationOrder('ACME', ['A', 'B', 'C']))
+      .toEqual(getClusterRotationOrder('ACME', ['C', 'B', 'A']));
+    expect(getClusterRotationOrder('ACME', ['A', 'B', 'C']).sort()).toEqual(['A', 'B', 'C']);
+  });
+
+  test('hides the same members during an era', () => {
+    const ranking = rankValidators(Object.values(validators));
+    const hidden = (era) => hideClusterMembers(ranking, era)
+      .filter(({ showClusterMember }) => !showClusterMember)
+      .map(({ stashAddress }) => stashAddress);
+    expect(hidden(7)).toEqual(hidden(7));
+    expect(hidden(7)).toHaveLength(1);
+  });
+
+  test('rotates hidden members fairly across eras', () => {
+    const ranking = rankValidators(Object.values(validators));
+    const hiddenEras = { A: 0, B: 0, C: 0 };
+    [0, 1, 2, 3, 4, 5].forEach((era) => {
+      hideClusterMembers(ranking, era)
+        .filter(({ showClusterMember }) => !showClusterMember)
+        .forEach(({ stashAddress }) => { hiddenEras[stashAddress] += 1; });
+    });
+    expect(hiddenEras).toEqual({ A: 2, B: 2, C: 2 });
+  });
+
+  test('records why a member was hidden', () => {
+    const ranking = byStash(hideClusterMembers(rankValidators(Object.values(validators)), 4));
+    // hidden window starts at era * hidden mod members = 1
+    const [, hiddenStash] = getClusterRotationOrder('ACME', ['A', 'B', 'C']);
+    expect(ranking[hiddenStash].showClusterMember).toBe(false);
+    expect(ranking[hiddenStash].clusterRotation).toEqual({
+      era: 4,
+      position: 1,
+      members: 3,
+      offset: 1,
+      hidden: 1,
+    });
+    expect(ranking.D.clusterRotation).toBe(null);
+    expect(ranking.D.showClusterMember).toBe(true);
+  });
+});
+
+describe('pipeline', () => {
+  test('is reproducible', () => {
+    const stored = (ranking) => ranking.map((validator) => ({
+      ...validator,
+      selfStake: validator.selfStake.toString(10),
+      otherStake: validator.otherStake.toString(10),
+      totalStake: validator.totalStake.toString(10),
+    }));
+    expect(stored(getRanking(snapshot, scoring)))
+      .toEqual(stored(getRanking(snapshot, scoring)));
+  });
+
+  test('computes dashboard totals', () => {
+    expect(getTotals(snapshot)).toMatchObject({
+      activeValidatorCount: 3,
+      waitingValidatorCount: 2,
+      nominatorCount: 3,
+      currentEra: '4',
+      // B doesn't reward N1 stake of 50
+      minimumStake: '100000000000000',
+    });
+  });
+});
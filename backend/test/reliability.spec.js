@@ -0,0 +1,49 @@
+const {
+  getEraRanges,
+  getBlockProduction,
+  getReliability,
+} = require('../lib/reliability.js');
+const snapshot = require('./fixtures/snapshot.json');
+
+const eraPaid = (blockNumber, era) => ({ block_number: `${blockNumber}`, data: JSON.stringify([era, '0', '0']) });
+
+describe('reliability', () => {
+  test('finds the blocks of the eras whose start and end are known', () => {
+    expect(getEraRanges([eraPaid(300, 3), eraPaid(100, 1), eraPaid(200, 2), eraPaid(500, 5)]))
+      .toEqual([
+        { era: 2, firstBlock: 100, lastBlock: 199 },
+        { era: 3, firstBlock: 200, lastBlock: 299 },
+      ]);
+    expect(getEraRanges([])).toEqual([]);
+  });
+
+  test('expects an equal share of the era blocks from every active validator', () => {
+    expect(getBlockProduction({ A: 50, B: 40, X: 10 }, ['A', 'B', 'C', 'X'])).toEqual([
+      { stash: 'A', authored: 50, expected: 25 },
+      { stash: 'B', authored: 40, expected: 25 },
+      { stash: 'C', authored: 0, expected: 25 },
+      { stash: 'X', authored: 10, expected: 25 },
+    ]);
+  });
+
+  test('rates authored blocks and online sessions of the history window', () => {
+    const reliability = getReliability('D', snapshot.blockProduction, snapshot.heartbeats);
+    expect(reliability.blockProductionHistory).toEqual([
+      { era: 2, authored: 23, expected: 30 },
+      { era: 3, authored: 23, expected: 30 },
+    ]);
+    expect(reliability.blockProductionPercent).toBeCloseTo(76.67, 2);
+    expect(reliability.heartbeatHistory.map(({ online }) => online))
+      .toEqual([true, false, true, false]);
+    expect(reliability.heartbeatPercent).toBe(50);
+  });
+
+  test('is 0 when the validator was not active', () => {
+    expect(getReliability('E', snapshot.blockProduction, snapshot.heartbeats)).toEqual({
+      blockProductionHistory: [],
+      blockProductionPercent: 0,
+      heartbeatHistory: [],
+      heartbeatPercent: 0,
+    });
+  });
+});
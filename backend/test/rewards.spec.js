@@ -0,0 +1,71 @@
+const {
+  getPayoutRows,
+  getEraReturn,
+  getReturns,
+} = require('../lib/rewards.js');
+const snapshot = require('./fixtures/snapshot.json');
+
+const event = (index, method, data, phase = '{"applyExtrinsic":1}') => ({
+  block_number: 10,
+  event_index: index,
+  method,
+  phase,
+  data: JSON.stringify(data),
+});
+
+describe('rewards', () => {
+  test('groups the rewards of every payout', () => {
+    expect(getPayoutRows([
+      event(0, 'PayoutStarted', [2, 'A']),
+      event(1, 'Rewarded', ['A', '100']),
+      event(2, 'Rewarded', ['N1', '30']),
+      event(3, 'Rewarded', ['N2', { staked: null }, '20']),
+      event(4, 'PayoutStarted', [2, 'B']),
+      event(5, 'Reward', ['B', '50']),
+      // another extrinsic
+      event(6, 'Rewarded', ['N3', '10'], '{"applyExtrinsic":2}'),
+    ])).toEqual([
+      {
+        block_number: 10,
+        event_index: 0,
+        era: 2,
+        validator: 'A',
+        validator_reward: '100',
+        nominators_reward: '50',
+        nominators: 2,
+      },
+      {
+        block_number: 10,
+        event_index: 4,
+        era: 2,
+        validator: 'B',
+        validator_reward: '50',
+        nominators_reward: '0',
+        nominators: 0,
+      },
+    ]);
+    // rewards without PayoutStarted can't be attributed
+    expect(getPayoutRows([event(0, 'Reward', ['A', '100'])])).toEqual([]);
+  });
+
+  test('computes the return of the nominators stake', () => {
+    expect(getEraReturn({ nominatorsReward: '30', totalStake: '1100', ownStake: '100' }))
+      .toBe(0.03);
+    expect(getEraReturn({ nominatorsReward: '0', totalStake: '100', ownStake: '100' }))
+      .toBe(null);
+  });
+
+  test('annualizes the average return of the paid eras', () => {
+    const { returnHistory, annualizedReturn } = getReturns('A', snapshot.payouts, 4);
+    expect(returnHistory.map(({ era }) => era)).toEqual(['2', '3']);
+    expect(returnHistory[0].percent).toBeCloseTo(0.02, 6);
+    expect(returnHistory[1].percent).toBeCloseTo(0.03, 6);
+    // (1 + 0.00025) ^ (4 * 365) - 1
+    expect(annualizedReturn).toBeCloseTo(44.041, 2);
+    // no nominators
+    expect(getReturns('D', snapshot.payouts, 4)).toEqual({
+      returnHistory: [],
+      annualizedReturn: 0,
+    });
+  });
+});
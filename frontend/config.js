@@ -1,20 +1,101 @@
+// Network profiles, the name is the key of the data stored by the backend
+// (SUBSTRATE_NETWORK of each crawler). Only enabled networks are offered
+// in the network switcher.
+export const networks = {
+  kusama: {
+    name: 'kusama',
+    enabled: true,
+    nodeWs: 'wss://kusama-rpc.polkadot.io',
+    denom: 'KSM',
+    addressPrefix: 2,
+    tokenDecimals: 12,
+    erasPerDay: 4,
+    polkascanAPI: 'https://explorer-31.polkascan.io/kusama/api/v1', // no trailing slash
+    blockExplorer: 'https://kusama.polkastats.io/block/', // block hash is appended
+    thousandValidatorsUrl: 'https://thousand-validators.kusama.network',
+    identiconTheme: 'polkadot',
+    logo: 'img/logo/kusama.svg',
+    favicon: 'img/favicon/kusama.ico',
+  },
+  polkadot: {
+    name: 'polkadot',
+    enabled: true,
+    nodeWs: 'wss://rpc.polkadot.io',
+    denom: 'DOT',
+    addressPrefix: 0,
+    tokenDecimals: 10,
+    erasPerDay: 1,
+    polkascanAPI: 'https://explorer-31.polkascan.io/polkadot/api/v1',
+    blockExplorer: 'https://polkadot.polkastats.io/block/', // block hash is appended
+    thousandValidatorsUrl: '',
+    identiconTheme: 'polkadot',
+    logo: 'img/logo/polkadot.svg',
+    favicon: 'img/favicon/polkadot.ico',
+  },
+  westend: {
+    name: 'westend',
+    enabled: false,
+    nodeWs: 'wss://westend-rpc.polkadot.io',
+    denom: 'WND',
+    addressPrefix: 42,
+    tokenDecimals: 12,
+    erasPerDay: 4,
+    polkascanAPI: '',
+    blockExplorer:
+      'https://polkadot.js.org/apps/?rpc=wss%3A%2F%2Fwestend-rpc.polkadot.io#/explorer/query/', // block hash is appended
+    thousandValidatorsUrl: '',
+    identiconTheme: 'polkadot',
+    logo: 'img/logo/polkadot.svg',
+    favicon: 'img/favicon/polkadot.ico',
+  },
+  // set to the values of a custom crawler (CUSTOM_NETWORK_*) and enable
+  custom: {
+    name: 'custom',
+    enabled: false,
+    nodeWs: 'ws://127.0.0.1:9944',
+    denom: 'UNIT',
+    addressPrefix: 42,
+    tokenDecimals: 12,
+    erasPerDay: 4,
+    polkascanAPI: '',
+    blockExplorer:
+      'https://polkadot.js.org/apps/?rpc=ws%3A%2F%2F127.0.0.1%3A9944#/explorer/query/', // block hash is appended
+    thousandValidatorsUrl: '',
+    identiconTheme: 'substrate',
+    logo: 'img/logo/polkadot.svg',
+    favicon: 'img/favicon/substrate.ico',
+  },
+}
+
+const defaultNetwork = 'kusama'
+
+// selected network is kept in local storage, nuxt.config.js imports this
+// file at build time so it falls back to the default network there
+const getNetwork = () => {
+  const name =
+    typeof window !== 'undefined'
+      ? window.localStorage.getItem('network')
+      : null
+  return networks[name] && networks[name].enabled
+    ? networks[name]
+    : networks[defaultNetwork]
+}
+
+export const selectNetwork = (name) => {
+  window.localStorage.setItem('network', name)
+  window.location.reload()
+}
+
 export const config = {
-  name: 'kusama',
+  ...getNetwork(),
   title: 'Validator resource center and ranking',
-  nodeWs: 'wss://kusama-rpc.polkadot.io',
-  denom: 'KSM',
-  addressPrefix: 2,
-  tokenDecimals: 12,
-  historySize: 84, // 21 days
-  erasPerDay: 4,
-  polkascanAPI: 'https://explorer-31.polkascan.io/kusama/api/v1', // no trailing slash
+  historySize: 84, // eras
   theme: '@/assets/scss/themes/kusama.scss',
-  identiconTheme: 'polkadot',
-  logo: 'img/logo/kusama.svg',
-  favicon: 'img/favicon/kusama.ico',
   baseURL: '/',
   showValSelectorInPage: false, // set to false when showing val selector in header
   googleAnalytics: 'G-0MDQV4GFD9',
   backendWs: 'wss://validatorsv2.kusama.polkastats.io/api/v3',
   backendHttp: 'https://validatorsv2.kusama.polkastats.io/api/v3',
+  // REST API of the backend (api service), no trailing slash
+  backendApi: 'https://validatorsv2.kusama.polkastats.io/api/v1',
 }
@@ -26,7 +26,9 @@ export default {
           'Kusama is a scalable multi-chain network for radical innovation and early stage Polkadot deployments. Expect Chaos. No promises.',
       },
     ],
-    link: [{ rel: 'icon', type: 'image/x-icon', href: config.favicon }],
+    link: [
+      { hid: 'icon', rel: 'icon', type: 'image/x-icon', href: config.favicon },
+    ],
   },
 
   // Global CSS (https://go.nuxtjs.dev/config-css)
@@ -1,12 +1,17 @@
-import { BigNumber } from 'bignumber.js'
 import gql from 'graphql-tag'
+import { BigNumber } from 'bignumber.js'
 import { BToast } from 'bootstrap-vue'
+import {
+  defaultDominanceMetrics,
+  getDominanceLayers,
+} from '../../backend/lib/dominance.js'
 import { config } from '@/config.js'
 
 export const state = () => ({
   list: [],
   eraHistory: [],
   blockHeight: 0,
+  scoring: { metrics: [], facts: {} }, // rating rules of the ranking
   eraPointsHistoryTotalsSum: 0,
   eraPointsAverage: 0,
   loading: true,
@@ -14,9 +19,11 @@ export const state = () => ({
   selectedAddress: undefined, // staking address
   metricWeights: {
     active: 1,
+    blocks: 1,
     commission: 1,
     eraPoints: 1,
     governance: 1,
+    heartbeats: 1,
     identity: 1,
     nominators: 1,
     address: 1,
@@ -25,18 +32,54 @@ export const state = () => ({
     subaccounts: 1,
   },
   customVRCScoreEnabled: false,
+  dominanceMetrics: [...defaultDominanceMetrics], // compared in auto-filter
   onlyOneClusterMember: true,
 })
 
+const getCustomVRCScore = (validator, metricWeights) =>
+  validator.activeRating * metricWeights.active +
+  validator.blockProductionRating * metricWeights.blocks +
+  validator.commissionRating * metricWeights.commission +
+  validator.eraPointsRating * metricWeights.eraPoints +
+  validator.governanceRating * metricWeights.governance +
+  validator.heartbeatRating * metricWeights.heartbeats +
+  validator.identityRating * metricWeights.identity +
+  validator.nominatorsRating * metricWeights.nominators +
+  validator.addressCreationRating * metricWeights.address +
+  validator.payoutRating * metricWeights.payout +
+  validator.slashRating * metricWeights.slashes +
+  validator.subAccountsRating * metricWeights.subaccounts
+
+// Pareto layer of every validator with the selected dominance metrics
+const updateDominance = (state) => {
+  const layers = getDominanceLayers(state.list, state.dominanceMetrics)
+  state.list = state.list.map((validator, index) => {
+    validator.dominanceLayer = layers[index]
+    validator.dominated = layers[index] > 1
+    return validator
+  })
+  // eslint-disable-next-line no-console
+  console.log(
+    `Found ${
+      state.list.filter(({ dominated }) => dominated).length
+    } dominated validators in ${Math.max(0, ...layers)} layers`
+  )
+}
+
 export const getters = {
   getMetricWeights: (state) => state.metricWeights,
   getSelectedAddresses: (state) => state.selectedAddresses,
 }
 
 export const mutations = {
-  updateList(state, { ranking, blockHeight, eraPointsAverage, loading }) {
+  updateList(
+    state,
+    { ranking, blockHeight, scoring, eraPointsAverage, loading }
+  ) {
     state.list = ranking
+    updateDominance(state)
     state.blockHeight = blockHeight
+    state.scoring = scoring
     state.eraPointsAverage = eraPointsAverage
     state.loading = loading
   },
@@ -66,8 +109,11 @@ export const mutations = {
           state.selectedAddresses.includes(stashAddress)
         )
         .some(
-          ({ clusterName, partOfCluster }) =>
-            partOfCluster && clusterName === validator.clusterName
+          ({ clusterName, partOfCluster, suspectedClusters }) =>
+            (partOfCluster && clusterName === validator.clusterName) ||
+            suspectedClusters.some((id) =>
+              validator.suspectedClusters.includes(id)
+            )
         )
       if (clusterMemberAlreadyIncluded) {
         const bootStrapToaster = new BToast()
@@ -127,110 +173,31 @@ export const mutations = {
     state.metricWeights = metricWeights
     // recalculate custom VRC score & update dominated validators
     state.list = state.list.map((validator) => {
-      let dominated = false
-      for (const opponent of state.list) {
-        if (
-          opponent !== validator &&
-          opponent.relativePerformance >= validator.relativePerformance &&
-          new BigNumber(opponent.selfStake).gte(
-            new BigNumber(validator.selfStake)
-          ) &&
-          opponent.activeEras >= validator.activeEras &&
-          opponent.totalRating >= validator.totalRating
-        ) {
-          dominated = true
-          break
-        }
-      }
-      validator.customVRCScore =
-        validator.activeRating * state.metricWeights.active +
-        validator.commissionRating * state.metricWeights.commission +
-        validator.eraPointsRating * state.metricWeights.eraPoints +
-        validator.governanceRating * state.metricWeights.governance +
-        validator.identityRating * state.metricWeights.identity +
-        validator.nominatorsRating * state.metricWeights.nominators +
-        validator.addressCreationRating * state.metricWeights.address +
-        validator.payoutRating * state.metricWeights.payout +
-        validator.slashRating * state.metricWeights.slashes +
-        validator.subAccountsRating * state.metricWeights.subaccounts
-      validator.dominated = dominated
+      validator.customVRCScore = getCustomVRCScore(
+        validator,
+        state.metricWeights
+      )
       return validator
     })
-    // eslint-disable-next-line no-console
-    console.log(
-      `Found ${
-        state.list.filter(({ dominated }) => dominated).length
-      } dominated validators`
-    )
+    updateDominance(state)
   },
   toggleCustomVRCScore(state, customVRCScoreEnabled) {
     state.customVRCScoreEnabled = customVRCScoreEnabled
     // recalculate custom VRC score & update dominated validators
-    if (customVRCScoreEnabled) {
-      state.list = state.list.map((validator) => {
-        let dominated = false
-        for (const opponent of state.list) {
-          if (
-            opponent !== validator &&
-            opponent.relativePerformance >= validator.relativePerformance &&
-            new BigNumber(opponent.selfStake).gte(
-              new BigNumber(validator.selfStake)
-            ) &&
-            opponent.activeEras >= validator.activeEras &&
-            opponent.totalRating >= validator.totalRating
-          ) {
-            dominated = true
-            break
-          }
-        }
-        validator.customVRCScore =
-          validator.activeRating * state.metricWeights.active +
-          validator.commissionRating * state.metricWeights.commission +
-          validator.eraPointsRating * state.metricWeights.eraPoints +
-          validator.governanceRating * state.metricWeights.governance +
-          validator.identityRating * state.metricWeights.identity +
-          validator.nominatorsRating * state.metricWeights.nominators +
-          validator.addressCreationRating * state.metricWeights.address +
-          validator.payoutRating * state.metricWeights.payout +
-          validator.slashRating * state.metricWeights.slashes +
-          validator.subAccountsRating * state.metricWeights.subaccounts
-        validator.dominated = dominated
-        return validator
-      })
-    } else {
-      state.list = state.list.map((validator) => {
-        validator.customVRCScore = validator.totalRating
-        return validator
-      })
-    }
-  },
-  updateDominated(state) {
-    // update dominated validators
     state.list = state.list.map((validator) => {
-      let dominated = false
-      for (const opponent of state.list) {
-        if (
-          opponent !== validator &&
-          opponent.relativePerformance >= validator.relativePerformance &&
-          new BigNumber(opponent.selfStake).gte(
-            new BigNumber(validator.selfStake)
-          ) &&
-          opponent.activeEras >= validator.activeEras &&
-          opponent.totalRating >= validator.totalRating
-        ) {
-          dominated = true
-          break
-        }
-      }
-      validator.dominated = dominated
+      validator.customVRCScore = customVRCScoreEnabled
+        ? getCustomVRCScore(validator, state.metricWeights)
+        : validator.totalRating
       return validator
     })
-    // eslint-disable-next-line no-console
-    console.log(
-      `Found ${
-        state.list.filter(({ dominated }) => dominated).length
-      } dominated validators`
-    )
+    updateDominance(state)
+  },
+  updateDominanceMetrics(state, dominanceMetrics) {
+    state.dominanceMetrics = dominanceMetrics
+    updateDominance(state)
+  },
+  updateDominated(state) {
+    updateDominance(state)
   },
   toggleOnlyOneClusterMember(state, onlyOneClusterMember) {
     state.onlyOneClusterMember = onlyOneClusterMember
@@ -249,37 +216,59 @@ export const actions = {
     const client = this.app.apolloProvider.defaultClient
     const metricWeights = this.getters['ranking/getMetricWeights']
     const selectedAddresses = this.getters['ranking/getSelectedAddresses']
-    // get last block height
+    // get last complete ranking snapshot
     let query = gql`
-      query blockHeight {
-        ranking(order_by: { block_height: asc }, limit: 1) {
+      query blockHeight($network: String) {
+        ranking_snapshot(
+          where: { network: { _eq: $network } }
+          order_by: { block_height: desc }
+          limit: 1
+        ) {
           block_height
+          scoring
         }
       }
     `
-    const response = await client.query({ query })
-    const blockHeight = response.data.ranking[0].block_height
+    const response = await client.query({
+      query,
+      variables: { network: config.name },
+    })
+    const blockHeight = response.data.ranking_snapshot[0].block_height
+    const scoring = JSON.parse(response.data.ranking_snapshot[0].scoring)
     query = gql`
-      query ranking {
-        ranking (where: {block_height: {_eq: "${blockHeight}"}}) {
+      query ranking($network: String, $blockHeight: bigint) {
+        ranking(
+          where: {
+            network: { _eq: $network }
+            block_height: { _eq: $blockHeight }
+          }
+        ) {
           active
           active_eras
           active_rating
           address_creation_rating
+          annualized_return
+          block_production_rating
           commission
           commission_rating
-          dominated
           era_points_percent
           era_points_rating
           governance_rating
+          heartbeat_rating
           identity_rating
+          likely_elected
           name
           nominators_rating
+          oversubscribed
+          rewarded_slots_left
+          rewarded_stake_cutoff
           other_stake
           part_of_cluster
           cluster_name
+          suspected_clusters
           show_cluster_member
           payout_rating
+          predicted_stake
           rank
           relative_performance
           self_stake
@@ -292,27 +281,38 @@ export const actions = {
         }
       }
     `
-    const { data } = await client.query({ query })
+    const { data } = await client.query({
+      query,
+      variables: { network: config.name, blockHeight },
+    })
     const ranking = data.ranking.map((validator) => {
       return {
         active: validator.active,
         activeEras: validator.active_eras,
         activeRating: validator.active_rating,
         addressCreationRating: validator.address_creation_rating,
+        annualizedReturn: parseFloat(validator.annualized_return),
+        blockProductionRating: validator.block_production_rating,
         commission: parseFloat(validator.commission),
         commissionRating: validator.commission_rating,
-        dominated: validator.dominated,
         eraPointsPercent: parseFloat(validator.era_points_percent),
         eraPointsRating: validator.era_points_rating,
         governanceRating: validator.governance_rating,
+        heartbeatRating: validator.heartbeat_rating,
         identityRating: validator.identity_rating,
+        likelyElected: validator.likely_elected,
         name: validator.name,
         nominatorsRating: validator.nominators_rating,
+        oversubscribed: validator.oversubscribed,
+        rewardedSlotsLeft: validator.rewarded_slots_left,
+        rewardedStakeCutoff: validator.rewarded_stake_cutoff,
         otherStake: validator.other_stake,
         partOfCluster: validator.part_of_cluster,
         clusterName: validator.cluster_name,
+        suspectedClusters: JSON.parse(validator.suspected_clusters),
         showClusterMember: validator.show_cluster_member,
         payoutRating: validator.payout_rating,
+        predictedStake: new BigNumber(validator.predicted_stake),
         rank: validator.rank,
         relativePerformance: parseFloat(validator.relative_performance),
         selfStake: validator.self_stake,
@@ -322,20 +322,15 @@ export const actions = {
         totalRating: validator.total_rating,
         totalStake: validator.total_stake,
         verifiedIdentity: validator.verified_identity,
-        customVRCScore:
-          validator.active_rating * metricWeights.active +
-          validator.commission_rating * metricWeights.commission +
-          validator.era_points_rating * metricWeights.eraPoints +
-          validator.governance_rating * metricWeights.governance +
-          validator.identity_rating * metricWeights.identity +
-          validator.nominators_rating * metricWeights.nominators +
-          validator.address_creation_rating * metricWeights.address +
-          validator.payout_rating * metricWeights.payout +
-          validator.slash_rating * metricWeights.slashes +
-          validator.sub_accounts_rating * metricWeights.subaccounts,
         selected: selectedAddresses.includes(validator.stash_address),
+        // set with the selected dominance metrics
+        dominated: false,
+        dominanceLayer: 1,
       }
     })
+    ranking.forEach((validator) => {
+      validator.customVRCScore = getCustomVRCScore(validator, metricWeights)
+    })
     const eraPointsAverage =
       ranking.reduce(
         (accumulator, { eraPointsPercent }) =>
@@ -345,6 +340,7 @@ export const actions = {
     context.commit('updateList', {
       ranking,
       blockHeight,
+      scoring,
       eraPointsAverage,
       loading: false,
     })
@@ -373,6 +369,9 @@ export const actions = {
   toggleCustomVRCScore(context, customVRCScoreEnabled) {
     context.commit('toggleCustomVRCScore', customVRCScoreEnabled)
   },
+  updateDominanceMetrics(context, dominanceMetrics) {
+    context.commit('updateDominanceMetrics', dominanceMetrics)
+  },
   updateDominated(context) {
     context.commit('updateDominated')
   },